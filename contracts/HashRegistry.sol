@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title HashRegistry - 合同内容哈希登记
+/// @notice 只登记哈希与记录 ID，不保存合同内容；同一哈希只能登记一次
+contract HashRegistry {
+    struct Anchor {
+        address submitter;
+        uint64 timestamp;
+        uint64 blockNumber;
+    }
+
+    mapping(bytes32 => Anchor) private anchors;
+
+    event HashAnchored(bytes32 indexed contentHash, address indexed submitter, string recordId, uint256 timestamp);
+
+    /// @param contentHash 合同内容哈希（SHA-256）
+    /// @param recordId 历史记录 ID，仅写入事件日志
+    function anchor(bytes32 contentHash, string calldata recordId) external {
+        require(contentHash != bytes32(0), "HashRegistry: empty hash");
+        require(anchors[contentHash].timestamp == 0, "HashRegistry: already anchored");
+        anchors[contentHash] = Anchor(msg.sender, uint64(block.timestamp), uint64(block.number));
+        emit HashAnchored(contentHash, msg.sender, recordId, block.timestamp);
+    }
+
+    /// @return submitter 登记者，未登记时为零地址
+    /// @return timestamp 登记时的区块时间（秒），未登记时为 0
+    /// @return blockNumber 登记所在区块
+    function getAnchor(bytes32 contentHash) external view returns (address submitter, uint256 timestamp, uint256 blockNumber) {
+        Anchor memory item = anchors[contentHash];
+        return (item.submitter, item.timestamp, item.blockNumber);
+    }
+
+    function isAnchored(bytes32 contentHash) external view returns (bool) {
+        return anchors[contentHash].timestamp != 0;
+    }
+}
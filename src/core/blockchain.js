@@ -1,12 +1,17 @@
 // blockchain.js
 import Web3 from 'web3'; // 引入 Web3.js
+import { signContractRecord } from '../modules/signature/contract-signature.js';
+import { HASH_REGISTRY_ABI, getRegistryConfig, anchorRecordHash, lookupAnchor } from '../modules/chain/hash-registry.js';
+import { buildBatch, applyBatch, anchorBatch } from '../modules/chain/batch-anchor.js';
+import { findSimulatedAnchor, loadLocalRecords, verifyContract } from '../modules/verification/verifier.js';
+import { sha256Hex } from '../utils/hash/canonical-json.js';
 
 class BlockchainManager {
   constructor() {
     this.web3 = null;
     this.account = null;
-    this.contractAddress = null;
-    this.contractABI = null;
+    this.contractAddress = getRegistryConfig().address || null;
+    this.contractABI = HASH_REGISTRY_ABI;
     this.contract = null;
     this.networkId = null;
     this.isConnected = false;
@@ -58,6 +63,132 @@ class BlockchainManager {
     }
   }
 
+  // 用当前钱包对合同记录做 EIP-712 签名（eth_signTypedData_v4）
+  async signContractRecord(record) {
+    if (typeof window.ethereum === 'undefined') {
+      throw new Error('未检测到以太坊钱包（如 MetaMask）');
+    }
+    const signed = await signContractRecord(window.ethereum, record);
+    this.account = signed.signer;
+    this.isConnected = true;
+    return signed;
+  }
+
+  // 登记合约实例：有钱包用钱包，否则直连 CONFIG.blockchain.registry.rpcUrl（本地 Ganache / Hardhat 节点）
+  async getRegistryContract() {
+    if (!this.contractAddress) {
+      throw new Error('未配置 HashRegistry 合约地址（CONFIG.blockchain.registry.address）');
+    }
+    if (!this.web3) {
+      if (typeof window.ethereum !== 'undefined') {
+        await this.initWeb3();
+      } else {
+        const { rpcUrl } = getRegistryConfig();
+        if (!rpcUrl) throw new Error('未检测到以太坊钱包，也未配置节点地址');
+        this.web3 = new Web3(rpcUrl);
+        [this.account] = await this.web3.eth.getAccounts();
+        this.networkId = await this.web3.eth.net.getId();
+        this.isConnected = true;
+      }
+    }
+    if (!this.account) throw new Error('没有可用于发送交易的账户');
+    if (!this.contract) {
+      this.contract = new this.web3.eth.Contract(this.contractABI, this.contractAddress);
+    }
+    return this.contract;
+  }
+
+  /**
+   * 把记录的内容哈希写入登记合约并等待回执，结果写回 record.chain
+   * @param {Object} record - 历史记录，需含 contentHash
+   * @param {{ onUpdate?: Function }} [options] - 拿到交易哈希（pending）时回调，便于先行保存
+   * @returns {Promise<Object>} - record.chain
+   */
+  async anchorHash(record, options = {}) {
+    if (!this.contractAddress) {
+      record.chain = await this.anchorHashSimulated(record);
+      return record.chain;
+    }
+    const contract = await this.getRegistryContract();
+    try {
+      record.chain = await anchorRecordHash(contract, this.account, record, {
+        registry: this.contractAddress,
+        onUpdate: chain => {
+          record.chain = chain;
+          if (options.onUpdate) options.onUpdate(chain);
+        }
+      });
+    } catch (error) {
+      if (error.chain) record.chain = error.chain;
+      throw error;
+    }
+    return record.chain;
+  }
+
+  /**
+   * 批量上链：对记录的内容哈希建 Merkle 树，只登记根哈希，每条记录带上自己的证明
+   * @param {Array<Object>} records - 历史记录，需含 contentHash
+   * @param {{ onUpdate?: Function }} [options] - 拿到交易哈希时以 pending 状态的记录回调
+   * @returns {Promise<{ batch: Object, records: Array<Object> }>} - records 为更新了 chain 的新记录对象
+   */
+  async anchorBatch(records, options = {}) {
+    if (!this.contractAddress) {
+      const batch = await buildBatch(records);
+      const chain = await this.anchorHashSimulated({ id: batch.batchId, contentHash: batch.root });
+      return { batch, records: applyBatch(records, batch, chain) };
+    }
+    const contract = await this.getRegistryContract();
+    return anchorBatch(contract, this.account, records, { registry: this.contractAddress, onUpdate: options.onUpdate });
+  }
+
+  // 未配置登记合约时，把哈希登记写入模拟链的交易列表
+  async anchorHashSimulated(record) {
+    if (!record.contentHash) throw new Error('记录缺少内容哈希，无法上链');
+    const existing = findSimulatedAnchor(this.simulatedTransactions, record.contentHash);
+    if (existing.anchored) {
+      return { status: 'confirmed', txHash: existing.txHash, blockNumber: existing.blockNumber, registry: 'simulated', submitter: existing.submitter };
+    }
+    const tx = {
+      type: 'hash_anchor',
+      contentHash: record.contentHash,
+      recordId: record.id,
+      from: this.account || 'simulated',
+      blockNumber: this.networkStats.blockHeight + 1,
+      timestamp: new Date().toISOString()
+    };
+    tx.txHash = '0x' + await sha256Hex(JSON.stringify(tx));
+    this.simulatedTransactions.push(tx);
+    this.networkStats.blockHeight = tx.blockNumber;
+    this.networkStats.totalTransactions++;
+    localStorage.setItem('simulatedTransactions', JSON.stringify(this.simulatedTransactions));
+    return { status: 'confirmed', txHash: tx.txHash, blockNumber: tx.blockNumber, registry: 'simulated', submitter: tx.from, anchoredAt: tx.timestamp };
+  }
+
+  /**
+   * 查询内容哈希的登记信息：配置了登记合约时查合约，否则查模拟链
+   * @param {string} contentHash - 内容哈希
+   * @returns {Promise<{ anchored: boolean, submitter: string|null, timestamp: number, blockNumber: number, source: string }>}
+   */
+  async lookupHash(contentHash) {
+    if (!this.contractAddress) {
+      return { ...findSimulatedAnchor(this.simulatedTransactions, contentHash), source: 'simulated' };
+    }
+    const contract = await this.getRegistryContract();
+    return { ...(await lookupAnchor(contract, contentHash)), source: 'registry', registry: this.contractAddress };
+  }
+
+  /**
+   * 校验合同：PDF 文件或粘贴的哈希 / 校验链接，比对本机历史记录与链上登记
+   * @param {{ file?: ArrayBuffer|Uint8Array, text?: string }|string} input - 字符串视为粘贴内容
+   * @returns {Promise<Object>} - verifier.js 中 verifyContract 的结果
+   */
+  async verifyContract(input) {
+    return verifyContract(typeof input === 'string' ? { text: input } : input, {
+      records: await loadLocalRecords(),
+      lookupHash: hash => this.lookupHash(hash)
+    });
+  }
+
   initSimulatedBlockchain() {
     // 模拟区块链环境逻辑
     console.log('模拟区块链环境已启动');
@@ -32,7 +32,13 @@ const CONFIG = {
           'http://localhost:3001',
           'http://localhost:3002',
           'http://localhost:3003'
-      ]
+      ],
+
+      // 合同哈希登记合约（contracts/HashRegistry.sol）
+      registry: {
+          address: '', // 部署后填写合约地址
+          rpcUrl: 'http://127.0.0.1:8545' // 没有钱包时直连的节点（Ganache / Hardhat 默认端口）
+      }
   },
 
   // ⚙️ 系统设置
@@ -67,7 +73,14 @@ const CONFIG = {
           type: 'localStorage', // localStorage, indexedDB, memory
           prefix: 'sc_system_',
           encryption: true,
-          compression: false
+          compression: false,
+          // 合同内容存储方式：local（仅本机）、ipfs（加密后存入 IPFS）、blockchain（哈希上链）
+          contract: 'local',
+          // IPFS 节点（Kubo HTTP API），需允许页面来源跨域访问
+          ipfs: {
+              apiUrl: 'http://127.0.0.1:5001',
+              gateway: 'http://127.0.0.1:8080/ipfs/'
+          }
       }
   },
 
@@ -136,7 +149,12 @@ const CONFIG = {
       signature: {
           algorithm: 'ECDSA',
           curve: 'secp256k1',
-          hashFunction: 'SHA-256'
+          hashFunction: 'SHA-256',
+          // 合同记录钱包签名（eth_signTypedData_v4）的 EIP-712 签名域
+          eip712: {
+              name: 'SmartContractGenerationSystem',
+              version: '1'
+          }
       },
       
       // 访问控制
@@ -262,6 +280,14 @@ const CONFIG = {
       }
   },
 
+  // 📄 模板配置
+  templates: {
+      // 数据源优先级：用户导入 > 远程接口 > 本地 JSON > 内置备用
+      sources: ['imported', 'remote', 'json', 'builtin'],
+      localJsonUrl: './official-templates.json',
+      cacheExpiry: 300000 // 5分钟内直接使用缓存
+  },
+
   // 🔧 开发配置
   development: {
       // 调试模式
@@ -427,6 +453,41 @@ const ConfigUtils = {
           console.error('Invalid JSON configuration:', error);
           return CONFIG;
       }
+  },
+  
+  // 设置页保存的选项与对应的配置路径
+  settingPaths: {
+      network: 'blockchain.network.platform',
+      storage: 'system.storage.contract',
+      ipfsApiUrl: 'system.storage.ipfs.apiUrl',
+      registryAddress: 'blockchain.registry.address'
+  },
+  
+  // 保存设置页的选项到 localStorage 并立即生效
+  saveSettings(settings) {
+      const saved = { ...this.loadSettings(), ...settings };
+      localStorage.setItem(CONFIG.system.storage.prefix + 'settings', JSON.stringify(saved));
+      this.applySettings(saved);
+      return saved;
+  },
+  
+  // 读取已保存的设置
+  loadSettings() {
+      try {
+          return JSON.parse(localStorage.getItem(CONFIG.system.storage.prefix + 'settings') || '{}');
+      } catch (error) {
+          console.warn('Invalid saved settings:', error);
+          return {};
+      }
+  },
+  
+  // 把设置写入 CONFIG
+  applySettings(settings) {
+      for (const [name, path] of Object.entries(this.settingPaths)) {
+          if (settings[name] !== undefined && settings[name] !== '') {
+              this.set(path, settings[name]);
+          }
+      }
   }
 };
 
@@ -440,6 +501,9 @@ function initializeConfig() {
   
   // 设置全局配置
   if (typeof window !== 'undefined') {
+      if (typeof localStorage !== 'undefined') {
+          ConfigUtils.applySettings(ConfigUtils.loadSettings());
+      }
       window.CONFIG = CONFIG;
       window.ConfigUtils = ConfigUtils;
   }
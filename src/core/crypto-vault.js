@@ -0,0 +1,456 @@
+// 本地加密存储 - 用户口令经 PBKDF2 派生 AES-256-GCM 密钥，历史记录与数据存储写入 localStorage 前加密
+// 参数取自 CONFIG.security.encryption，开关为 CONFIG.system.storage.encryption
+// 密文格式：enc:v1:<base64(iv ‖ 密文)>；口令校验信息保存在 cryptoVault:meta
+// vault.storage 与 localStorage 接口相同：已设置口令时写入即加密，读取时返回解锁时解密好的明文缓存
+// 不在 localStorage 中的数据（如 IndexedDB 中的历史记录）用 sealText / sealBytes 加密，并通过 registerStore 参与重新加密
+
+const SEALED_PREFIX = 'enc:v1:';
+const META_KEY = 'cryptoVault:meta';
+const SESSION_KEY = 'cryptoVault:session';
+const CHECK_TEXT = 'smart-contract-vault';
+const SALT_LENGTH = 16;
+
+// 设置口令或解锁时立即加密的已有明文数据；只列出经 vault.storage 读写的键
+const PROTECTED_KEYS = [
+  key => key === 'contractHistory',
+  key => key.startsWith('contractRecord:') && key !== 'contractRecord:index',
+  key => key.startsWith('sc_contracts_') || key.startsWith('sc_users_'),
+  key => key === 'sc_contract_drafts',
+  key => key === 'historySavedSearches'
+];
+
+function toBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+/**
+ * 创建加密存储
+ * @param {Object} [options]
+ * @param {Storage} [options.backend] - 底层存储，默认 localStorage
+ * @param {Storage} [options.session] - 记住解锁状态用的存储，默认 sessionStorage
+ * @param {Object} [options.config] - 配置对象，默认全局 CONFIG
+ * @returns {Object} - { ready, storage, sealText, openText, sealBytes, openBytes, registerStore,
+ *          isEnabled, isSetUp, isUnlocked, setup, unlock, lock, changePassphrase, disable, subscribe }
+ */
+function createVault(options = {}) {
+  const backend = () => options.backend || globalThis.localStorage;
+  const session = () => ('session' in options ? options.session : globalThis.sessionStorage) || null;
+  const config = () => options.config || globalThis.CONFIG || {};
+
+  let key = null;
+  // 解锁后的明文缓存：存储键 → { plain, sealed, pending }
+  const cache = new Map();
+  const writes = new Set();
+  const listeners = new Set();
+  const stores = new Set();
+
+  function settings() {
+    const encryption = config().security?.encryption || {};
+    return {
+      keyLength: encryption.keyLength || 256,
+      ivLength: encryption.ivLength || 12,
+      tagLength: (encryption.tagLength || 16) * 8,
+      iterations: encryption.iterations || 100000
+    };
+  }
+
+  function readMeta() {
+    try {
+      return JSON.parse(backend().getItem(META_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function isEnabled() {
+    return config().system?.storage?.encryption !== false;
+  }
+
+  function isSetUp() {
+    return isEnabled() && Boolean(readMeta());
+  }
+
+  function isUnlocked() {
+    return Boolean(key);
+  }
+
+  function notify() {
+    const status = !isSetUp() ? 'disabled' : key ? 'unlocked' : 'locked';
+    listeners.forEach(listener => listener(status));
+  }
+
+  async function deriveKey(passphrase, salt, iterations, extractable) {
+    if (!passphrase) throw new Error('请输入口令');
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: settings().keyLength },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // 字节加密结果为 iv ‖ 密文
+  async function encrypt(cryptoKey, data) {
+    const { ivLength, tagLength } = settings();
+    const iv = crypto.getRandomValues(new Uint8Array(ivLength));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, tagLength }, cryptoKey, data));
+    const bytes = new Uint8Array(ivLength + ciphertext.length);
+    bytes.set(iv);
+    bytes.set(ciphertext, ivLength);
+    return bytes;
+  }
+
+  async function decrypt(cryptoKey, bytes) {
+    const { ivLength, tagLength } = settings();
+    return new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(0, ivLength), tagLength }, cryptoKey, bytes.slice(ivLength)
+    ));
+  }
+
+  async function seal(cryptoKey, text) {
+    return SEALED_PREFIX + toBase64(await encrypt(cryptoKey, new TextEncoder().encode(text)));
+  }
+
+  async function open(cryptoKey, sealed) {
+    return new TextDecoder().decode(await decrypt(cryptoKey, fromBase64(sealed.slice(SEALED_PREFIX.length))));
+  }
+
+  function currentKey() {
+    if (!key) throw new Error('加密存储已锁定，请先输入口令解锁');
+    return key;
+  }
+
+  // 用指定密钥加密的编解码器，交给 registerStore 的回调写入新数据
+  function codec(cryptoKey) {
+    return {
+      sealText: text => seal(cryptoKey, text),
+      sealBytes: bytes => encrypt(cryptoKey, bytes)
+    };
+  }
+
+  // 外部存储用当前密钥读出数据，再用 next（null 表示明文）写回
+  async function resealStores(next) {
+    for (const handler of stores) await handler(next);
+  }
+
+  // 口令错误时 AES-GCM 认证失败
+  async function checkKey(cryptoKey, meta) {
+    try {
+      return (await open(cryptoKey, meta.check)) === CHECK_TEXT;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function allKeys() {
+    const store = backend();
+    const keys = [];
+    for (let i = 0; i < store.length; i++) keys.push(store.key(i));
+    // 尚未写入底层存储的新键
+    cache.forEach((entry, k) => {
+      if (entry.pending && !keys.includes(k)) keys.push(k);
+    });
+    return keys;
+  }
+
+  // 解密底层存储中的全部密文，并加密受保护的明文
+  async function loadAll() {
+    const store = backend();
+    await flush();
+    cache.clear();
+    for (const k of allKeys()) {
+      const raw = store.getItem(k);
+      if (isSealed(raw)) {
+        try {
+          cache.set(k, { plain: await open(key, raw), sealed: raw, pending: false });
+        } catch (error) {
+          console.warn('[vault] 无法解密', k, error);
+        }
+      } else if (raw != null && PROTECTED_KEYS.some(match => match(k))) {
+        setItem(k, raw);
+      }
+    }
+    await flush();
+  }
+
+  function getItem(k) {
+    const raw = backend().getItem(k);
+    const entry = cache.get(k);
+    if (entry && (entry.pending || entry.sealed === raw)) return entry.plain;
+    if (!isSealed(raw)) return raw;
+    // 其他页面写入的新密文：后台解密，解密完成前返回旧值（没有旧值时视为不存在）
+    if (key) refresh(k, raw);
+    return entry ? entry.plain : null;
+  }
+
+  async function refresh(k, raw) {
+    try {
+      const plain = await open(key, raw);
+      if (backend().getItem(k) === raw) cache.set(k, { plain, sealed: raw, pending: false });
+    } catch (error) {
+      console.warn('[vault] 无法解密', k, error);
+    }
+  }
+
+  /**
+   * 写入：未设置口令时直接写入；已锁定时抛出错误
+   * @returns {Promise<void>} - 密文写入底层存储后完成
+   */
+  function setItem(k, value) {
+    if (!isSetUp()) {
+      backend().setItem(k, value);
+      return Promise.resolve();
+    }
+    if (!key) throw new Error('加密存储已锁定，请先输入口令解锁');
+    const entry = { plain: String(value), sealed: null, pending: true };
+    cache.set(k, entry);
+    const write = seal(key, entry.plain).then(sealed => {
+      // 期间被覆盖或删除的不再写入
+      if (cache.get(k) !== entry) return;
+      backend().setItem(k, sealed);
+      entry.sealed = sealed;
+      entry.pending = false;
+    }).finally(() => writes.delete(write));
+    writes.add(write);
+    return write;
+  }
+
+  function removeItem(k) {
+    cache.delete(k);
+    backend().removeItem(k);
+  }
+
+  /**
+   * 等待所有未完成的加密写入
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    while (writes.size) await Promise.all([...writes]);
+  }
+
+  // 记住解锁状态：派生密钥以明文存入 sessionStorage，同一标签页内跳转页面免输口令，
+  // 代价是能在该标签页执行脚本的代码（如 XSS）可以读到密钥，因此只在用户勾选时保存
+  async function remember(cryptoKey, enabled) {
+    const store = session();
+    if (!store) return;
+    if (enabled) store.setItem(SESSION_KEY, toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKey))));
+    else store.removeItem(SESSION_KEY);
+  }
+
+  /**
+   * 首次设置口令，并加密已有的历史记录
+   * @param {string} passphrase - 口令
+   * @param {{ remember?: boolean }} [opts] - remember 为 true 时在本会话内保留解锁状态（默认不保留）
+   * @returns {Promise<void>}
+   */
+  async function setup(passphrase, opts = {}) {
+    if (!isEnabled()) throw new Error('系统配置已关闭本地加密（CONFIG.system.storage.encryption）');
+    if (readMeta()) throw new Error('已设置过口令，请使用修改口令');
+    const { iterations } = settings();
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const cryptoKey = await deriveKey(passphrase, salt, iterations, true);
+    backend().setItem(META_KEY, JSON.stringify({
+      version: 1,
+      algorithm: config().security?.encryption?.algorithm || 'AES-256-GCM',
+      kdf: 'PBKDF2-SHA256',
+      iterations,
+      salt: toBase64(salt),
+      check: await seal(cryptoKey, CHECK_TEXT),
+      createdAt: new Date().toISOString()
+    }));
+    key = cryptoKey;
+    await remember(cryptoKey, opts.remember === true);
+    await loadAll();
+    await resealStores(codec(cryptoKey));
+    notify();
+  }
+
+  /**
+   * 解锁
+   * @param {string} passphrase - 口令
+   * @param {{ remember?: boolean }} [opts] - remember 为 true 时在本会话内保留解锁状态，同一标签页的其他页面无需再输口令（默认不保留）
+   * @returns {Promise<void>} - 口令错误时抛出错误
+   */
+  async function unlock(passphrase, opts = {}) {
+    const meta = readMeta();
+    if (!meta) throw new Error('尚未设置加密口令');
+    const cryptoKey = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations, true);
+    if (!(await checkKey(cryptoKey, meta))) throw new Error('口令错误');
+    key = cryptoKey;
+    await remember(cryptoKey, opts.remember === true);
+    await loadAll();
+    notify();
+  }
+
+  /**
+   * 锁定：清除内存中的密钥与明文
+   */
+  function lock() {
+    key = null;
+    cache.clear();
+    const store = session();
+    if (store) store.removeItem(SESSION_KEY);
+    notify();
+  }
+
+  // 同一会话内其他页面已解锁时直接恢复
+  async function restoreSession() {
+    const store = session();
+    const saved = store && store.getItem(SESSION_KEY);
+    const meta = readMeta();
+    if (!saved || !meta || !isEnabled()) return;
+    try {
+      const cryptoKey = await crypto.subtle.importKey('raw', fromBase64(saved), 'AES-GCM', true, ['encrypt', 'decrypt']);
+      if (!(await checkKey(cryptoKey, meta))) throw new Error('会话密钥已失效');
+      key = cryptoKey;
+      await loadAll();
+      notify();
+    } catch (error) {
+      store.removeItem(SESSION_KEY);
+    }
+  }
+
+  /**
+   * 修改口令：用新口令重新加密全部密文
+   * @param {string} oldPassphrase - 原口令
+   * @param {string} newPassphrase - 新口令
+   * @param {{ remember?: boolean }} [opts] - 同 unlock
+   * @returns {Promise<number>} - 重新加密的条目数
+   */
+  async function changePassphrase(oldPassphrase, newPassphrase, opts = {}) {
+    await unlock(oldPassphrase, opts);
+    const { iterations } = settings();
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const cryptoKey = await deriveKey(newPassphrase, salt, iterations, true);
+
+    // 先全部加密好再写入：localStorage、口令信息、外部存储（仍用原密钥读出）依次写入，
+    // 任一步失败时把已写入的 localStorage 条目与口令信息恢复为原密文，数据仍可用原口令解密
+    const sealedEntries = [];
+    for (const [k, entry] of cache) sealedEntries.push([k, entry, await seal(cryptoKey, entry.plain)]);
+    const previousMeta = backend().getItem(META_KEY);
+    const meta = { ...readMeta(), iterations, salt: toBase64(salt), check: await seal(cryptoKey, CHECK_TEXT) };
+    const written = [];
+    try {
+      for (const [k, entry, sealed] of sealedEntries) {
+        backend().setItem(k, sealed);
+        written.push([k, entry, entry.sealed]);
+        entry.sealed = sealed;
+      }
+      backend().setItem(META_KEY, JSON.stringify(meta));
+      await resealStores(codec(cryptoKey));
+    } catch (error) {
+      written.forEach(([k, entry, previous]) => {
+        backend().setItem(k, previous);
+        entry.sealed = previous;
+      });
+      backend().setItem(META_KEY, previousMeta);
+      throw error;
+    }
+    key = cryptoKey;
+    await remember(cryptoKey, opts.remember === true);
+    notify();
+    return sealedEntries.length;
+  }
+
+  /**
+   * 关闭加密：解密全部数据写回明文，并删除口令信息
+   * @param {string} passphrase - 口令
+   * @returns {Promise<void>}
+   */
+  async function disable(passphrase) {
+    await unlock(passphrase);
+    await resealStores(null);
+    cache.forEach((entry, k) => backend().setItem(k, entry.plain));
+    backend().removeItem(META_KEY);
+    lock();
+  }
+
+  /**
+   * 注册 localStorage 以外的加密数据，设置口令、修改口令、关闭加密时回调
+   * @param {Function} handler - async handler(codec)：用 openText / openBytes 读出全部数据，
+   *        再用 codec.sealText / codec.sealBytes 加密写回；codec 为 null 时写回明文
+   * @returns {Function} - 取消注册
+   */
+  function registerStore(handler) {
+    stores.add(handler);
+    return () => stores.delete(handler);
+  }
+
+  /**
+   * 订阅状态变化
+   * @param {Function} listener - listener(status)，status 为 disabled、locked、unlocked
+   * @returns {Function} - 取消订阅
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // 其他页面修改了口令时本页锁定；写入了新密文时更新缓存
+  if (!options.backend && typeof window !== 'undefined') {
+    window.addEventListener('storage', event => {
+      if (!key || !event.key) return;
+      if (event.key === META_KEY) lock();
+      else if (isSealed(event.newValue)) refresh(event.key, event.newValue);
+      else if (event.newValue === null) cache.delete(event.key);
+    });
+  }
+
+  const storage = {
+    getItem,
+    setItem,
+    removeItem,
+    flush,
+    key: index => allKeys()[index] ?? null,
+    get length() {
+      return allKeys().length;
+    }
+  };
+
+  return {
+    ready: options.restore === false ? Promise.resolve() : restoreSession(),
+    storage,
+    // 以下四个方法在锁定时返回失败的 Promise
+    sealText: async text => seal(currentKey(), text),
+    openText: async sealed => open(currentKey(), sealed),
+    sealBytes: async bytes => encrypt(currentKey(), bytes),
+    openBytes: async bytes => decrypt(currentKey(), bytes),
+    registerStore,
+    isEnabled,
+    isSetUp,
+    isUnlocked,
+    setup,
+    unlock,
+    lock,
+    changePassphrase,
+    disable,
+    subscribe
+  };
+}
+
+// 供非模块脚本（models.js、history-storage.js）使用
+if (typeof window !== 'undefined') {
+  window.CryptoVault = createVault();
+}
+
+export { SEALED_PREFIX, isSealed, createVault };
@@ -0,0 +1,96 @@
+// 批量上链 - 对多条记录的内容哈希建 Merkle 树，只登记根哈希，每条记录保存自己的证明
+// 批量上链的记录 chain 字段在单条上链的基础上增加 { batchId, merkleRoot, leafIndex, merkleProof }
+import { buildHashPayload, hashPayload } from '../../utils/hash/canonical-json.js';
+import { buildMerkleTree, getMerkleProof, verifyMerkleProof } from '../../utils/hash/merkle.js';
+import { anchorRecordHash } from './hash-registry.js';
+
+/**
+ * 按记录顺序建树
+ * @param {Array<Object>} records - 历史记录，需含 contentHash
+ * @returns {Promise<{ batchId: string, root: string, size: number, entries: Array<Object> }>}
+ *          entries 为 { recordId, contentHash, leafIndex, proof }
+ */
+async function buildBatch(records) {
+  if (!Array.isArray(records) || records.length === 0) throw new Error('请至少选择一条记录');
+  const missing = records.find(r => !r.contentHash);
+  if (missing) throw new Error(`记录 ${missing.id} 缺少内容哈希，无法批量上链`);
+
+  const tree = await buildMerkleTree(records.map(r => r.contentHash));
+  return {
+    batchId: `batch-${tree.root.slice(0, 16)}`,
+    root: tree.root,
+    size: records.length,
+    entries: records.map((r, index) => ({
+      recordId: r.id,
+      contentHash: r.contentHash,
+      leafIndex: index,
+      proof: getMerkleProof(tree, index)
+    }))
+  };
+}
+
+/**
+ * 把批次的上链状态与各自的证明写回记录
+ * @param {Array<Object>} records - 与 buildBatch 相同顺序的记录
+ * @param {Object} batch - buildBatch 的结果
+ * @param {Object} chain - 根哈希的上链状态
+ * @returns {Array<Object>} - 新的记录对象
+ */
+function applyBatch(records, batch, chain) {
+  return records.map((record, index) => ({
+    ...record,
+    chain: {
+      ...chain,
+      batchId: batch.batchId,
+      merkleRoot: batch.root,
+      leafIndex: index,
+      merkleProof: batch.entries[index].proof
+    }
+  }));
+}
+
+/**
+ * 批量上链：登记 Merkle 根并等待回执
+ * @param {Object} contract - 登记合约实例
+ * @param {string} account - 发送交易的账户
+ * @param {Array<Object>} records - 历史记录
+ * @param {{ registry?: string, onUpdate?: Function }} [options] - onUpdate(records) 在拿到交易哈希时回调
+ * @returns {Promise<{ batch: Object, records: Array<Object> }>} - 失败时抛出错误，error.records 为 failed 状态的记录
+ */
+async function anchorBatch(contract, account, records, options = {}) {
+  const batch = await buildBatch(records);
+  try {
+    const chain = await anchorRecordHash(contract, account, { id: batch.batchId, contentHash: batch.root }, {
+      registry: options.registry,
+      onUpdate: pending => {
+        if (options.onUpdate) options.onUpdate(applyBatch(records, batch, pending));
+      }
+    });
+    return { batch, records: applyBatch(records, batch, chain) };
+  } catch (error) {
+    if (error.chain) error.records = applyBatch(records, batch, error.chain);
+    throw error;
+  }
+}
+
+/**
+ * 离线验证批量上链的记录：内容哈希与字段一致，且证明能推算出登记的根
+ * @param {Object} record - 历史记录
+ * @returns {Promise<{ valid: boolean, message: string, root: string|null }>}
+ */
+async function verifyBatchedRecord(record) {
+  const chain = record.chain || {};
+  if (!chain.merkleRoot) return { valid: false, message: '该记录不是批量上链的记录', root: null };
+  const contentHash = await hashPayload(buildHashPayload(record));
+  if (contentHash !== record.contentHash) {
+    return { valid: false, message: '合同内容与内容哈希不一致', root: chain.merkleRoot };
+  }
+  const valid = await verifyMerkleProof(record.contentHash, chain.merkleProof, chain.merkleRoot);
+  return {
+    valid,
+    message: valid ? `Merkle 证明有效，批次根 ${chain.merkleRoot}` : 'Merkle 证明与批次根不符',
+    root: chain.merkleRoot
+  };
+}
+
+export { buildBatch, applyBatch, anchorBatch, verifyBatchedRecord };
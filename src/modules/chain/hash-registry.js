@@ -0,0 +1,161 @@
+// 合同内容哈希上链 - 调用 contracts/HashRegistry.sol 登记哈希并跟踪交易状态
+// 历史记录的 chain 字段：{ status, txHash, blockNumber, registry, anchoredAt, error }
+// status 为 not_submitted、pending、confirmed、failed
+
+// contracts/HashRegistry.sol 的 ABI
+const HASH_REGISTRY_ABI = [
+  {
+    type: 'function',
+    name: 'anchor',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'contentHash', type: 'bytes32' },
+      { name: 'recordId', type: 'string' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'getAnchor',
+    stateMutability: 'view',
+    inputs: [{ name: 'contentHash', type: 'bytes32' }],
+    outputs: [
+      { name: 'submitter', type: 'address' },
+      { name: 'timestamp', type: 'uint256' },
+      { name: 'blockNumber', type: 'uint256' }
+    ]
+  },
+  {
+    type: 'function',
+    name: 'isAnchored',
+    stateMutability: 'view',
+    inputs: [{ name: 'contentHash', type: 'bytes32' }],
+    outputs: [{ name: '', type: 'bool' }]
+  },
+  {
+    type: 'event',
+    name: 'HashAnchored',
+    anonymous: false,
+    inputs: [
+      { name: 'contentHash', type: 'bytes32', indexed: true },
+      { name: 'submitter', type: 'address', indexed: true },
+      { name: 'recordId', type: 'string', indexed: false },
+      { name: 'timestamp', type: 'uint256', indexed: false }
+    ]
+  }
+];
+
+/**
+ * 64 位十六进制内容哈希转 bytes32 参数
+ * @param {string} contentHash - SHA-256 十六进制，可带 0x
+ * @returns {string} - 0x 开头的 32 字节十六进制
+ */
+function toBytes32(contentHash) {
+  const clean = String(contentHash || '').replace(/^0x/i, '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(clean)) throw new Error(`内容哈希格式无效: ${contentHash}`);
+  return '0x' + clean;
+}
+
+/**
+ * 读取 CONFIG.blockchain.registry
+ * @returns {{ address: string, rpcUrl: string }}
+ */
+function getRegistryConfig() {
+  const config = globalThis.CONFIG?.blockchain?.registry || {};
+  return { address: config.address || '', rpcUrl: config.rpcUrl || '' };
+}
+
+/**
+ * 连接登记合约：有钱包时用钱包账户，否则直连本地节点并使用节点的第一个账户
+ * @param {Function} Web3 - Web3 构造函数
+ * @param {Object} [provider] - EIP-1193 提供者（window.ethereum）
+ * @param {{ address?: string, rpcUrl?: string, readOnly?: boolean }} [options] - 覆盖 CONFIG 中的配置；readOnly 只查询，不请求账户
+ * @returns {Promise<{ web3: Object, contract: Object, account: string, address: string }>}
+ */
+async function connectRegistry(Web3, provider, options = {}) {
+  const config = { ...getRegistryConfig(), ...options };
+  if (!config.address) throw new Error('未配置 HashRegistry 合约地址（CONFIG.blockchain.registry.address）');
+  if (!provider && !config.rpcUrl) throw new Error('未检测到以太坊钱包，也未配置节点地址');
+
+  const web3 = new Web3(provider || config.rpcUrl);
+  const contract = new web3.eth.Contract(HASH_REGISTRY_ABI, config.address);
+  if (config.readOnly) return { web3, contract, account: null, address: config.address };
+  const accounts = provider
+    ? await provider.request({ method: 'eth_requestAccounts' })
+    : await web3.eth.getAccounts();
+  if (!accounts || !accounts[0]) throw new Error('没有可用于发送交易的账户');
+  return {
+    web3,
+    contract,
+    account: accounts[0],
+    address: config.address
+  };
+}
+
+/**
+ * 查询哈希的登记信息
+ * @param {Object} contract - 登记合约实例
+ * @param {string} contentHash - 内容哈希
+ * @returns {Promise<{ anchored: boolean, submitter: string|null, timestamp: number, blockNumber: number }>}
+ */
+async function lookupAnchor(contract, contentHash) {
+  const result = await contract.methods.getAnchor(toBytes32(contentHash)).call();
+  const timestamp = Number(result.timestamp);
+  return {
+    anchored: timestamp > 0,
+    submitter: timestamp > 0 ? result.submitter : null,
+    timestamp,
+    blockNumber: Number(result.blockNumber)
+  };
+}
+
+/**
+ * 把记录的内容哈希写入登记合约，等待交易回执
+ * @param {Object} contract - 登记合约实例（web3.eth.Contract）
+ * @param {string} account - 发送交易的账户
+ * @param {Object} record - 历史记录，需含 contentHash
+ * @param {{ registry?: string, onUpdate?: Function }} [options] - onUpdate(chain) 在拿到交易哈希时回调
+ * @returns {Promise<Object>} - 新的 chain 状态；交易失败时抛出错误，error.chain 为 failed 状态
+ */
+async function anchorRecordHash(contract, account, record, options = {}) {
+  if (!record.contentHash) throw new Error('记录缺少内容哈希，无法上链');
+  const hash = toBytes32(record.contentHash);
+  const registry = options.registry || contract.options?.address || null;
+
+  // 同一哈希只能登记一次，已登记的直接返回链上信息
+  const existing = await lookupAnchor(contract, record.contentHash);
+  if (existing.anchored) {
+    return {
+      ...(record.chain || {}),
+      status: 'confirmed',
+      blockNumber: existing.blockNumber,
+      registry,
+      submitter: existing.submitter,
+      anchoredAt: new Date(existing.timestamp * 1000).toISOString()
+    };
+  }
+
+  let chain = { status: 'pending', txHash: null, blockNumber: null, registry };
+  try {
+    const receipt = await contract.methods.anchor(hash, String(record.id || ''))
+      .send({ from: account })
+      .on('transactionHash', txHash => {
+        chain = { ...chain, txHash };
+        if (options.onUpdate) options.onUpdate(chain);
+      });
+    if (!receipt.status) throw new Error('交易执行失败');
+    return {
+      ...chain,
+      status: 'confirmed',
+      txHash: receipt.transactionHash,
+      blockNumber: Number(receipt.blockNumber),
+      submitter: account,
+      anchoredAt: new Date().toISOString()
+    };
+  } catch (error) {
+    error.chain = { ...chain, status: 'failed', error: error.message };
+    throw error;
+  }
+}
+
+export { HASH_REGISTRY_ABI, toBytes32, getRegistryConfig, connectRegistry, lookupAnchor, anchorRecordHash };
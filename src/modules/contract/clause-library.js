@@ -0,0 +1,131 @@
+// 条款库 - 可复用条款的注册、版本管理与按模板解析
+import { compareSemver } from '../../utils/semver.js';
+
+// 内置条款，模板通过 clauses: [{ id, optional, default, version }] 引用
+const BUILTIN_CLAUSES = [
+  {
+    id: 'probation',
+    version: '1.0.0',
+    title: '试用期',
+    text: '双方约定的试用期包含在劳动合同期限内，试用期不得超过《中华人民共和国劳动合同法》规定的期限，试用期工资不得低于本单位相同岗位最低档工资的百分之八十。'
+  },
+  {
+    id: 'confidentiality',
+    version: '1.0.0',
+    title: '保密义务',
+    text: '任何一方对在履行本合同过程中知悉的对方商业秘密、技术信息及个人信息负有保密义务，未经对方书面同意不得向第三方披露。本条款在合同终止后继续有效。'
+  },
+  {
+    id: 'non-compete',
+    version: '1.0.0',
+    title: '竞业限制',
+    text: '劳动者负有保密义务的，双方可另行签订竞业限制协议。竞业限制期限不超过二年，用人单位应在竞业限制期限内按月给予劳动者经济补偿。'
+  },
+  {
+    id: 'sublease-prohibited',
+    version: '1.0.0',
+    title: '转租限制',
+    text: '未经出租方书面同意，承租方不得将租赁房屋全部或部分转租、转借他人。'
+  },
+  {
+    id: 'repair-responsibility',
+    version: '1.0.0',
+    title: '维修责任',
+    text: '租赁期内房屋及附属设施的自然损耗由出租方负责维修；因承租方使用不当造成的损坏，由承租方负责修复或赔偿。'
+  },
+  {
+    id: 'dispute-resolution',
+    version: '1.0.0',
+    title: '争议解决',
+    text: '因本合同引起的争议，双方应协商解决；协商不成的，任何一方均可向合同履行地有管辖权的人民法院提起诉讼。'
+  },
+  {
+    id: 'labor-dispute-resolution',
+    version: '1.0.0',
+    title: '劳动争议处理',
+    text: '双方因履行本合同发生争议的，可以协商解决；不愿协商或协商不成的，可以向劳动争议仲裁委员会申请仲裁；对仲裁裁决不服的，可以依法向人民法院提起诉讼。'
+  }
+];
+
+class ClauseLibrary {
+  constructor(clauses = []) {
+    this.clauses = new Map(); // id -> 按版本降序排列的条款列表
+    clauses.forEach(clause => this.register(clause));
+  }
+
+  /**
+   * 注册条款（同一 id 可注册多个版本）
+   * @param {Object} clause - { id, version, title, text }
+   */
+  register(clause) {
+    if (!clause || !clause.id || !clause.version || typeof clause.text !== 'string') {
+      throw new Error('条款必须包含 id、version 和 text');
+    }
+    const versions = this.clauses.get(clause.id) || [];
+    if (versions.some(c => c.version === clause.version)) {
+      throw new Error(`条款 ${clause.id}@${clause.version} 已存在`);
+    }
+    versions.push({ ...clause });
+    versions.sort((a, b) => compareSemver(b.version, a.version));
+    this.clauses.set(clause.id, versions);
+  }
+
+  /**
+   * 获取条款，未指定版本时返回最新版本
+   * @param {string} id - 条款 ID
+   * @param {string} [version] - 版本号
+   * @returns {Object|null} 条款对象
+   */
+  get(id, version) {
+    const versions = this.clauses.get(id);
+    if (!versions) return null;
+    if (!version) return versions[0];
+    return versions.find(c => c.version === version) || null;
+  }
+
+  /**
+   * 列出全部条款的最新版本
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.clauses.values()].map(versions => versions[0]);
+  }
+
+  /**
+   * 解析模板引用的条款
+   * @param {Object} template - 模板对象
+   * @param {Array<string>} [selectedIds] - 用户勾选的可选条款 ID，未提供时使用条款的 default 设置
+   * @returns {Array<Object>} - [{ id, version, title, text, optional, included }]
+   */
+  resolve(template, selectedIds) {
+    return (template.clauses || []).map(ref => {
+      // 模板内联条款（带 text）优先，否则从条款库读取
+      const source = typeof ref.text === 'string' ? ref : this.get(ref.id, ref.version);
+      if (!source) {
+        throw new Error(
+          `模板 ${template.id} 引用了不存在的条款: ${ref.id}${ref.version ? '@' + ref.version : ''}`
+        );
+      }
+
+      const optional = Boolean(ref.optional);
+      let included = true;
+      if (optional) {
+        included = Array.isArray(selectedIds) ? selectedIds.includes(ref.id) : Boolean(ref.default);
+      }
+
+      return {
+        id: ref.id,
+        version: source.version || template.version || '1.0.0',
+        title: ref.title || source.title || ref.id,
+        text: source.text,
+        optional,
+        included
+      };
+    });
+  }
+}
+
+// 全局默认条款库
+const clauseLibrary = new ClauseLibrary(BUILTIN_CLAUSES);
+
+export { ClauseLibrary, clauseLibrary, BUILTIN_CLAUSES };
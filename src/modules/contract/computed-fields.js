@@ -0,0 +1,403 @@
+// 计算字段 - 模板通过 computed 声明由其他字段计算得出的值（租金总额、大写金额等）
+// 公式只支持四则运算、字段引用与白名单函数，不使用 eval
+import { parseCurrency } from '../../utils/validation.js';
+import { toRmbUppercase } from '../../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 依赖字段未填写时中止计算，计算字段显示为空
+const INCOMPLETE = Symbol('incomplete');
+
+function expressionError(message, expression) {
+  const error = new Error(`计算公式错误：${message}（${expression}）`);
+  error.name = 'ExpressionSyntaxError';
+  return error;
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w]*)|([-+*/(),]))/y;
+  let index = 0;
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw expressionError(`无法识别的字符 "${expression.slice(index).trim()[0]}"`, expression);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'num', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * 解析计算公式为语法树
+ * 语法：expr := term (('+'|'-') term)*；term := unary (('*'|'/') unary)*；
+ *       unary := '-' unary | 数字 | 字段名 | 函数名 '(' 参数 ')' | '(' expr ')'
+ * @param {string} expression - 公式，如 'round(monthlyRent * monthsBetween(rentStartDate, rentEndDate), 2)'
+ * @returns {Object} - 语法树
+ * @throws {Error} - 语法错误或使用了不支持的函数时抛出，error.name 为 'ExpressionSyntaxError'
+ */
+function parseExpression(expression) {
+  const tokens = tokenize(String(expression));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+  const expect = value => {
+    if (!isOp(value)) throw expressionError(`缺少 "${value}"`, expression);
+    pos++;
+  };
+
+  function parseAdditive() {
+    let node = parseMultiplicative();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  }
+
+  function parseMultiplicative() {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) throw expressionError('公式不完整', expression);
+    if (isOp('-')) {
+      pos++;
+      return { type: 'neg', value: parseUnary() };
+    }
+    if (isOp('(')) {
+      pos++;
+      const node = parseAdditive();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'num') {
+      pos++;
+      return { type: 'num', value: token.value };
+    }
+    if (token.type === 'name') {
+      pos++;
+      if (!isOp('(')) return { type: 'ref', name: token.value };
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseAdditive());
+        while (isOp(',')) {
+          pos++;
+          args.push(parseAdditive());
+        }
+      }
+      expect(')');
+      const func = FUNCTIONS[token.value];
+      if (!func) throw expressionError(`不支持的函数 ${token.value}`, expression);
+      if (args.length < func.args[0] || args.length > func.args[1]) {
+        throw expressionError(`函数 ${token.value} 的参数个数不正确`, expression);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    throw expressionError(`意外的 "${token.value}"`, expression);
+  }
+
+  const ast = parseAdditive();
+  if (pos < tokens.length) throw expressionError(`多余的 "${tokens[pos].value}"`, expression);
+  return ast;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') throw INCOMPLETE;
+  const number = parseCurrency(value);
+  if (!Number.isFinite(number)) throw INCOMPLETE;
+  return number;
+}
+
+function toDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) throw INCOMPLETE;
+  const [year, month, day] = value.split('-').map(Number);
+  return { year, month, day, time: Date.UTC(year, month - 1, day) };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * 起止日期之间的月数（含结束当日）：先数整月，不足一月的天数按当月天数折算，保留两位小数
+ * 如 2025-01-01 至 2025-12-31 为 12，2025-01-01 至 2025-01-15 为 0.48
+ * 对应日在目标月不存在时，该月最后一天即满一整月：2025-01-31 至 2025-02-28 为 1，2024-02-29 至 2025-02-28 为 12
+ */
+function monthsBetween(start, end) {
+  const from = toDate(start);
+  const to = toDate(end);
+  if (to.time < from.time) return 0;
+  // 结束日当天计入期限，以次日为终点
+  const stop = new Date(to.time + DAY_MS);
+  // 第 n 个整月的终点：目标月的对应日；目标月没有对应日时为下月 1 日
+  const anchorOf = n => (from.day <= daysInMonth(from.year, from.month + n)
+    ? Date.UTC(from.year, from.month - 1 + n, from.day)
+    : Date.UTC(from.year, from.month + n, 1));
+  let months = (stop.getUTCFullYear() - from.year) * 12 + (stop.getUTCMonth() + 1 - from.month);
+  while (anchorOf(months) > stop.getTime()) months--;
+  const anchor = anchorOf(months);
+  const restDays = Math.round((stop.getTime() - anchor) / DAY_MS);
+  const anchorDate = new Date(anchor);
+  const fraction = restDays / daysInMonth(anchorDate.getUTCFullYear(), anchorDate.getUTCMonth() + 1);
+  return Math.round((months + fraction) * 100) / 100;
+}
+
+function round(value, digits = 0) {
+  const factor = 10 ** digits;
+  return Math.round((value + Number.EPSILON) * factor) / factor;
+}
+
+// 白名单函数；lazy 函数接收未求值的参数（按分组的每一行求值）
+const FUNCTIONS = {
+  round: { args: [1, 2], fn: (value, digits) => round(toNumber(value), digits === undefined ? 0 : toNumber(digits)) },
+  floor: { args: [1, 1], fn: value => Math.floor(toNumber(value)) },
+  ceil: { args: [1, 1], fn: value => Math.ceil(toNumber(value)) },
+  abs: { args: [1, 1], fn: value => Math.abs(toNumber(value)) },
+  min: { args: [1, Infinity], fn: (...values) => Math.min(...values.map(toNumber)) },
+  max: { args: [1, Infinity], fn: (...values) => Math.max(...values.map(toNumber)) },
+  daysBetween: { args: [2, 2], fn: (start, end) => Math.round((toDate(end).time - toDate(start).time) / DAY_MS) },
+  monthsBetween: { args: [2, 2], fn: monthsBetween },
+  rmbUppercase: { args: [1, 1], fn: value => toRmbUppercase(toNumber(value)) },
+  count: { args: [1, 1], fn: rows => (Array.isArray(rows) ? rows.length : 0) },
+  // sum(items, quantity * unitPrice) 按行求和；sum(a, b, c) 为普通求和
+  sum: {
+    args: [1, Infinity],
+    lazy: true,
+    fn: (evaluate, args, scope) => {
+      const first = evaluate(args[0]);
+      if (Array.isArray(first) && args.length === 2) {
+        return first.reduce((total, row) => total + toNumber(evaluateNode(args[1], { ...scope, ...row })), 0);
+      }
+      return args.reduce((total, arg, i) => {
+        const value = i === 0 ? first : evaluate(arg);
+        return total + (Array.isArray(value) ? value.reduce((acc, v) => acc + toNumber(v), 0) : toNumber(value));
+      }, 0);
+    }
+  }
+};
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'ref':
+      if (scope[node.name] === undefined || scope[node.name] === null || scope[node.name] === '') throw INCOMPLETE;
+      return scope[node.name];
+    case 'neg':
+      return -toNumber(evaluateNode(node.value, scope));
+    case 'binary': {
+      const left = toNumber(evaluateNode(node.left, scope));
+      const right = toNumber(evaluateNode(node.right, scope));
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      if (right === 0) throw INCOMPLETE;
+      return left / right;
+    }
+    case 'call': {
+      const func = FUNCTIONS[node.name];
+      if (func.lazy) return func.fn(arg => evaluateNode(arg, scope), node.args, scope);
+      return func.fn(...node.args.map(arg => evaluateNode(arg, scope)));
+    }
+    default:
+      throw INCOMPLETE;
+  }
+}
+
+/**
+ * 求值计算公式；依赖字段为空或无法计算（如除以零）时返回 null
+ * @param {string|Object} expression - 公式或 parseExpression 的结果
+ * @param {Object} scope - 字段值
+ * @returns {number|string|null}
+ */
+function evaluateExpression(expression, scope = {}) {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  try {
+    const value = evaluateNode(ast, scope);
+    return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+  } catch (error) {
+    if (error === INCOMPLETE) return null;
+    throw error;
+  }
+}
+
+/**
+ * 收集公式引用的字段名；sum(分组, 表达式) 逐行表达式中的引用单独列出
+ * @param {Object} ast - 语法树
+ * @returns {{ refs: Array<string>, rowRefs: Array<{group: string, name: string}> }}
+ */
+function collectReferences(ast) {
+  const refs = [];
+  const rowRefs = [];
+  const walk = (node, group) => {
+    if (node.type === 'ref') {
+      if (group) rowRefs.push({ group, name: node.name });
+      else refs.push(node.name);
+    } else if (node.type === 'neg') {
+      walk(node.value, group);
+    } else if (node.type === 'binary') {
+      walk(node.left, group);
+      walk(node.right, group);
+    } else if (node.type === 'call') {
+      node.args.forEach((arg, i) => {
+        const rowGroup = node.name === 'sum' && i === 1 && node.args.length === 2 && node.args[0].type === 'ref'
+          ? node.args[0].name
+          : group;
+        walk(arg, rowGroup);
+      });
+    }
+  };
+  walk(ast, null);
+  return { refs, rowRefs };
+}
+
+/**
+ * 格式化计算结果：金额保留两位小数，其他数字去掉浮点误差
+ * @param {Object} field - 字段定义
+ * @param {number|string|null} value - 计算结果
+ * @returns {string|number}
+ */
+function formatComputedValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'number') return value;
+  if (field.type === 'currency') return round(value, 2).toFixed(2);
+  return Number(value.toFixed(10));
+}
+
+// 按依赖顺序排列计算字段，存在循环依赖时抛出
+function orderComputedFields(fields) {
+  const computed = new Map(fields.filter(f => f && f.computed !== undefined).map(f => [f.name, f]));
+  const order = [];
+  const state = new Map();
+  const visit = (name, path) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      const error = new Error(`计算字段存在循环依赖: ${[...path.slice(path.indexOf(name)), name].join(' → ')}`);
+      error.name = 'ExpressionSyntaxError';
+      throw error;
+    }
+    state.set(name, 'visiting');
+    collectReferences(parseExpression(computed.get(name).computed)).refs
+      .filter(ref => computed.has(ref))
+      .forEach(ref => visit(ref, [...path, name]));
+    state.set(name, 'done');
+    order.push(computed.get(name));
+  };
+  computed.forEach((_, name) => visit(name, []));
+  return order;
+}
+
+/**
+ * 计算模板中全部计算字段（包括分组每一行的计算子字段），计算结果覆盖用户填写的同名值
+ * @param {Object} template - 模板对象
+ * @param {Object} values - 字段值
+ * @returns {Object} - 包含计算结果的新字段值对象
+ */
+function computeFieldValues(template, values = {}) {
+  const result = { ...values };
+  const fields = template.fields || [];
+
+  fields
+    .filter(field => field.type === 'group' && Array.isArray(result[field.name]))
+    .forEach(group => {
+      const subComputed = orderComputedFields(group.fields || []);
+      if (subComputed.length === 0) return;
+      result[group.name] = result[group.name].map(row => {
+        const next = { ...row };
+        subComputed.forEach(sub => {
+          next[sub.name] = formatComputedValue(sub, evaluateExpression(sub.computed, { ...result, ...next }));
+        });
+        return next;
+      });
+    });
+
+  orderComputedFields(fields).forEach(field => {
+    result[field.name] = formatComputedValue(field, evaluateExpression(field.computed, result));
+  });
+  return result;
+}
+
+function isComputedField(field) {
+  return Boolean(field) && field.computed !== undefined;
+}
+
+/**
+ * 检查计算字段定义（供模板校验使用）：语法与函数、引用的字段、循环依赖
+ * @param {Object} template - 模板对象
+ * @returns {Array<{field: string, code: string, message: string}>}
+ */
+function validateComputedDefinitions(template) {
+  const errors = [];
+  const fields = (Array.isArray(template.fields) ? template.fields : []).filter(f => f && f.name);
+  const byName = new Map(fields.map(f => [f.name, f]));
+
+  const checkField = (field, location, scopeFields) => {
+    const push = (code, message) => errors.push({ field: location, code, message: `字段 ${field.name} 的计算公式${message}` });
+    if (typeof field.computed !== 'string' || !field.computed.trim()) {
+      push('computed_invalid', '必须是非空字符串');
+      return;
+    }
+    let ast;
+    try {
+      ast = parseExpression(field.computed);
+    } catch (error) {
+      push('computed_syntax', `有误：${error.message.replace('计算公式错误：', '')}`);
+      return;
+    }
+    const { refs, rowRefs } = collectReferences(ast);
+    refs
+      .filter(ref => !scopeFields.has(ref))
+      .forEach(ref => push('computed_field_unknown', `引用了不存在的字段: ${ref}`));
+    rowRefs.forEach(({ group, name }) => {
+      const groupField = byName.get(group);
+      const subNames = new Set(((groupField && groupField.fields) || []).map(sub => sub.name));
+      if (!groupField || groupField.type !== 'group') push('computed_group_invalid', `中 sum 的第一个参数不是分组字段: ${group}`);
+      else if (!subNames.has(name) && !scopeFields.has(name)) push('computed_field_unknown', `引用了分组 ${group} 中不存在的字段: ${name}`);
+    });
+    if (refs.includes(field.name)) push('computed_self_reference', '不能引用字段自身');
+  };
+
+  fields.forEach(field => {
+    if (isComputedField(field)) checkField(field, `fields.${field.name}.computed`, new Set(byName.keys()));
+    if (field.type === 'group' && Array.isArray(field.fields)) {
+      // 行内公式可引用同一行的子字段，也可引用模板顶层字段
+      const scope = new Set([...byName.keys(), ...field.fields.map(sub => sub && sub.name)]);
+      field.fields
+        .filter(isComputedField)
+        .forEach(sub => checkField(sub, `fields.${field.name}.fields.${sub.name}.computed`, scope));
+    }
+  });
+
+  if (errors.length === 0) {
+    try {
+      orderComputedFields(fields);
+      fields
+        .filter(f => f.type === 'group' && Array.isArray(f.fields))
+        .forEach(group => orderComputedFields(group.fields));
+    } catch (error) {
+      errors.push({ field: 'fields', code: 'computed_cycle', message: error.message });
+    }
+  }
+  return errors;
+}
+
+export {
+  parseExpression,
+  evaluateExpression,
+  computeFieldValues,
+  formatComputedValue,
+  isComputedField,
+  validateComputedDefinitions
+};
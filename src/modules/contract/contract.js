@@ -1,20 +1,147 @@
 // 合同生成相关功能
+import { renderTemplate } from './template-engine.js';
+import { clauseLibrary } from './clause-library.js';
+import { findTemplateVersion, getLatestTemplates } from './template-versions.js';
+import { validateFieldValues } from './field-types.js';
+import { evaluateRules } from './template-rules.js';
+import { getHiddenFields, filterVisibleValues } from './field-visibility.js';
+import { computeFieldValues } from './computed-fields.js';
+import { toChineseNumeral } from '../../utils/helpers.js';
+
 class ContractGenerator {
-  constructor(templates) {
+  constructor(templates, library = clauseLibrary) {
     this.templates = templates; // 从外部加载模板数据
+    this.clauseLibrary = library; // 可复用条款库
   }
 
   /**
-   * 根据模板名称生成合同内容
+   * 按名称、ID 或 'id@version' 查找模板，未指定版本时返回最新的未归档版本
+   * @param {string} templateName - 模板名称、模板 ID 或 'id@version'
+   * @returns {Object|undefined} - 模板对象
+   */
+  findTemplate(templateName) {
+    const [id, version] = templateName.split('@');
+    if (version) {
+      return findTemplateVersion(this.templates, id, version) || undefined;
+    }
+    const matches = this.templates.filter(
+      template => !template.archived && (template.name === templateName || template.id === templateName)
+    );
+    return matches.length > 1 ? getLatestTemplates(matches)[0] : matches[0];
+  }
+
+  /**
+   * 整理用户填写的字段值：去掉按 visibleWhen 隐藏的字段，再计算 computed 字段
+   * （计算结果覆盖同名的填写值）
+   * @param {Object} template - 模板对象
+   * @param {Object} fieldValues - 用户填写的字段值
+   * @returns {Object} - 用于校验、渲染与存档的字段值
+   */
+  resolveFieldValues(template, fieldValues = {}) {
+    const visible = filterVisibleValues(template, fieldValues);
+    return filterVisibleValues(template, computeFieldValues(template, visible));
+  }
+
+  /**
+   * 构建渲染上下文：模板声明的字段先以默认值占位，再覆盖用户填写的值，
+   * 这样只有模板未声明的占位符才会被视为未解析；按 visibleWhen 隐藏的字段为空。
+   * 分组字段默认为空列表，每行缺少的子字段同样以默认值占位
+   * @param {Object} template - 模板对象
+   * @param {Object} fieldValues - 用户填写的字段值
+   * @returns {Object} - 渲染上下文
+   */
+  buildContext(template, fieldValues = {}) {
+    const context = {};
+    const hidden = getHiddenFields(template, fieldValues);
+    (template.fields || []).forEach(field => {
+      const empty = field.type === 'group' ? [] : '';
+      context[field.name] = field.default !== undefined && !hidden.has(field.name) ? field.default : empty;
+    });
+    Object.entries(filterVisibleValues(template, fieldValues)).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) context[key] = value;
+    });
+    (template.fields || [])
+      .filter(field => field.type === 'group' && Array.isArray(context[field.name]))
+      .forEach(field => {
+        context[field.name] = context[field.name].map(row => this.buildContext(field, row || {}));
+      });
+    return context;
+  }
+
+  /**
+   * 组装合同：渲染正文并追加选中的条款
    * @param {string} templateName - 用户选择的模板名称
-   * @returns {string} - 返回合同内容
+   * @param {Object} fieldValues - 用户填写的字段值
+   * @param {Object} [options]
+   * @param {Array<string>} [options.clauses] - 勾选的可选条款 ID，未提供时按条款默认设置
+   * @returns {{ text: string, template: Object, fields: Object, clauses: Array<{id: string, version: string, title: string, text: string}> }}
+   *          fields 为包含计算结果的字段值，PDF 与历史记录应使用它
    */
-  generate(templateName) {
-    const selectedTemplate = this.templates.find(template => template.name === templateName);
+  assemble(templateName, fieldValues = {}, options = {}) {
+    const selectedTemplate = this.findTemplate(templateName);
     if (!selectedTemplate) {
       throw new Error(`未找到对应的合同模板: ${templateName}`);
     }
-    return selectedTemplate.content; // 返回模板内容
+    return this.assembleTemplate(selectedTemplate, fieldValues, options);
+  }
+
+  /**
+   * 用给定的模板对象组装合同（模板编辑器预览尚未保存的模板时使用），参数与返回值同 assemble
+   * @param {Object} selectedTemplate - 模板对象
+   * @param {Object} fieldValues - 用户填写的字段值
+   * @param {Object} [options] - 同 assemble
+   * @returns {Object}
+   */
+  assembleTemplate(selectedTemplate, fieldValues = {}, options = {}) {
+    if (typeof selectedTemplate.content !== 'string') {
+      throw new Error(`合同模板缺少正文内容: ${selectedTemplate.name || selectedTemplate.id}`);
+    }
+
+    const values = this.resolveFieldValues(selectedTemplate, fieldValues);
+
+    // 已填写的字段必须符合字段类型（身份证号、统一社会信用代码、电话等）与模板的跨字段规则
+    const fieldErrors = [
+      ...validateFieldValues(selectedTemplate, values).errors,
+      ...evaluateRules(selectedTemplate, values).errors
+    ];
+    if (fieldErrors.length > 0) {
+      const error = new Error(`字段校验失败: ${fieldErrors.map(e => e.message).join('；')}`);
+      error.name = 'FieldValidationError';
+      error.fieldErrors = fieldErrors;
+      throw error;
+    }
+
+    const context = this.buildContext(selectedTemplate, values);
+    const included = this.clauseLibrary
+      .resolve(selectedTemplate, options.clauses)
+      .filter(clause => clause.included);
+
+    // 条款与正文一起渲染，保证未解析占位符在一次报错中全部列出
+    let source = selectedTemplate.content;
+    if (included.length > 0) {
+      source += '\n\n附加条款\n';
+      source += included
+        .map((clause, i) => `${toChineseNumeral(i + 1)}、${clause.title}\n${clause.text}`)
+        .join('\n');
+    }
+
+    return {
+      text: renderTemplate(source, context),
+      template: selectedTemplate,
+      fields: values,
+      clauses: included.map(({ id, version, title, text }) => ({ id, version, title, text }))
+    };
+  }
+
+  /**
+   * 根据模板名称生成合同内容
+   * @param {string} templateName - 用户选择的模板名称
+   * @param {Object} fieldValues - 用户填写的字段值
+   * @param {Object} [options] - 同 assemble
+   * @returns {string} - 返回合同内容
+   */
+  generate(templateName, fieldValues = {}, options = {}) {
+    return this.assemble(templateName, fieldValues, options).text;
   }
 }
 
@@ -0,0 +1,61 @@
+// 合同草稿存储 - 保存填写中的表单，记录所用模板的 id 与版本
+const DRAFTS_KEY = 'sc_contract_drafts';
+
+// 草稿含个人信息，设置口令后经 CryptoVault 加密存储（见 core/crypto-vault.js）
+function defaultStorage() {
+  return globalThis.CryptoVault ? globalThis.CryptoVault.storage : globalThis.localStorage;
+}
+
+function readDrafts(storage) {
+  try {
+    return JSON.parse(storage.getItem(DRAFTS_KEY) || '{}');
+  } catch (error) {
+    console.warn('[drafts] 草稿数据解析失败，重置', error);
+    return {};
+  }
+}
+
+/**
+ * 保存草稿（已有 id 时覆盖）
+ * @param {Object} draft - { id?, title?, templateId, templateVersion, fields, clauses }
+ * @param {Storage} [storage] - 存储实现
+ * @returns {Object} - 保存后的草稿
+ */
+function saveDraft(draft, storage = defaultStorage()) {
+  if (!draft.templateId || !draft.templateVersion) {
+    throw new Error('草稿必须记录模板 id 与版本');
+  }
+  const drafts = readDrafts(storage);
+  const now = new Date().toISOString();
+  const id = draft.id || 'DR_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+  const saved = {
+    ...draft,
+    id,
+    createdAt: (drafts[id] && drafts[id].createdAt) || draft.createdAt || now,
+    updatedAt: now
+  };
+  drafts[id] = saved;
+  storage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+  return saved;
+}
+
+/**
+ * 列出草稿，按更新时间倒序
+ * @param {Storage} [storage] - 存储实现
+ * @returns {Array<Object>}
+ */
+function listDrafts(storage = defaultStorage()) {
+  return Object.values(readDrafts(storage)).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function loadDraft(id, storage = defaultStorage()) {
+  return readDrafts(storage)[id] || null;
+}
+
+function deleteDraft(id, storage = defaultStorage()) {
+  const drafts = readDrafts(storage);
+  delete drafts[id];
+  storage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+}
+
+export { saveDraft, listDrafts, loadDraft, deleteDraft };
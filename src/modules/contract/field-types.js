@@ -0,0 +1,194 @@
+// 字段语义类型 - 身份证号、统一社会信用代码、电话、邮箱、金额、以太坊地址
+// 模板与生成接口共用同一套规则，表单只负责展示错误
+import {
+  isValidIdCard,
+  isValidUSCC,
+  isValidPhone,
+  isValidEmail,
+  isValidCurrency,
+  isValidEthAddress
+} from '../../utils/validation.js';
+import { getHiddenFields } from './field-visibility.js';
+
+const SEMANTIC_FIELD_TYPES = {
+  idcard: {
+    label: '身份证号',
+    inputType: 'text',
+    placeholder: '18 位居民身份证号',
+    validate: isValidIdCard,
+    message: '身份证号格式或校验位不正确'
+  },
+  uscc: {
+    label: '统一社会信用代码',
+    inputType: 'text',
+    placeholder: '18 位统一社会信用代码',
+    validate: isValidUSCC,
+    message: '统一社会信用代码格式或校验位不正确'
+  },
+  phone: {
+    label: '联系电话',
+    inputType: 'tel',
+    placeholder: '手机号或带区号的固定电话',
+    validate: isValidPhone,
+    message: '请输入有效的手机号或带区号的固定电话'
+  },
+  email: {
+    label: '邮箱',
+    inputType: 'email',
+    placeholder: 'name@example.com',
+    validate: isValidEmail,
+    message: '邮箱格式不正确'
+  },
+  currency: {
+    label: '金额',
+    inputType: 'text',
+    inputMode: 'decimal',
+    placeholder: '如 8000.00',
+    validate: isValidCurrency,
+    message: '金额应为非负数，最多两位小数'
+  },
+  'eth-address': {
+    label: '以太坊地址',
+    inputType: 'text',
+    placeholder: '0x 开头的 40 位十六进制地址',
+    validate: isValidEthAddress,
+    message: '以太坊地址格式或校验和不正确'
+  }
+};
+
+/**
+ * 拆分字段类型，'idcard|uscc' 表示满足任一类型即可（如个人或单位均可签约）
+ * @param {string} type - 字段类型
+ * @returns {Array<string>}
+ */
+function parseFieldType(type) {
+  return String(type || 'text')
+    .split('|')
+    .map(t => t.trim())
+    .filter(Boolean);
+}
+
+function isSemanticType(type) {
+  return Object.prototype.hasOwnProperty.call(SEMANTIC_FIELD_TYPES, type);
+}
+
+/**
+ * 表单控件属性：input 的 type、inputmode 与占位提示
+ * @param {Object} field - 字段定义
+ * @returns {{ inputType: string, inputMode: string|undefined, placeholder: string }}
+ */
+function getFieldInputInfo(field) {
+  const types = parseFieldType(field.type);
+  const semantic = types.filter(isSemanticType).map(t => SEMANTIC_FIELD_TYPES[t]);
+  if (semantic.length === 0) {
+    return { inputType: types[0], inputMode: undefined, placeholder: field.placeholder || '' };
+  }
+  const single = semantic.length === 1 ? semantic[0] : null;
+  return {
+    inputType: single ? single.inputType : 'text',
+    inputMode: single ? single.inputMode : undefined,
+    placeholder: field.placeholder || (single ? single.placeholder : semantic.map(s => s.label).join('或'))
+  };
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 校验单个字段值
+ * @param {Object} field - 字段定义
+ * @param {*} value - 字段值
+ * @param {Object} [options]
+ * @param {boolean} [options.requireValues] - 是否同时检查必填
+ * @returns {{ code: string, message: string }|null} - 无错误时返回 null
+ */
+function validateFieldValue(field, value, options = {}) {
+  const label = field.label || field.name;
+  if (isEmptyValue(value)) {
+    return options.requireValues && field.required
+      ? { code: 'field_required', message: `请填写${label}` }
+      : null;
+  }
+
+  const types = parseFieldType(field.type);
+  const semantic = types.filter(isSemanticType);
+  if (semantic.length > 0) {
+    if (semantic.some(t => SEMANTIC_FIELD_TYPES[t].validate(value))) return null;
+    const message = semantic.length === 1
+      ? SEMANTIC_FIELD_TYPES[semantic[0]].message
+      : `应为有效的${semantic.map(t => SEMANTIC_FIELD_TYPES[t].label).join('或')}`;
+    return { code: 'field_invalid', message: `${label}：${message}` };
+  }
+
+  if (types.includes('number') && !Number.isFinite(Number(value))) {
+    return { code: 'field_invalid', message: `${label}：应为数字` };
+  }
+  return null;
+}
+
+/**
+ * 校验分组字段：行数符合 min / max，每行的子字段逐一校验
+ * @param {Object} field - 分组字段定义
+ * @param {Array<Object>} rows - 各行的子字段值
+ * @param {Object} [options] - 同 validateFieldValue
+ * @returns {Array<{field: string, label: string, code: string, message: string}>}
+ *          子字段错误的 field 为 'items[0].product'
+ */
+function validateGroupValue(field, rows, options = {}) {
+  const label = field.label || field.name;
+  if (isEmptyValue(rows)) {
+    const error = validateFieldValue(field, rows, options);
+    return error ? [{ field: field.name, label, ...error }] : [];
+  }
+  if (!Array.isArray(rows)) {
+    return [{ field: field.name, label, code: 'field_invalid', message: `${label}：应为列表` }];
+  }
+  const errors = [];
+  if (field.max !== undefined && rows.length > field.max) {
+    errors.push({ field: field.name, label, code: 'group_too_many', message: `${label}最多 ${field.max} 项` });
+  }
+  if (field.min !== undefined && rows.length < field.min) {
+    errors.push({ field: field.name, label, code: 'group_too_few', message: `${label}至少 ${field.min} 项` });
+  }
+  rows.forEach((row, index) => {
+    (field.fields || []).filter(sub => sub.computed === undefined).forEach(sub => {
+      const subLabel = `${label}第 ${index + 1} 项${sub.label || sub.name}`;
+      const error = validateFieldValue({ ...sub, label: subLabel }, (row || {})[sub.name], options);
+      if (error) errors.push({ field: `${field.name}[${index}].${sub.name}`, label: subLabel, ...error });
+    });
+  });
+  return errors;
+}
+
+/**
+ * 按模板字段定义校验全部字段值，按 visibleWhen 隐藏的字段与计算字段不校验
+ * @param {Object} template - 模板对象
+ * @param {Object} values - 字段值
+ * @param {Object} [options] - 同 validateFieldValue
+ * @returns {{ valid: boolean, errors: Array<{field: string, label: string, code: string, message: string}> }}
+ */
+function validateFieldValues(template, values = {}, options = {}) {
+  const errors = [];
+  const hidden = getHiddenFields(template, values);
+  (template.fields || []).forEach(field => {
+    if (hidden.has(field.name) || field.computed !== undefined) return;
+    if (field.type === 'group') {
+      errors.push(...validateGroupValue(field, values[field.name], options));
+      return;
+    }
+    const error = validateFieldValue(field, values[field.name], options);
+    if (error) errors.push({ field: field.name, label: field.label || field.name, ...error });
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+export {
+  SEMANTIC_FIELD_TYPES,
+  parseFieldType,
+  isSemanticType,
+  getFieldInputInfo,
+  validateFieldValue,
+  validateGroupValue,
+  validateFieldValues
+};
@@ -0,0 +1,156 @@
+// 字段显示条件 - 模板通过 visibleWhen 声明字段仅在其他字段取特定值时显示
+// 隐藏的字段不参与必填、类型与跨字段规则校验，其值也不会写入合同
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'in', 'checked'];
+// 无选项的 checkbox 在表单中渲染为“是/否”
+const TRUTHY_VALUES = ['true', '是', 'yes', 'on', '1'];
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function isChecked(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'boolean') return value;
+  return TRUTHY_VALUES.includes(String(value === undefined || value === null ? '' : value).trim().toLowerCase());
+}
+
+// 多选字段的值为数组，只要包含目标值即视为相等
+function matchesValue(value, expected) {
+  if (isEmptyValue(value)) return false;
+  return [].concat(value).map(String).includes(String(expected));
+}
+
+/**
+ * 统一为条件数组，数组中的条件需同时满足
+ * @param {Object|Array<Object>|undefined} visibleWhen - 字段的显示条件
+ * @returns {Array<Object>}
+ */
+function normalizeConditions(visibleWhen) {
+  if (!visibleWhen) return [];
+  return Array.isArray(visibleWhen) ? visibleWhen : [visibleWhen];
+}
+
+function testCondition(condition, value) {
+  if (condition.equals !== undefined) return matchesValue(value, condition.equals);
+  if (condition.notEquals !== undefined) return !matchesValue(value, condition.notEquals);
+  if (Array.isArray(condition.in)) return condition.in.some(expected => matchesValue(value, expected));
+  if (condition.checked !== undefined) return isChecked(value) === Boolean(condition.checked);
+  // 未指定运算符时只要求已填写
+  return !isEmptyValue(value);
+}
+
+/**
+ * 计算当前取值下隐藏的字段；依赖的字段本身被隐藏时，该字段也隐藏
+ * @param {Object} template - 模板对象
+ * @param {Object} values - 字段值
+ * @returns {Set<string>} - 隐藏字段名
+ */
+function getHiddenFields(template, values = {}) {
+  const fields = new Map((template.fields || []).filter(f => f && f.name).map(f => [f.name, f]));
+  const state = new Map();
+
+  const isVisible = name => {
+    if (state.has(name)) return state.get(name);
+    const field = fields.get(name);
+    if (!field) return true;
+    // 先标记为隐藏，循环依赖的字段因此不会显示（模板校验会报告循环）
+    state.set(name, false);
+    const visible = normalizeConditions(field.visibleWhen).every(
+      condition => isVisible(condition.field) && testCondition(condition, values[condition.field])
+    );
+    state.set(name, visible);
+    return visible;
+  };
+
+  return new Set([...fields.keys()].filter(name => !isVisible(name)));
+}
+
+/**
+ * 判断单个字段当前是否显示
+ * @param {Object} template - 模板对象
+ * @param {string} name - 字段名
+ * @param {Object} values - 字段值
+ * @returns {boolean}
+ */
+function isFieldVisible(template, name, values = {}) {
+  return !getHiddenFields(template, values).has(name);
+}
+
+/**
+ * 去掉隐藏字段的值（包括“其他”选项的备注 name-remark）
+ * @param {Object} template - 模板对象
+ * @param {Object} values - 字段值
+ * @returns {Object} - 新的字段值对象
+ */
+function filterVisibleValues(template, values = {}) {
+  const hidden = getHiddenFields(template, values);
+  const result = {};
+  Object.entries(values).forEach(([key, value]) => {
+    const name = key.endsWith('-remark') ? key.slice(0, -'-remark'.length) : key;
+    if (!hidden.has(name) && !hidden.has(key)) result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * 检查 visibleWhen 定义（供模板校验使用）
+ * @param {Object} template - 模板对象
+ * @returns {Array<{field: string, code: string, message: string}>}
+ */
+function validateVisibilityDefinitions(template) {
+  const errors = [];
+  const fields = (Array.isArray(template.fields) ? template.fields : []).filter(f => f && f.name);
+  const names = new Set(fields.map(f => f.name));
+
+  fields.forEach(field => {
+    if (field.visibleWhen === undefined) return;
+    const location = `fields.${field.name}.visibleWhen`;
+    const push = (code, message) => errors.push({ field: location, code, message: `字段 ${field.name} 的显示条件${message}` });
+
+    const conditions = normalizeConditions(field.visibleWhen);
+    if (conditions.length === 0 || conditions.some(c => !c || typeof c !== 'object' || Array.isArray(c))) {
+      push('visibility_invalid', '必须是对象或对象数组');
+      return;
+    }
+    conditions.forEach(condition => {
+      if (!condition.field) push('visibility_field_missing', '缺少 field');
+      else if (condition.field === field.name) push('visibility_self_reference', '不能引用字段自身');
+      else if (!names.has(condition.field)) push('visibility_field_unknown', `引用了不存在的字段: ${condition.field}`);
+      const operators = CONDITION_OPERATORS.filter(op => condition[op] !== undefined);
+      if (operators.length > 1) push('visibility_operator_invalid', `只能使用一个运算符（${operators.join('、')}）`);
+      if (condition.in !== undefined && !Array.isArray(condition.in)) push('visibility_operator_invalid', 'in 必须是数组');
+    });
+  });
+
+  // 循环依赖：沿 visibleWhen 引用链查找回到自身的路径
+  const dependsOn = new Map(fields.map(f => [f.name, normalizeConditions(f.visibleWhen).map(c => c && c.field).filter(n => names.has(n) && n !== f.name)]));
+  const reported = new Set();
+  const visit = (name, path) => {
+    if (path.includes(name)) {
+      const cycle = path.slice(path.indexOf(name));
+      const key = [...cycle].sort().join(',');
+      if (!reported.has(key)) {
+        reported.add(key);
+        errors.push({
+          field: `fields.${name}.visibleWhen`,
+          code: 'visibility_cycle',
+          message: `字段显示条件存在循环依赖: ${[...cycle, name].join(' → ')}`
+        });
+      }
+      return;
+    }
+    (dependsOn.get(name) || []).forEach(next => visit(next, [...path, name]));
+  };
+  fields.forEach(f => visit(f.name, []));
+
+  return errors;
+}
+
+export {
+  CONDITION_OPERATORS,
+  normalizeConditions,
+  getHiddenFields,
+  isFieldVisible,
+  filterVisibleValues,
+  validateVisibilityDefinitions
+};
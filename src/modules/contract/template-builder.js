@@ -0,0 +1,304 @@
+// 模板编辑器逻辑 - 字段增删排序、占位符补全、示例数据与 JSON 导入导出
+// 只处理模板对象本身，页面交互见 public/template-editor.html
+import { validateTemplate } from './template-validator.js';
+import { normalizeBundle } from './template-sources.js';
+import { clauseLibrary } from './clause-library.js';
+import { computeFieldValues } from './computed-fields.js';
+import ContractGenerator from './contract.js';
+
+const EDITOR_FIELD_TYPES = [
+  'text', 'number', 'date', 'select', 'checkbox', 'textarea',
+  'idcard', 'uscc', 'phone', 'email', 'currency', 'eth-address'
+];
+// 语义类型的示例值（均可通过校验）
+const SAMPLE_VALUES = {
+  idcard: '11010519491231002X',
+  uscc: '91110000600037341L',
+  phone: '13800138000',
+  email: 'name@example.com',
+  currency: '8000.00',
+  'eth-address': '0x0000000000000000000000000000000000000000'
+};
+// select 必须提供选项；checkbox 提供选项时为多选，否则为“是/否”
+const OPTION_FIELD_TYPES = ['select', 'checkbox'];
+const BLOCK_HELPERS = ['#if', '#unless', '#each', 'else', '/if', '/unless', '/each'];
+
+/**
+ * 新建空白模板
+ * @returns {Object}
+ */
+function createEmptyTemplate() {
+  return {
+    id: '',
+    name: '',
+    description: '',
+    category: '',
+    version: '1.0.0',
+    authority: '',
+    fields: [],
+    content: '',
+    clauses: []
+  };
+}
+
+/**
+ * 新建字段定义，字段名按 field1、field2… 自动编号避免重名
+ * @param {Object} template - 当前模板
+ * @param {string} [type] - 字段类型
+ * @returns {Object}
+ */
+function createField(template, type = 'text') {
+  const names = new Set(template.fields.map(f => f.name));
+  let n = template.fields.length + 1;
+  while (names.has(`field${n}`)) n++;
+  const field = { name: `field${n}`, label: '', type, required: false };
+  if (OPTION_FIELD_TYPES.includes(type)) field.options = [];
+  return field;
+}
+
+function addField(template, field = createField(template)) {
+  return { ...template, fields: [...template.fields, field] };
+}
+
+function updateField(template, index, patch) {
+  const fields = template.fields.map((field, i) => (i === index ? { ...field, ...patch } : field));
+  // 切换为不带选项的类型时去掉 options，避免导出无用数据
+  if (patch.type && !OPTION_FIELD_TYPES.includes(patch.type)) delete fields[index].options;
+  if (OPTION_FIELD_TYPES.includes(patch.type) && !fields[index].options) fields[index].options = [];
+  return { ...template, fields };
+}
+
+function removeField(template, index) {
+  return { ...template, fields: template.fields.filter((_, i) => i !== index) };
+}
+
+/**
+ * 移动字段位置
+ * @param {Object} template - 模板
+ * @param {number} from - 原位置
+ * @param {number} to - 目标位置
+ * @returns {Object} - 新模板
+ */
+function moveField(template, from, to) {
+  if (to < 0 || to >= template.fields.length || from === to) return template;
+  const fields = [...template.fields];
+  const [field] = fields.splice(from, 1);
+  fields.splice(to, 0, field);
+  return { ...template, fields };
+}
+
+/**
+ * 新建内联条款（条款文本直接写在模板中）
+ * @param {Object} template - 当前模板
+ * @returns {Object}
+ */
+function createClause(template) {
+  const ids = new Set(template.clauses.map(c => c.id));
+  let n = template.clauses.length + 1;
+  while (ids.has(`clause${n}`)) n++;
+  return { id: `clause${n}`, title: '', text: '', optional: false };
+}
+
+function addClause(template, clause = createClause(template)) {
+  return { ...template, clauses: [...template.clauses, clause] };
+}
+
+function updateClause(template, index, patch) {
+  return { ...template, clauses: template.clauses.map((c, i) => (i === index ? { ...c, ...patch } : c)) };
+}
+
+function removeClause(template, index) {
+  return { ...template, clauses: template.clauses.filter((_, i) => i !== index) };
+}
+
+/**
+ * 找出光标处正在输入的占位符（位于未闭合的 {{ 之后）
+ * @param {string} text - 文本
+ * @param {number} cursor - 光标位置
+ * @returns {{ start: number, prefix: string }|null} - start 为 {{ 之后的位置
+ */
+function findPlaceholderPrefix(text, cursor) {
+  const before = text.slice(0, cursor);
+  const open = before.lastIndexOf('{{');
+  if (open < 0 || before.indexOf('}}', open) >= 0) return null;
+  const prefix = before.slice(open + 2);
+  if (!/^[#/@\w.一-龥]*$/.test(prefix)) return null;
+  return { start: open + 2, prefix };
+}
+
+/**
+ * 占位符补全候选：已定义字段（带标签）、分组子字段（用于 {{#each}} 块内）与条件/循环语法
+ * @param {Object} template - 模板
+ * @param {string} prefix - 已输入部分
+ * @returns {Array<{ value: string, label: string }>}
+ */
+function getPlaceholderSuggestions(template, prefix = '') {
+  const lower = prefix.toLowerCase();
+  const fields = template.fields
+    .filter(f => f.name && f.name.toLowerCase().startsWith(lower))
+    .map(f => ({ value: f.name, label: f.label ? `${f.name}（${f.label}）` : f.name }));
+  template.fields
+    .filter(f => f.type === 'group' && Array.isArray(f.fields))
+    .forEach(group => {
+      group.fields
+        .filter(sub => sub.name && sub.name.toLowerCase().startsWith(lower))
+        .forEach(sub => fields.push({ value: sub.name, label: `${sub.name}（${group.label || group.name}·${sub.label || sub.name}）` }));
+    });
+  const helpers = BLOCK_HELPERS.filter(h => h.startsWith(prefix) && prefix.length > 0).map(h => ({
+    value: h,
+    label: h
+  }));
+  return fields.concat(helpers);
+}
+
+/**
+ * 在光标处插入补全结果并闭合占位符
+ * @returns {{ text: string, cursor: number }}
+ */
+function applySuggestion(text, cursor, value) {
+  const match = findPlaceholderPrefix(text, cursor);
+  if (!match) return { text, cursor };
+  const after = text.slice(cursor);
+  const closing = after.startsWith('}}') ? '' : '}}';
+  const next = text.slice(0, match.start) + value + closing + after;
+  return { text: next, cursor: match.start + value.length + 2 };
+}
+
+/**
+ * 根据字段类型生成预览用的示例数据，计算字段按公式由示例数据算出
+ * @param {Object} template - 模板
+ * @returns {Object}
+ */
+function buildSampleData(template) {
+  const today = new Date().toISOString().slice(0, 10);
+  const data = {};
+  template.fields.forEach(field => {
+    if (field.computed !== undefined) return;
+    if (field.default !== undefined) {
+      data[field.name] = field.default;
+      return;
+    }
+    const sampleType = String(field.type || 'text').split('|')[0];
+    if (SAMPLE_VALUES[sampleType]) {
+      data[field.name] = SAMPLE_VALUES[sampleType];
+      return;
+    }
+    switch (field.type) {
+      case 'number':
+        data[field.name] = 1000;
+        break;
+      case 'date':
+        data[field.name] = today;
+        break;
+      case 'select': {
+        const first = (field.options || [])[0];
+        data[field.name] = first && typeof first === 'object' ? first.value : first || '';
+        break;
+      }
+      case 'checkbox':
+        data[field.name] = true;
+        break;
+      case 'group':
+        data[field.name] = [buildSampleData({ fields: field.fields || [] })];
+        break;
+      default:
+        data[field.name] = `【${field.label || field.name}】`;
+    }
+  });
+  return computeFieldValues(template, data);
+}
+
+/**
+ * 用示例数据预览模板，经 ContractGenerator.assembleTemplate 组装，与生成的合同一致
+ * @param {Object} template - 模板
+ * @param {Object} [data] - 预览数据，默认使用示例数据
+ * @param {Object} [library] - 条款库
+ * @returns {string}
+ */
+function previewTemplate(template, data = buildSampleData(template), library = clauseLibrary) {
+  const source = { ...template, content: template.content || '' };
+  return new ContractGenerator([source], library).assembleTemplate(source, data).text;
+}
+
+// 导出前去掉编辑器使用的空值
+function cleanTemplate(template) {
+  const result = {};
+  Object.entries(template).forEach(([key, value]) => {
+    if (value === '' || (Array.isArray(value) && value.length === 0 && key !== 'fields')) return;
+    result[key] = value;
+  });
+  // 保留字段上的其他属性（如 renamedFrom），只去掉空值
+  result.fields = template.fields.map(field => {
+    const clean = { ...field };
+    Object.keys(clean).forEach(key => clean[key] === '' && delete clean[key]);
+    if (!clean.required) delete clean.required;
+    if (!OPTION_FIELD_TYPES.includes(clean.type) || !(clean.options || []).length) delete clean.options;
+    return clean;
+  });
+  if (template.clauses && template.clauses.length) {
+    result.clauses = template.clauses.map(clause => {
+      // 必选条款不需要 default
+      const clean = { ...clause };
+      Object.keys(clean).forEach(key => clean[key] === '' && delete clean[key]);
+      if (!clean.optional) delete clean.default;
+      return clean;
+    });
+  }
+  return result;
+}
+
+/**
+ * 导出为符合 docs/template-schema.md 的 JSON，未通过校验时抛出错误
+ * @param {Object} template - 模板
+ * @returns {string} - 格式化的 JSON
+ */
+function exportTemplate(template) {
+  const clean = cleanTemplate(template);
+  const validation = validateTemplate(clean);
+  if (!validation.valid) {
+    const error = new Error(`模板未通过校验：${validation.errors.map(e => e.message).join('；')}`);
+    error.errors = validation.errors;
+    throw error;
+  }
+  return JSON.stringify(clean, null, 2);
+}
+
+/**
+ * 导入模板 JSON：支持单个模板、模板数组或 { version, templates } 模板包（取第一个）
+ * @param {string|Object} json - JSON 字符串或对象
+ * @returns {{ template: Object, validation: Object }}
+ */
+function importTemplate(json) {
+  const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+  const template = parsed && !Array.isArray(parsed) && !parsed.templates
+    ? parsed
+    : normalizeBundle(parsed).templates[0];
+  if (!template) {
+    throw new Error('导入的文件中没有模板');
+  }
+  return {
+    template: { ...createEmptyTemplate(), ...template, fields: template.fields || [] },
+    validation: validateTemplate(template)
+  };
+}
+
+export {
+  EDITOR_FIELD_TYPES,
+  createEmptyTemplate,
+  createField,
+  addField,
+  updateField,
+  removeField,
+  moveField,
+  createClause,
+  addClause,
+  updateClause,
+  removeClause,
+  findPlaceholderPrefix,
+  getPlaceholderSuggestions,
+  applySuggestion,
+  buildSampleData,
+  previewTemplate,
+  exportTemplate,
+  importTemplate
+};
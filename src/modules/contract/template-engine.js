@@ -0,0 +1,233 @@
+// 合同模板渲染引擎 - 占位符替换、条件块与循环块
+//
+// 支持的语法：
+//   {{fieldName}}                       变量替换，支持点路径，如 {{party.name}}
+//   {{#if field}}…{{else}}…{{/if}}      条件块
+//   {{#unless field}}…{{/unless}}       反向条件块
+//   {{#each items}}…{{else}}…{{/each}}  循环块，块内可用 {{this}}、{{@index}}、{{@number}}
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^{}]*?)\s*\}\}/g;
+const BLOCK_TYPES = ['if', 'unless', 'each'];
+
+// 表单中代表“否”的取值（复选框渲染为 是/否 单选）
+const FALSY_STRINGS = ['否', 'false', '0', 'no'];
+
+/**
+ * 计算字符串偏移量对应的行号
+ * @param {string} content - 模板正文
+ * @param {number} offset - 偏移量
+ * @returns {number} - 从 1 开始的行号
+ */
+function lineAt(content, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (content.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+function syntaxError(message, line) {
+  const error = new Error(`模板语法错误（第 ${line} 行）：${message}`);
+  error.name = 'TemplateSyntaxError';
+  error.line = line;
+  return error;
+}
+
+/**
+ * 将模板正文解析为语法树
+ * @param {string} content - 模板正文
+ * @returns {Array<Object>} - 语法树节点列表
+ */
+function parseTemplate(content) {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(content)) !== null) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.alternate : current.children;
+    const line = lineAt(content, match.index);
+
+    if (match.index > cursor) {
+      target.push({ type: 'text', value: content.slice(cursor, match.index) });
+    }
+    cursor = match.index + match[0].length;
+
+    const [, sigil, body] = match;
+    if (sigil === '#') {
+      const [keyword, path, ...rest] = body.split(/\s+/);
+      if (!BLOCK_TYPES.includes(keyword)) {
+        throw syntaxError(`未知的块类型 {{#${keyword}}}`, line);
+      }
+      if (!path || rest.length) {
+        throw syntaxError(`{{#${keyword}}} 需要且只能有一个字段名`, line);
+      }
+      const node = { type: keyword, path, line, children: [], alternate: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (stack.length === 1) {
+        throw syntaxError(`多余的结束标记 {{/${body}}}`, line);
+      }
+      const open = stack.pop();
+      if (open.type !== body) {
+        throw syntaxError(`{{/${body}}} 与第 ${open.line} 行的 {{#${open.type}}} 不匹配`, line);
+      }
+      delete open.inElse;
+    } else if (body === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw syntaxError('{{else}} 只能出现在块内且只能出现一次', line);
+      }
+      current.inElse = true;
+    } else {
+      if (!body) {
+        throw syntaxError('空占位符 {{}}', line);
+      }
+      target.push({ type: 'var', path: body, line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw syntaxError(`{{#${open.type} ${open.path}}} 缺少结束标记 {{/${open.type}}}`, open.line);
+  }
+
+  if (cursor < content.length) {
+    root.children.push({ type: 'text', value: content.slice(cursor) });
+  }
+  return root.children;
+}
+
+/**
+ * 在作用域链中查找字段值
+ * @param {Array<Object>} scopes - 作用域链，末尾为最内层
+ * @param {string} path - 字段路径
+ * @returns {*} - 字段值，未找到时为 undefined
+ */
+function resolvePath(scopes, path) {
+  const inner = scopes[scopes.length - 1];
+  if (path === 'this') return inner.item;
+  if (path === '@index') return inner.index;
+  if (path === '@number') return inner.index === undefined ? undefined : inner.index + 1;
+
+  const keys = path.startsWith('this.') ? path.slice(5).split('.') : path.split('.');
+  const candidates = path.startsWith('this.') ? [inner] : [...scopes].reverse();
+
+  for (const scope of candidates) {
+    const base = scope.item;
+    if (base === null || typeof base !== 'object' || !(keys[0] in base)) continue;
+    return keys.reduce((value, key) => (value == null ? undefined : value[key]), base);
+  }
+  return undefined;
+}
+
+/**
+ * 判断条件块的取值是否成立
+ * @param {*} value - 字段值
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    return text !== '' && !FALSY_STRINGS.includes(text.toLowerCase());
+  }
+  return Boolean(value);
+}
+
+/**
+ * 将字段值格式化为合同文本
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.map(formatValue).join('，');
+  if (typeof value === 'boolean') return value ? '是' : '否';
+  return String(value);
+}
+
+function renderNodes(nodes, scopes, problems) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const value = resolvePath(scopes, node.path);
+    if (value === undefined || value === null) {
+      problems.push({ path: node.path, line: node.line, reason: 'unresolved' });
+      continue;
+    }
+
+    if (node.type === 'var') {
+      output += formatValue(value);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const pass = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+      output += renderNodes(pass ? node.children : node.alternate, scopes, problems);
+    } else if (node.type === 'each') {
+      if (!Array.isArray(value)) {
+        problems.push({ path: node.path, line: node.line, reason: 'not_list' });
+        continue;
+      }
+      if (value.length === 0) {
+        output += renderNodes(node.alternate, scopes, problems);
+        continue;
+      }
+      value.forEach((item, index) => {
+        output += renderNodes(node.children, [...scopes, { item, index }], problems);
+      });
+    }
+  }
+  return output;
+}
+
+/**
+ * 渲染模板正文
+ * @param {string} content - 模板正文
+ * @param {Object} data - 字段值映射
+ * @returns {string} - 渲染后的合同文本
+ * @throws {Error} - 存在语法错误或未解析的占位符时抛出，error.unresolved 列出全部问题
+ */
+function renderTemplate(content, data = {}) {
+  const problems = [];
+  const output = renderNodes(parseTemplate(content), [{ item: data }], problems);
+
+  if (problems.length > 0) {
+    const detail = problems
+      .map(p => `{{${p.path}}}（第 ${p.line} 行${p.reason === 'not_list' ? '，不是列表' : ''}）`)
+      .join('、');
+    const error = new Error(`模板存在未解析的占位符：${detail}`);
+    error.name = 'TemplateRenderError';
+    error.unresolved = problems;
+    throw error;
+  }
+  return output;
+}
+
+/**
+ * 提取模板中引用的全部字段路径（不求值），供模板校验使用
+ * @param {string} content - 模板正文
+ * @returns {Array<{path: string, line: number, type: string, scopes: Array<string>}>}
+ *          scopes 为外层 {{#each}} 的字段路径，由外到内
+ */
+function extractPlaceholders(content) {
+  const result = [];
+  const walk = (nodes, scopes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+      result.push({ path: node.path, line: node.line, type: node.type, scopes });
+      if (node.children) {
+        walk(node.children, node.type === 'each' ? [...scopes, node.path] : scopes);
+        walk(node.alternate, scopes);
+      }
+    }
+  };
+  walk(parseTemplate(content), []);
+  return result;
+}
+
+export { renderTemplate, parseTemplate, extractPlaceholders, isTruthy, formatValue };
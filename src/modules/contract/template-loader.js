@@ -1,33 +1,135 @@
+import { validateTemplateSet } from './template-validator.js';
+import {
+    createRemoteSource,
+    createJsonFileSource,
+    createImportedSource,
+    createBuiltinSource,
+    loadFromSources,
+    saveImportedBundle,
+    clearImportedBundle,
+    normalizeBundle
+} from './template-sources.js';
+import { archiveTemplates, withArchivedVersions, templateKey } from './template-versions.js';
+import { TemplateCatalog, renderTemplateOptions, mountTemplateCatalog } from '../../ui/components/template-catalog.js';
+
 let templateData = []; // 定义全局变量
+let templateValidation = null; // 最近一次模板校验结果
+let templateSource = null; // 最近一次加载的模板来源
+const templateCatalog = new TemplateCatalog(); // 模板目录（分类、搜索、收藏、最近使用）
+let catalogView = null; // 已挂载的模板目录
 
 // 显示模板来源信息
-function displayTemplateSourceInfo(templateData) {
-    console.log('模板来源信息:', templateData);
+function displayTemplateSourceInfo(source) {
+    console.log('模板来源信息:', source);
+    const box = typeof document !== 'undefined' && document.getElementById('template-source-info');
+    if (!box || !source) return;
+
+    const parts = [`模板来源：${source.label}`];
+    if (source.url) parts.push(source.url);
+    if (source.version) parts.push(`版本 ${source.version}`);
+    if (source.fromCache) parts.push('来自缓存');
+    parts.push(`更新于 ${new Date(source.importedAt || source.fetchedAt).toLocaleString('zh-CN', { hour12: false })}`);
+    box.textContent = parts.join(' · ');
+}
+
+// 页面上的模板选择器：contract-logic 使用 #templateSelector，生成页使用 #template-select
+function findTemplateSelector() {
+    if (typeof document === 'undefined') return null;
+    return document.getElementById('templateSelector') || document.getElementById('template-select');
+}
+
+// 生成模板列表：在 #template-list 中挂载可搜索的模板目录，点击模板时同步到选择器
+function generateTemplateList(container = typeof document !== 'undefined' && document.getElementById('template-list')) {
+    if (!container) return null;
+    if (catalogView && catalogView.container === container) {
+        catalogView.refresh();
+        return catalogView;
+    }
+    const view = mountTemplateCatalog(container, templateCatalog, {
+        onSelect: template => {
+            const select = findTemplateSelector();
+            if (!select) return;
+            select.value = templateKey(template);
+            select.dispatchEvent(new Event('change'));
+        },
+        // 收藏分组也出现在下拉框中，需要同步刷新
+        onFavorite: () => generateTemplateSelectorOptions()
+    });
+    catalogView = { container, ...view };
+    return catalogView;
+}
+
+// 生成模板选择器选项：按收藏、最近使用和分类分组
+function generateTemplateSelectorOptions(select = findTemplateSelector(), options = {}) {
+    if (!select) return;
+    renderTemplateOptions(select, templateCatalog, options);
 }
 
-// 生成模板列表
-function generateTemplateList() {
-    console.log('生成模板列表...');
-    // 示例：可以根据 templateData 渲染模板列表
+// 记录模板使用，刷新“最近使用”分组
+function markTemplateUsed(templateId) {
+    templateCatalog.markUsed(templateId);
+    generateTemplateList();
+    generateTemplateSelectorOptions();
 }
 
-// 生成模板选择器选项
-function generateTemplateSelectorOptions() {
-    console.log('生成模板选择器选项...');
-    // 示例：可以根据 templateData 渲染选择器选项
+// 校验模板集合，只保留通过校验的模板
+function filterValidTemplates(templates) {
+    templateValidation = validateTemplateSet(templates);
+    if (!templateValidation.valid) {
+        Object.entries(templateValidation.byTemplate).forEach(([id, errors]) => {
+            if (errors.length > 0) {
+                console.warn(`模板 ${id} 未通过校验，已跳过:`, errors);
+            }
+        });
+    }
+    return templateValidation;
+}
+
+// 按 CONFIG.templates.sources 的顺序构建数据源
+function buildTemplateSources(config = (typeof window !== 'undefined' && window.CONFIG) || {}) {
+    const templatesConfig = config.templates || {};
+    const api = config.api || {};
+    const order = templatesConfig.sources || ['imported', 'remote', 'json', 'builtin'];
+
+    const factories = {
+        imported: () => createImportedSource(),
+        remote: () => api.base && api.endpoints && api.endpoints.templates
+            ? createRemoteSource({
+                url: api.base.url + api.endpoints.templates,
+                headers: api.headers,
+                timeout: api.base.timeout
+            })
+            : null,
+        json: () => createJsonFileSource({ url: templatesConfig.localJsonUrl || './official-templates.json' }),
+        builtin: () => createBuiltinSource(getBackupTemplates)
+    };
+
+    const sources = order.map(type => factories[type] && factories[type]()).filter(Boolean);
+    // 内置模板始终作为最后的兜底
+    if (!sources.some(source => source.type === 'builtin')) {
+        sources.push(createBuiltinSource(getBackupTemplates));
+    }
+    return sources;
 }
 
 // 初始化模板数据
-async function initTemplateData() {
+async function initTemplateData(sources = buildTemplateSources()) {
     try {
-        console.log('强制使用备用数据...');
-        // 强制使用备用模板数据
-        templateData = getBackupTemplates();
+        const cacheExpiry = (typeof window !== 'undefined' && window.CONFIG?.templates?.cacheExpiry) || 0;
+        const result = await loadFromSources(sources, { validate: filterValidTemplates, cacheExpiry });
+        // 归档当前版本，并补回数据源已不再提供的历史版本
+        archiveTemplates(result.templates);
+        templateData = withArchivedVersions(result.templates);
+        templateSource = result.source;
+        templateCatalog.setTemplates(templateData);
 
-        console.log('备用数据加载成功:', templateData);
+        if (result.failures.length > 0) {
+            console.warn('部分模板数据源不可用:', result.failures);
+        }
+        console.log(`模板加载成功（${templateSource.label}）:`, templateData);
 
         // 显示模板来源信息
-        displayTemplateSourceInfo(templateData);
+        displayTemplateSourceInfo(templateSource);
 
         // 生成模板列表和选择器选项
         generateTemplateList();
@@ -35,6 +137,21 @@ async function initTemplateData() {
     } catch (error) {
         console.error('初始化模板数据失败:', error);
     }
+    return templateData;
+}
+
+// 导入用户模板包：校验通过后保存并重新加载
+async function importTemplateBundle(bundle) {
+    const normalized = normalizeBundle(typeof bundle === 'string' ? JSON.parse(bundle) : bundle);
+    const validation = validateTemplateSet(normalized.templates);
+    if (validation.validTemplates.length === 0) {
+        const error = new Error('导入的模板包中没有通过校验的模板');
+        error.errors = validation.errors;
+        throw error;
+    }
+    saveImportedBundle(normalized);
+    await initTemplateData();
+    return validation;
 }
 
 // 备用模板数据
@@ -45,62 +162,242 @@ function getBackupTemplates() {
             name: "标准劳动合同（2025版）",
             description: "人力资源和社会保障部2025年发布的标准劳动合同范本，适用于各类企业",
             category: "labor",
-            version: "2025-08版",
+            contractType: "employment",
+            version: "1.2.0",
+            edition: "2025-08版",
             authority: "人力资源和社会保障部",
             fields: [
                 { name: "employerName", label: "用人单位名称", type: "text", required: true },
-                { name: "employerUnifiedCode", label: "统一社会信用代码", type: "text", required: true },
+                { name: "employerUnifiedCode", label: "统一社会信用代码", type: "uscc", required: true },
                 { name: "employerAddress", label: "用人单位注册地址", type: "text", required: true },
                 { name: "employerRepresentative", label: "用人单位法定代表人", type: "text", required: true },
-                { name: "employerContact", label: "用人单位联系电话", type: "text", required: true },
+                { name: "employerContact", label: "用人单位联系电话", type: "phone", required: true },
                 { name: "employeeName", label: "劳动者姓名", type: "text", required: true },
-                { name: "employeeID", label: "劳动者身份证号", type: "text", required: true },
+                { name: "employeeID", label: "劳动者身份证号", type: "idcard", required: true },
                 { name: "employeeAddress", label: "劳动者住址", type: "text", required: true },
-                { name: "employeeContact", label: "劳动者联系电话", type: "text", required: true },
+                { name: "employeeContact", label: "劳动者联系电话", type: "phone", required: true },
+                { name: "contractTerm", label: "合同期限类型", type: "select", options: ["固定期限", "无固定期限", "以完成一定工作任务为期限"], required: true },
                 { name: "contractStartDate", label: "合同开始日期", type: "date", required: true },
-                { name: "contractEndDate", label: "合同结束日期", type: "date", required: true },
+                { name: "contractEndDate", label: "合同结束日期", type: "date", required: true, visibleWhen: { field: "contractTerm", equals: "固定期限" } },
+                { name: "workTask", label: "工作任务", type: "text", required: true, visibleWhen: { field: "contractTerm", equals: "以完成一定工作任务为期限" } },
                 { name: "position", label: "工作岗位", type: "text", required: true },
                 { name: "workingPlace", label: "工作地点", type: "text", required: true },
-                { name: "basicSalary", label: "基本工资(元/月)", type: "number", required: true },
+                { name: "basicSalary", label: "基本工资(元/月)", type: "currency", required: true },
                 { name: "socialInsurance", label: "社会保险", type: "checkbox", required: true }
+            ],
+            content: `劳动合同
+
+甲方（用人单位）：{{employerName}}
+统一社会信用代码：{{employerUnifiedCode}}
+注册地址：{{employerAddress}}
+法定代表人：{{employerRepresentative}}
+联系电话：{{employerContact}}
+
+乙方（劳动者）：{{employeeName}}
+身份证号：{{employeeID}}
+住址：{{employeeAddress}}
+联系电话：{{employeeContact}}
+
+根据《中华人民共和国劳动法》《中华人民共和国劳动合同法》等法律法规，甲乙双方经平等自愿、协商一致，签订本合同。
+
+第一条 合同期限
+本合同为{{contractTerm}}的劳动合同，{{#if contractEndDate}}期限自 {{contractStartDate}} 起至 {{contractEndDate}} 止。{{else}}自 {{contractStartDate}} 起履行{{#if workTask}}，至{{workTask}}完成时终止{{/if}}。{{/if}}
+
+第二条 工作内容和工作地点
+乙方同意根据甲方工作需要，担任 {{position}} 岗位工作，工作地点为 {{workingPlace}}。
+
+第三条 劳动报酬
+乙方月基本工资为人民币 {{basicSalary}} 元，甲方每月以货币形式按时足额支付，不得克扣或无故拖欠。
+
+第四条 社会保险
+{{#if socialInsurance}}甲方依法为乙方办理基本养老、医疗、失业、工伤、生育等社会保险，乙方个人缴纳部分由甲方从其工资中代扣代缴。{{else}}社会保险事宜由双方另行书面约定，但不得违反国家有关规定。{{/if}}
+
+第五条 其他
+本合同一式两份，甲乙双方各执一份，自双方签字（盖章）之日起生效。`,
+            clauses: [
+                { id: "probation", optional: true, default: true },
+                { id: "confidentiality", optional: true, default: false },
+                { id: "non-compete", optional: true, default: false },
+                { id: "labor-dispute-resolution" }
+            ],
+            rules: [
+                { type: "compare", left: "contractEndDate", op: ">", right: "contractStartDate" },
+                { type: "duration", start: "contractStartDate", end: "contractEndDate" }
             ]
         },
         {
             id: "rental-house-2025",
             name: "房屋租赁合同（2025版）",
             description: "适用于住宅房屋租赁",
+            category: "rental",
+            contractType: "rental",
+            version: "1.3.0",
+            edition: "2025版",
             fields: [
                 { name: "lessorName", label: "出租方姓名", type: "text", required: true },
-                { name: "lessorID", label: "出租方身份证号/统一社会信用代码", type: "text", required: true },
+                { name: "lessorID", label: "出租方身份证号/统一社会信用代码", type: "idcard|uscc", required: true },
                 { name: "lessorAddress", label: "出租方地址", type: "text", required: true },
-                { name: "lessorContact", label: "出租方联系电话", type: "text", required: true },
+                { name: "lessorContact", label: "出租方联系电话", type: "phone", required: true },
                 { name: "lesseeName", label: "承租方姓名", type: "text", required: true },
-                { name: "lesseeID", label: "承租方身份证号/统一社会信用代码", type: "text", required: true },
+                { name: "lesseeID", label: "承租方身份证号/统一社会信用代码", type: "idcard|uscc", required: true },
                 { name: "lesseeAddress", label: "承租方地址", type: "text", required: true },
-                { name: "lesseeContact", label: "承租方联系电话", type: "text", required: true },
+                { name: "lesseeContact", label: "承租方联系电话", type: "phone", required: true },
                 { name: "propertyAddress", label: "租赁房屋地址", type: "text", required: true },
                 { name: "propertyArea", label: "租赁房屋面积(平方米)", type: "number", required: true },
                 { name: "rentStartDate", label: "租赁开始日期", type: "date", required: true },
                 { name: "rentEndDate", label: "租赁结束日期", type: "date", required: true },
-                { name: "monthlyRent", label: "月租金(元)", type: "number", required: true },
-                { name: "depositAmount", label: "押金(元)", type: "number", required: true },
+                { name: "monthlyRent", label: "月租金(元)", type: "currency", required: true },
+                { name: "depositAmount", label: "押金(元)", type: "currency", required: true },
+                { name: "totalRent", label: "租金总额(元)", type: "currency", computed: "round(monthlyRent * monthsBetween(rentStartDate, rentEndDate), 2)" },
+                { name: "totalRentUpper", label: "租金总额（大写）", type: "text", computed: "rmbUppercase(totalRent)" },
+                { name: "depositUpper", label: "押金（大写）", type: "text", computed: "rmbUppercase(depositAmount)" },
                 { name: "paymentMethod", label: "租金支付方式", type: "select", options: ["月付", "季付", "半年付", "年付"], required: true },
                 { name: "paymentDate", label: "租金支付日", type: "select", options: ["每月1日", "每月5日", "每月10日", "每月15日", "每季度首月1日"], required: true },
                 { name: "propertyCondition", label: "房屋现状", type: "textarea", required: true },
-                { name: "furnishings", label: "家具设备", type: "textarea", required: false }
+                { name: "furnished", label: "是否附带家具设备", type: "checkbox", required: false },
+                { name: "furnishings", label: "家具设备清单", type: "textarea", required: true, visibleWhen: { field: "furnished", checked: true } }
+            ],
+            content: `房屋租赁合同
+
+出租方（甲方）：{{lessorName}}
+证件号码：{{lessorID}}
+地址：{{lessorAddress}}
+联系电话：{{lessorContact}}
+
+承租方（乙方）：{{lesseeName}}
+证件号码：{{lesseeID}}
+地址：{{lesseeAddress}}
+联系电话：{{lesseeContact}}
+
+根据《中华人民共和国民法典》及有关规定，甲乙双方在平等、自愿、协商一致的基础上，就房屋租赁事宜达成如下协议。
+
+第一条 房屋基本情况
+甲方将位于 {{propertyAddress}} 的房屋出租给乙方使用，建筑面积 {{propertyArea}} 平方米。房屋现状：{{propertyCondition}}。
+{{#if furnishings}}随房屋一并出租的家具设备：{{furnishings}}。{{/if}}
+
+第二条 租赁期限
+租赁期自 {{rentStartDate}} 起至 {{rentEndDate}} 止。
+
+第三条 租金及押金
+月租金为人民币 {{monthlyRent}} 元，租赁期内租金总额为人民币 {{totalRent}} 元（大写：{{totalRentUpper}}），支付方式为{{paymentMethod}}，支付日为{{paymentDate}}。乙方应于签订本合同时向甲方支付押金人民币 {{depositAmount}} 元（大写：{{depositUpper}}），租赁期满且乙方无违约时，甲方应全额退还。
+
+第四条 其他
+本合同一式两份，甲乙双方各执一份，自双方签字之日起生效。`,
+            clauses: [
+                { id: "sublease-prohibited", optional: true, default: true },
+                { id: "repair-responsibility" },
+                { id: "dispute-resolution" }
+            ],
+            rules: [
+                { type: "compare", left: "rentEndDate", op: ">", right: "rentStartDate" },
+                { type: "duration", start: "rentStartDate", end: "rentEndDate" },
+                { type: "compare", left: "depositAmount", op: "<=", right: "monthlyRent", factor: 3, message: "押金不得超过 3 个月租金" }
+            ]
+        },
+        {
+            id: "purchase-goods-2025",
+            name: "货物采购合同（2025版）",
+            description: "适用于多品类货物采购，按清单逐项列明货物并分期付款",
+            category: "purchase",
+            contractType: "purchase",
+            version: "1.1.0",
+            edition: "2025版",
+            fields: [
+                { name: "buyerName", label: "买方名称", type: "text", required: true },
+                { name: "buyerCode", label: "买方统一社会信用代码/身份证号", type: "uscc|idcard", required: true },
+                { name: "buyerContact", label: "买方联系电话", type: "phone", required: true },
+                { name: "sellerName", label: "卖方名称", type: "text", required: true },
+                { name: "sellerCode", label: "卖方统一社会信用代码", type: "uscc", required: true },
+                { name: "sellerContact", label: "卖方联系电话", type: "phone", required: true },
+                {
+                    name: "items",
+                    label: "货物清单",
+                    type: "group",
+                    min: 1,
+                    max: 50,
+                    required: true,
+                    fields: [
+                        { name: "product", label: "品名", type: "text", required: true },
+                        { name: "spec", label: "规格型号", type: "text" },
+                        { name: "quantity", label: "数量", type: "number", required: true },
+                        { name: "unit", label: "单位", type: "text", default: "件" },
+                        { name: "unitPrice", label: "单价(元)", type: "currency", required: true },
+                        { name: "amount", label: "金额(元)", type: "currency", computed: "quantity * unitPrice" }
+                    ]
+                },
+                { name: "totalAmount", label: "合同总价(元)", type: "currency", computed: "sum(items, amount)" },
+                { name: "totalAmountUpper", label: "合同总价（大写）", type: "text", computed: "rmbUppercase(totalAmount)" },
+                { name: "deliveryDate", label: "交货日期", type: "date", required: true },
+                { name: "deliveryAddress", label: "交货地点", type: "text", required: true },
+                {
+                    name: "paymentSchedule",
+                    label: "付款计划",
+                    type: "group",
+                    max: 6,
+                    fields: [
+                        { name: "stage", label: "付款节点", type: "text", required: true },
+                        { name: "amount", label: "金额(元)", type: "currency", required: true },
+                        { name: "dueDate", label: "付款日期", type: "date", required: true }
+                    ]
+                }
+            ],
+            content: `货物采购合同
+
+买方（甲方）：{{buyerName}}
+证件号码：{{buyerCode}}
+联系电话：{{buyerContact}}
+
+卖方（乙方）：{{sellerName}}
+统一社会信用代码：{{sellerCode}}
+联系电话：{{sellerContact}}
+
+根据《中华人民共和国民法典》，甲乙双方经协商一致，就甲方向乙方采购下列货物达成如下协议。
+
+第一条 货物清单
+{{#each items}}{{@number}}. {{product}}{{#if spec}}（{{spec}}）{{/if}}，数量 {{quantity}} {{unit}}，单价人民币 {{unitPrice}} 元，金额人民币 {{amount}} 元。
+{{/each}}
+合同总价为人民币 {{totalAmount}} 元（大写：{{totalAmountUpper}}）。
+
+第二条 交付
+乙方应于 {{deliveryDate}} 前将货物交付至 {{deliveryAddress}}，甲方应在收货后及时验收。
+
+第三条 付款
+{{#each paymentSchedule}}{{@number}}. {{stage}}：于 {{dueDate}} 前支付人民币 {{amount}} 元。
+{{else}}甲方于验收合格后一次性支付全部价款。
+{{/each}}
+第四条 其他
+本合同一式两份，甲乙双方各执一份，自双方签字（盖章）之日起生效。`,
+            clauses: [
+                { id: "confidentiality", optional: true, default: false },
+                { id: "dispute-resolution" }
             ]
         },
         {
             id: "test",
             name: "测试模板",
             description: "只是测试而已",
+            category: "test",
+            version: "0.1.0",
             fields: [
                 { name: "employerName", label: "文字", type: "text", required: true },
                 { name: "socialInsurance", label: "选择", type: "checkbox", required: true }
-            ]
+            ],
+            content: "测试合同：{{employerName}}{{#if socialInsurance}}（已勾选）{{/if}}"
         }
     ];
 }
 
 // 导出模板数据和初始化函数
-export { templateData, initTemplateData, getBackupTemplates };
+export {
+    templateData,
+    templateValidation,
+    templateSource,
+    templateCatalog,
+    initTemplateData,
+    generateTemplateList,
+    generateTemplateSelectorOptions,
+    markTemplateUsed,
+    importTemplateBundle,
+    clearImportedBundle,
+    getBackupTemplates
+};
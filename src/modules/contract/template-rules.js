@@ -0,0 +1,192 @@
+// 跨字段校验规则 - 模板通过 rules 声明字段之间的约束
+// 支持：compare（比较两个字段或字段与常量）、duration（起止日期的期限）、range（数值范围）
+import { parseCurrency } from '../../utils/validation.js';
+import { getHiddenFields } from './field-visibility.js';
+
+const RULE_TYPES = ['compare', 'duration', 'range'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+const NUMBER_OP_TEXT = { '>': '大于', '>=': '不小于', '<': '小于', '<=': '不大于', '==': '等于', '!=': '不等于' };
+const DATE_OP_TEXT = { '>': '晚于', '>=': '不早于', '<': '早于', '<=': '不晚于', '==': '等于', '!=': '不等于' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// 只把 YYYY-MM-DD（可带时间）视为日期，避免把金额误判成时间戳
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const time = Date.parse(value.length === 10 ? `${value}T00:00:00` : value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function toComparable(value) {
+  const date = parseDate(value);
+  if (date !== null) return { kind: 'date', value: date };
+  const number = parseCurrency(value);
+  return Number.isFinite(number) ? { kind: 'number', value: number } : null;
+}
+
+function compare(left, op, right) {
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+}
+
+function labelOf(template, name) {
+  const field = (template.fields || []).find(f => f.name === name);
+  return (field && field.label) || name;
+}
+
+/**
+ * 期限规则的天数限制：规则自身的 min/max 优先，否则取 CONFIG.business.contractTypes
+ * @param {Object} rule - duration 规则
+ * @param {Object} template - 模板
+ * @param {Object} contractTypes - 合同类型配置
+ * @returns {{ min: number|undefined, max: number|undefined }}
+ */
+function durationLimits(rule, template, contractTypes) {
+  const type = contractTypes[rule.contractType || template.contractType] || {};
+  return {
+    min: rule.min !== undefined ? rule.min : type.minDuration,
+    max: rule.max !== undefined ? rule.max : type.maxDuration
+  };
+}
+
+function evaluateCompare(rule, template, values) {
+  const leftRaw = values[rule.left];
+  const rightRaw = rule.right !== undefined ? values[rule.right] : rule.value;
+  if (isEmptyValue(leftRaw) || isEmptyValue(rightRaw)) return null;
+
+  const left = toComparable(leftRaw);
+  const right = toComparable(rightRaw);
+  if (!left || !right || left.kind !== right.kind) return null;
+
+  const factor = rule.factor !== undefined ? Number(rule.factor) : 1;
+  if (compare(left.value, rule.op, right.value * factor)) return null;
+
+  const opText = (left.kind === 'date' ? DATE_OP_TEXT : NUMBER_OP_TEXT)[rule.op];
+  const rightText = rule.right !== undefined
+    ? `${labelOf(template, rule.right)}${factor !== 1 ? `的 ${factor} 倍` : ''}`
+    : String(rule.value);
+  return {
+    fields: [rule.left, rule.right].filter(Boolean),
+    message: rule.message || `${labelOf(template, rule.left)}必须${opText}${rightText}`
+  };
+}
+
+function evaluateDuration(rule, template, values, contractTypes) {
+  const start = parseDate(values[rule.start]);
+  const end = parseDate(values[rule.end]);
+  if (start === null || end === null) return null;
+
+  const days = Math.round((end - start) / DAY_MS);
+  const { min, max } = durationLimits(rule, template, contractTypes);
+  const tooShort = min !== undefined && days < min;
+  const tooLong = max !== undefined && days > max;
+  if (!tooShort && !tooLong) return null;
+
+  const limits = [min !== undefined ? `不少于 ${min} 天` : '', max !== undefined ? `不超过 ${max} 天` : '']
+    .filter(Boolean)
+    .join('且');
+  return {
+    fields: [rule.end, rule.start],
+    message: rule.message || `${labelOf(template, rule.start)}至${labelOf(template, rule.end)}的期限应${limits}（当前 ${days} 天）`
+  };
+}
+
+function evaluateRange(rule, template, values) {
+  const raw = values[rule.field];
+  if (isEmptyValue(raw)) return null;
+  const number = parseCurrency(raw);
+  if (!Number.isFinite(number)) return null;
+  if ((rule.min === undefined || number >= rule.min) && (rule.max === undefined || number <= rule.max)) return null;
+
+  const limits = [rule.min !== undefined ? `不小于 ${rule.min}` : '', rule.max !== undefined ? `不大于 ${rule.max}` : '']
+    .filter(Boolean)
+    .join('且');
+  return { fields: [rule.field], message: rule.message || `${labelOf(template, rule.field)}应${limits}` };
+}
+
+/**
+ * 计算模板的跨字段规则；任一相关字段为空或被隐藏时跳过该规则（空值由必填检查处理）
+ * @param {Object} template - 模板对象
+ * @param {Object} values - 字段值
+ * @param {Object} [options]
+ * @param {Object} [options.contractTypes] - 合同类型配置，默认取 CONFIG.business.contractTypes
+ * @returns {{ valid: boolean, errors: Array<{field: string, fields: Array<string>, code: string, message: string, rule: number}> }}
+ */
+function evaluateRules(template, values = {}, options = {}) {
+  const contractTypes = options.contractTypes || globalThis.CONFIG?.business?.contractTypes || {};
+  const errors = [];
+  const hidden = getHiddenFields(template, values);
+
+  (template.rules || []).forEach((rule, index) => {
+    if ([rule.left, rule.right, rule.start, rule.end, rule.field].some(name => hidden.has(name))) return;
+    let failure = null;
+    if (rule.type === 'compare') failure = evaluateCompare(rule, template, values);
+    else if (rule.type === 'duration') failure = evaluateDuration(rule, template, values, contractTypes);
+    else if (rule.type === 'range') failure = evaluateRange(rule, template, values);
+
+    if (failure) {
+      // field 为错误提示显示的位置（规则中的第一个字段）
+      errors.push({ field: failure.fields[0], fields: failure.fields, code: 'rule_failed', message: failure.message, rule: index });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 检查规则定义本身（供模板校验使用）
+ * @param {Object} template - 模板对象
+ * @returns {Array<{field: string, code: string, message: string}>}
+ */
+function validateRuleDefinitions(template) {
+  const errors = [];
+  if (template.rules === undefined) return errors;
+  if (!Array.isArray(template.rules)) {
+    return [{ field: 'rules', code: 'rules_invalid', message: 'rules 必须是数组' }];
+  }
+
+  const names = new Set((template.fields || []).map(f => f && f.name));
+  template.rules.forEach((rule, index) => {
+    const location = `rules[${index}]`;
+    const push = (code, message) => errors.push({ field: location, code, message: `第 ${index + 1} 条规则${message}` });
+
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      push('rule_type_invalid', `类型无效: ${rule && rule.type}`);
+      return;
+    }
+
+    let refs = [];
+    if (rule.type === 'compare') {
+      if (!OPERATORS.includes(rule.op)) push('rule_operator_invalid', `运算符无效: ${rule.op}`);
+      if (rule.right === undefined && rule.value === undefined) push('rule_operand_missing', '缺少 right 或 value');
+      if (rule.factor !== undefined && !Number.isFinite(Number(rule.factor))) push('rule_factor_invalid', 'factor 必须是数字');
+      refs = [rule.left, rule.right].filter(ref => ref !== undefined);
+      if (rule.left === undefined) push('rule_operand_missing', '缺少 left');
+    } else if (rule.type === 'duration') {
+      refs = [rule.start, rule.end];
+      if (rule.start === undefined || rule.end === undefined) push('rule_operand_missing', '缺少 start 或 end');
+    } else {
+      refs = [rule.field];
+      if (rule.min === undefined && rule.max === undefined) push('rule_operand_missing', '缺少 min 或 max');
+    }
+
+    refs
+      .filter(ref => ref !== undefined && !names.has(ref))
+      .forEach(ref => push('rule_field_unknown', `引用了不存在的字段: ${ref}`));
+  });
+  return errors;
+}
+
+export { RULE_TYPES, OPERATORS, evaluateRules, validateRuleDefinitions };
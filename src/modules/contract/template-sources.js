@@ -0,0 +1,273 @@
+// 模板数据源 - 远程接口、本地 JSON 文件、用户导入包与内置备用模板
+import { compareSemver, isValidSemver } from '../../utils/semver.js';
+
+const CACHE_PREFIX = 'sc_templates_cache:';
+const IMPORTED_KEY = 'sc_templates_imported';
+
+const SOURCE_LABELS = {
+  remote: '远程模板接口',
+  json: '本地 JSON 文件',
+  imported: '用户导入模板包',
+  builtin: '内置备用模板'
+};
+
+/**
+ * 将接口返回的数据统一为 { templates, version }
+ * 支持直接返回数组，或返回 { version, templates } 形式的模板包
+ * @param {*} body - 解析后的 JSON
+ * @returns {{ templates: Array<Object>, version: string|null }}
+ */
+function normalizeBundle(body) {
+  if (Array.isArray(body)) return { templates: body, version: null };
+  if (body && Array.isArray(body.templates)) {
+    return { templates: body.templates, version: body.version || null };
+  }
+  throw new Error('模板数据格式无效：需要数组或 { version, templates }');
+}
+
+/**
+ * 带超时与 ETag 协商的 JSON 请求
+ * @param {string} url - 请求地址
+ * @param {Object} options
+ * @param {Function} options.fetchImpl - fetch 实现
+ * @param {Object} [options.headers] - 额外请求头
+ * @param {number} [options.timeout] - 超时（毫秒）
+ * @param {string} [options.etag] - 上次缓存的 ETag
+ * @returns {Promise<Object>} - { notModified } 或 { templates, version, etag }
+ */
+async function fetchBundle(url, { fetchImpl, headers = {}, timeout = 30000, etag = null }) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+  try {
+    const response = await fetchImpl(url, {
+      headers: { Accept: 'application/json', ...headers, ...(etag ? { 'If-None-Match': etag } : {}) },
+      signal: controller ? controller.signal : undefined
+    });
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    if (!response.ok) {
+      throw new Error(`请求失败: ${response.status}`);
+    }
+    const bundle = normalizeBundle(await response.json());
+    return { ...bundle, etag: response.headers.get('ETag') };
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * 远程接口数据源（CONFIG.api.endpoints.templates）
+ * @param {Object} options
+ * @param {string} options.url - 接口地址
+ * @param {Object} [options.headers] - 请求头
+ * @param {number} [options.timeout] - 超时（毫秒）
+ * @param {Function} [options.fetchImpl] - fetch 实现，默认使用全局 fetch
+ */
+function createRemoteSource({ url, headers, timeout, fetchImpl }) {
+  return {
+    type: 'remote',
+    url,
+    load: cached =>
+      fetchBundle(url, {
+        fetchImpl: fetchImpl || fetch,
+        headers,
+        timeout,
+        etag: cached && cached.etag
+      })
+  };
+}
+
+/**
+ * 本地 JSON 文件数据源（如 official-templates.json）
+ * @param {Object} options
+ * @param {string} options.url - 文件地址
+ * @param {Function} [options.fetchImpl] - fetch 实现
+ */
+function createJsonFileSource({ url, fetchImpl }) {
+  return {
+    type: 'json',
+    url,
+    load: cached => fetchBundle(url, { fetchImpl: fetchImpl || fetch, etag: cached && cached.etag })
+  };
+}
+
+/**
+ * 用户导入的模板包（保存在 localStorage），未导入时视为不可用
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] - 存储实现
+ */
+function createImportedSource({ storage = globalThis.localStorage } = {}) {
+  return {
+    type: 'imported',
+    url: null,
+    cacheable: false,
+    load: async () => {
+      const raw = storage && storage.getItem(IMPORTED_KEY);
+      if (!raw) {
+        throw new Error('尚未导入模板包');
+      }
+      const stored = JSON.parse(raw);
+      return { ...normalizeBundle(stored.bundle), etag: null, importedAt: stored.importedAt };
+    }
+  };
+}
+
+/**
+ * 内置备用模板
+ * @param {Function} getTemplates - 返回内置模板数组的函数
+ */
+function createBuiltinSource(getTemplates) {
+  return {
+    type: 'builtin',
+    url: null,
+    cacheable: false,
+    load: async () => ({ templates: getTemplates(), version: null, etag: null })
+  };
+}
+
+/**
+ * 保存用户导入的模板包
+ * @param {string|Object} bundle - JSON 字符串或已解析对象
+ * @param {Storage} [storage] - 存储实现
+ * @returns {{ templates: Array<Object>, version: string|null }} - 规范化后的模板包
+ */
+function saveImportedBundle(bundle, storage = globalThis.localStorage) {
+  const parsed = typeof bundle === 'string' ? JSON.parse(bundle) : bundle;
+  const normalized = normalizeBundle(parsed);
+  storage.setItem(
+    IMPORTED_KEY,
+    JSON.stringify({ bundle: normalized, importedAt: new Date().toISOString() })
+  );
+  return normalized;
+}
+
+function clearImportedBundle(storage = globalThis.localStorage) {
+  storage.removeItem(IMPORTED_KEY);
+}
+
+function cacheKey(source) {
+  return CACHE_PREFIX + source.type + ':' + (source.url || '');
+}
+
+function readCache(source, storage) {
+  if (source.cacheable === false || !storage) return null;
+  try {
+    return JSON.parse(storage.getItem(cacheKey(source)) || 'null');
+  } catch (error) {
+    console.warn('[templates] 模板缓存解析失败，忽略', error);
+    return null;
+  }
+}
+
+function writeCache(source, storage, entry) {
+  if (source.cacheable === false || !storage) return;
+  try {
+    storage.setItem(cacheKey(source), JSON.stringify(entry));
+  } catch (error) {
+    console.warn('[templates] 模板缓存写入失败', error);
+  }
+}
+
+/**
+ * 判断新取得的模板包是否比缓存旧（两者都带 SemVer 版本时才比较）
+ */
+function isOlderThanCache(version, cached) {
+  return (
+    cached &&
+    isValidSemver(version) &&
+    isValidSemver(cached.version) &&
+    compareSemver(version, cached.version) < 0
+  );
+}
+
+/**
+ * 依次尝试各数据源，返回第一个可用且通过校验的模板集合
+ * @param {Array<Object>} sources - 数据源列表，按优先级排列
+ * @param {Object} options
+ * @param {Function} options.validate - 模板集合校验函数，返回 { validTemplates, errors, ... }
+ * @param {Storage} [options.storage] - 缓存存储
+ * @param {number} [options.cacheExpiry] - 缓存有效期（毫秒），有效期内不再请求
+ * @returns {Promise<{ templates: Array<Object>, validation: Object, source: Object, failures: Array<Object> }>}
+ */
+async function loadFromSources(sources, { validate, storage = globalThis.localStorage, cacheExpiry = 0 }) {
+  const failures = [];
+
+  for (const source of sources) {
+    const cached = readCache(source, storage);
+    let result;
+    let fromCache = false;
+
+    try {
+      const fresh = cached && cacheExpiry > 0 && Date.now() - cached.fetchedAt < cacheExpiry;
+      if (fresh) {
+        result = cached;
+        fromCache = true;
+      } else {
+        const loaded = await source.load(cached);
+        if ((loaded.notModified || isOlderThanCache(loaded.version, cached)) && cached) {
+          result = { ...cached, fetchedAt: Date.now() };
+          fromCache = true;
+        } else if (loaded.notModified) {
+          throw new Error('服务器返回 304，但本地没有缓存');
+        } else {
+          result = { ...loaded, fetchedAt: Date.now() };
+        }
+      }
+    } catch (error) {
+      // 网络失败时退回到过期缓存
+      if (!cached) {
+        failures.push({ type: source.type, url: source.url, message: error.message });
+        continue;
+      }
+      console.warn(`[templates] ${SOURCE_LABELS[source.type]}不可用，使用过期缓存`, error);
+      result = cached;
+      fromCache = true;
+    }
+
+    const validation = validate(result.templates);
+    if (validation.validTemplates.length === 0) {
+      failures.push({ type: source.type, url: source.url, message: '没有通过校验的模板' });
+      continue;
+    }
+
+    writeCache(source, storage, {
+      templates: result.templates,
+      version: result.version || null,
+      etag: result.etag || null,
+      fetchedAt: result.fetchedAt
+    });
+
+    return {
+      templates: validation.validTemplates,
+      validation,
+      failures,
+      source: {
+        type: source.type,
+        label: SOURCE_LABELS[source.type],
+        url: source.url,
+        version: result.version || null,
+        etag: result.etag || null,
+        fetchedAt: new Date(result.fetchedAt || Date.now()).toISOString(),
+        importedAt: result.importedAt || null,
+        fromCache
+      }
+    };
+  }
+
+  const detail = failures.map(f => `${SOURCE_LABELS[f.type]}: ${f.message}`).join('；');
+  throw new Error(`所有模板数据源均不可用（${detail}）`);
+}
+
+export {
+  createRemoteSource,
+  createJsonFileSource,
+  createImportedSource,
+  createBuiltinSource,
+  loadFromSources,
+  saveImportedBundle,
+  clearImportedBundle,
+  normalizeBundle,
+  SOURCE_LABELS
+};
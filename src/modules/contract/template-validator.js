@@ -0,0 +1,267 @@
+// 模板校验 - 按 docs/template-schema.md 的规则检查模板结构
+import { extractPlaceholders } from './template-engine.js';
+import { clauseLibrary } from './clause-library.js';
+import { isValidSemver } from '../../utils/semver.js';
+import { SEMANTIC_FIELD_TYPES, parseFieldType, isSemanticType } from './field-types.js';
+import { validateRuleDefinitions } from './template-rules.js';
+import { validateVisibilityDefinitions } from './field-visibility.js';
+import { validateComputedDefinitions } from './computed-fields.js';
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox', 'textarea', 'radio', 'group', ...Object.keys(SEMANTIC_FIELD_TYPES)];
+const OPTION_TYPES = ['select', 'radio'];
+const LOOP_VARIABLES = ['this', '@index', '@number'];
+
+function pushError(errors, templateId, field, code, message) {
+  errors.push({ templateId, field, code, message });
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * 校验分组字段：子字段列表与 min / max 行数
+ * @param {Object} field - 分组字段定义
+ * @param {string} fieldPath - 错误定位
+ * @param {string} templateId - 模板 ID
+ * @param {Array<Object>} errors - 错误收集数组
+ */
+function validateGroupField(field, fieldPath, templateId, errors) {
+  if (!Array.isArray(field.fields) || field.fields.length === 0) {
+    pushError(errors, templateId, fieldPath, 'group_fields_empty', `分组字段 ${field.name} 必须定义子字段 fields`);
+  } else {
+    validateFields(field.fields, templateId, errors, `${fieldPath}.fields`);
+    field.fields
+      .filter(sub => sub && sub.type === 'group')
+      .forEach(sub => {
+        pushError(errors, templateId, `${fieldPath}.fields.${sub.name}`, 'group_nested', `分组字段 ${field.name} 不能嵌套分组 ${sub.name}`);
+      });
+  }
+  ['min', 'max'].forEach(key => {
+    if (field[key] !== undefined && !isCount(field[key])) {
+      pushError(errors, templateId, fieldPath, 'group_count_invalid', `分组字段 ${field.name} 的 ${key} 必须是非负整数`);
+    }
+  });
+  if (isCount(field.min) && isCount(field.max) && field.min > field.max) {
+    pushError(errors, templateId, fieldPath, 'group_count_invalid', `分组字段 ${field.name} 的 min 不能大于 max`);
+  }
+}
+
+/**
+ * 校验字段定义列表
+ * @param {Array<Object>} fields - 字段定义
+ * @param {string} templateId - 模板 ID
+ * @param {Array<Object>} errors - 错误收集数组
+ * @param {string} [basePath] - 错误定位前缀，分组子字段为 'fields.items.fields'
+ */
+function validateFields(fields, templateId, errors, basePath = 'fields') {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    pushError(errors, templateId, basePath, 'fields_empty', '模板必须至少定义一个字段');
+    return;
+  }
+
+  const seen = new Set();
+  fields.forEach((field, index) => {
+    const path = `${basePath}[${index}]`;
+    if (!field || typeof field.name !== 'string' || !field.name) {
+      pushError(errors, templateId, path, 'field_name_missing', `第 ${index + 1} 个字段缺少 name`);
+      return;
+    }
+    const fieldPath = `${basePath}.${field.name}`;
+    if (seen.has(field.name)) {
+      pushError(errors, templateId, fieldPath, 'field_duplicate', `字段名重复: ${field.name}`);
+    }
+    seen.add(field.name);
+
+    if (!field.label) {
+      pushError(errors, templateId, fieldPath, 'field_label_missing', `字段 ${field.name} 缺少 label`);
+    }
+    const type = field.type || 'text';
+    const parts = parseFieldType(type);
+    // 'idcard|uscc' 这类组合只允许由语义类型组成
+    const typeValid = parts.length > 1 ? parts.every(isSemanticType) : FIELD_TYPES.includes(type);
+    if (!typeValid) {
+      pushError(errors, templateId, fieldPath, 'field_type_invalid', `字段 ${field.name} 的类型无效: ${type}`);
+    }
+    if (OPTION_TYPES.includes(type) && (!Array.isArray(field.options) || field.options.length === 0)) {
+      pushError(errors, templateId, fieldPath, 'field_options_missing', `字段 ${field.name} 需要提供 options`);
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      pushError(errors, templateId, fieldPath, 'field_required_invalid', `字段 ${field.name} 的 required 必须是布尔值`);
+    }
+    if (type === 'group') {
+      validateGroupField(field, fieldPath, templateId, errors);
+    }
+  });
+}
+
+/**
+ * 检查一段带占位符的文本是否只引用了已声明的字段
+ * @param {string} text - 正文或条款文本
+ * @param {string} location - 错误定位，如 'content' 或 'clauses.confidentiality'
+ * @param {Object} template - 模板对象
+ * @param {Array<Object>} errors - 错误收集数组
+ */
+function validatePlaceholders(text, location, template, errors) {
+  let placeholders;
+  try {
+    placeholders = extractPlaceholders(text);
+  } catch (error) {
+    pushError(errors, template.id, location, 'template_syntax', error.message);
+    return;
+  }
+
+  const fields = Array.isArray(template.fields) ? template.fields : [];
+  const rootNames = new Set(fields.map(f => f && f.name));
+
+  placeholders.forEach(({ path, line, scopes }) => {
+    const head = path.split('.')[0];
+    if (rootNames.has(head)) return;
+
+    if (scopes.length > 0) {
+      if (LOOP_VARIABLES.includes(head)) return;
+      // 循环块内也可以直接引用分组子字段
+      const inScope = scopes.some(scope => {
+        const group = fields.find(f => f && f.name === scope.split('.')[0]);
+        return group && Array.isArray(group.fields) && group.fields.some(sub => sub.name === head);
+      });
+      if (inScope) return;
+    }
+
+    pushError(
+      errors,
+      template.id,
+      location,
+      'placeholder_unresolved',
+      `占位符 {{${path}}}（第 ${line} 行）没有对应的字段`
+    );
+  });
+}
+
+/**
+ * 校验单个模板
+ * @param {Object} template - 模板对象
+ * @param {Object} [options]
+ * @param {Object} [options.library] - 条款库，默认使用内置条款库
+ * @returns {{ valid: boolean, errors: Array<{templateId: string, field: string, code: string, message: string}> }}
+ */
+function validateTemplate(template, options = {}) {
+  const library = options.library || clauseLibrary;
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    pushError(errors, null, '', 'template_invalid', '模板必须是对象');
+    return { valid: false, errors };
+  }
+
+  const templateId = template.id || null;
+  if (typeof template.id !== 'string' || !template.id.trim()) {
+    pushError(errors, templateId, 'id', 'id_missing', '模板缺少 id');
+  }
+  if (!template.name) {
+    pushError(errors, templateId, 'name', 'name_missing', '模板缺少 name');
+  }
+  if (!template.category) {
+    pushError(errors, templateId, 'category', 'category_missing', '模板缺少 category');
+  }
+  if (!template.version) {
+    pushError(errors, templateId, 'version', 'version_missing', '模板缺少 version');
+  } else if (!isValidSemver(template.version)) {
+    pushError(errors, templateId, 'version', 'version_invalid', `版本号不符合 SemVer: ${template.version}`);
+  }
+
+  validateFields(template.fields, templateId, errors);
+  [
+    ...validateVisibilityDefinitions(template),
+    ...validateComputedDefinitions(template),
+    ...validateRuleDefinitions(template)
+  ].forEach(({ field, code, message }) => {
+    pushError(errors, templateId, field, code, message);
+  });
+
+  if (template.content !== undefined) {
+    if (typeof template.content !== 'string') {
+      pushError(errors, templateId, 'content', 'content_invalid', '模板正文必须是字符串');
+    } else {
+      validatePlaceholders(template.content, 'content', template, errors);
+    }
+  }
+
+  if (template.clauses !== undefined) {
+    if (!Array.isArray(template.clauses)) {
+      pushError(errors, templateId, 'clauses', 'clauses_invalid', 'clauses 必须是数组');
+    } else {
+      const seen = new Set();
+      template.clauses.forEach((ref, index) => {
+        const location = `clauses.${(ref && ref.id) || index}`;
+        if (!ref || !ref.id) {
+          pushError(errors, templateId, location, 'clause_id_missing', `第 ${index + 1} 个条款缺少 id`);
+          return;
+        }
+        if (seen.has(ref.id)) {
+          pushError(errors, templateId, location, 'clause_duplicate', `条款重复引用: ${ref.id}`);
+        }
+        seen.add(ref.id);
+
+        const clause = typeof ref.text === 'string' ? ref : library.get(ref.id, ref.version);
+        if (!clause) {
+          pushError(
+            errors,
+            templateId,
+            location,
+            'clause_not_found',
+            `条款库中不存在: ${ref.id}${ref.version ? '@' + ref.version : ''}`
+          );
+          return;
+        }
+        validatePlaceholders(clause.text, location, template, errors);
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 校验模板集合（额外检查 id + version 唯一性）
+ * @param {Array<Object>} templates - 模板列表
+ * @param {Object} [options] - 同 validateTemplate
+ * @returns {{ valid: boolean, errors: Array<Object>, byTemplate: Object<string, Array<Object>>, validTemplates: Array<Object> }}
+ */
+function validateTemplateSet(templates, options = {}) {
+  const errors = [];
+  const byTemplate = {};
+  const validTemplates = [];
+
+  if (!Array.isArray(templates)) {
+    pushError(errors, null, '', 'template_set_invalid', '模板集合必须是数组');
+    return { valid: false, errors, byTemplate, validTemplates };
+  }
+
+  // 同一 id 可以有多个版本，但 id + version 必须唯一
+  const versionKey = t => `${t.id}@${t.version}`;
+  const keyCounts = {};
+  templates.forEach(t => {
+    if (t && t.id) keyCounts[versionKey(t)] = (keyCounts[versionKey(t)] || 0) + 1;
+  });
+
+  templates.forEach((template, index) => {
+    const result = validateTemplate(template, options);
+    const key = (template && template.id) || `#${index}`;
+    if (template && template.id && keyCounts[versionKey(template)] > 1) {
+      result.errors.push({
+        templateId: template.id,
+        field: 'id',
+        code: 'id_duplicate',
+        message: `模板 id 重复: ${versionKey(template)}`
+      });
+    }
+    byTemplate[key] = (byTemplate[key] || []).concat(result.errors);
+    errors.push(...result.errors);
+    if (result.errors.length === 0) validTemplates.push(template);
+  });
+
+  return { valid: errors.length === 0, errors, byTemplate, validTemplates };
+}
+
+export { validateTemplate, validateTemplateSet, FIELD_TYPES };
@@ -0,0 +1,273 @@
+// 模板版本管理 - 历史版本归档、版本差异对比与草稿迁移
+import { compareSemver } from '../../utils/semver.js';
+import { clauseLibrary } from './clause-library.js';
+
+const ARCHIVE_KEY = 'sc_template_archive';
+
+/**
+ * 模板的唯一键（同一 id 可存在多个版本）
+ * @param {Object} template - 模板对象
+ * @returns {string} - 'id@version'
+ */
+function templateKey(template) {
+  return `${template.id}@${template.version}`;
+}
+
+/**
+ * 按模板 id 分组，每组按版本从新到旧排序
+ * @param {Array<Object>} templates - 模板列表
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupTemplateVersions(templates) {
+  const groups = new Map();
+  templates.forEach(template => {
+    const list = groups.get(template.id) || [];
+    list.push(template);
+    groups.set(template.id, list);
+  });
+  groups.forEach(list => list.sort((a, b) => compareSemver(b.version, a.version)));
+  return groups;
+}
+
+/**
+ * 每个模板只保留最新版本（用于模板选择器）；数据源已下线的归档版本不参与
+ * @param {Array<Object>} templates - 模板列表
+ * @returns {Array<Object>}
+ */
+function getLatestTemplates(templates) {
+  return [...groupTemplateVersions(templates.filter(t => !t.archived)).values()].map(list => list[0]);
+}
+
+/**
+ * 查找指定版本的模板，未指定版本时返回最新的未归档版本
+ * @param {Array<Object>} templates - 模板列表
+ * @param {string} id - 模板 ID
+ * @param {string} [version] - 版本号
+ * @returns {Object|null}
+ */
+function findTemplateVersion(templates, id, version) {
+  const list = groupTemplateVersions(templates).get(id);
+  if (!list) return null;
+  if (!version) return list.find(t => !t.archived) || null;
+  return list.find(t => t.version === version) || null;
+}
+
+/**
+ * 归档模板的所有已加载版本，保证数据源下线旧版本后历史记录仍可追溯
+ * @param {Array<Object>} templates - 当前加载的模板
+ * @param {Storage} [storage] - 存储实现
+ */
+function archiveTemplates(templates, storage = globalThis.localStorage) {
+  if (!storage) return;
+  try {
+    const archive = JSON.parse(storage.getItem(ARCHIVE_KEY) || '{}');
+    templates.forEach(template => {
+      if (!template.archived) archive[templateKey(template)] = template;
+    });
+    storage.setItem(ARCHIVE_KEY, JSON.stringify(archive));
+  } catch (error) {
+    console.warn('[templates] 模板归档失败', error);
+  }
+}
+
+/**
+ * 合并归档中当前数据源已不再提供的历史版本（标记 archived: true）
+ * @param {Array<Object>} templates - 当前加载的模板
+ * @param {Storage} [storage] - 存储实现
+ * @returns {Array<Object>}
+ */
+function withArchivedVersions(templates, storage = globalThis.localStorage) {
+  if (!storage) return templates;
+  let archive = {};
+  try {
+    archive = JSON.parse(storage.getItem(ARCHIVE_KEY) || '{}');
+  } catch (error) {
+    console.warn('[templates] 模板归档解析失败', error);
+  }
+  const loaded = new Set(templates.map(templateKey));
+  const archived = Object.entries(archive)
+    .filter(([key]) => !loaded.has(key))
+    .map(([, template]) => ({ ...template, archived: true }));
+  return templates.concat(archived);
+}
+
+function normalizeOptions(options) {
+  return (options || []).map(o => (typeof o === 'object' && o !== null ? String(o.value) : String(o)));
+}
+
+// 对比同一字段在两个版本间的定义差异
+function diffFieldDefinition(oldField, newField) {
+  const changes = {};
+  ['label', 'type', 'required'].forEach(key => {
+    const from = oldField[key] === undefined ? null : oldField[key];
+    const to = newField[key] === undefined ? null : newField[key];
+    if (from !== to) changes[key] = { from, to };
+  });
+
+  const oldOptions = normalizeOptions(oldField.options);
+  const newOptions = normalizeOptions(newField.options);
+  const addedOptions = newOptions.filter(o => !oldOptions.includes(o));
+  const removedOptions = oldOptions.filter(o => !newOptions.includes(o));
+  if (addedOptions.length || removedOptions.length) {
+    changes.options = { added: addedOptions, removed: removedOptions };
+  }
+  return changes;
+}
+
+/**
+ * 对比两个模板版本的字段与条款差异
+ * 字段改名需在新版本字段上声明 renamedFrom: '旧字段名'
+ * @param {Object} oldTemplate - 旧版本模板
+ * @param {Object} newTemplate - 新版本模板
+ * @param {Object} [options]
+ * @param {Object} [options.library] - 条款库
+ * @returns {Object} - { from, to, fields: { added, removed, renamed, changed }, clauses: { added, removed, changed } }
+ */
+function diffTemplates(oldTemplate, newTemplate, options = {}) {
+  const library = options.library || clauseLibrary;
+  const oldFields = new Map((oldTemplate.fields || []).map(f => [f.name, f]));
+  const newFields = new Map((newTemplate.fields || []).map(f => [f.name, f]));
+
+  const renamed = [];
+  const renamedOld = new Set();
+  newFields.forEach(field => {
+    const sources = [].concat(field.renamedFrom || []);
+    const source = sources.find(name => oldFields.has(name) && !newFields.has(name));
+    if (source) {
+      renamed.push({ from: source, to: field.name });
+      renamedOld.add(source);
+    }
+  });
+  const renamedNew = new Set(renamed.map(r => r.to));
+
+  const added = [...newFields.keys()].filter(name => !oldFields.has(name) && !renamedNew.has(name));
+  const removed = [...oldFields.keys()].filter(name => !newFields.has(name) && !renamedOld.has(name));
+
+  const changed = [];
+  newFields.forEach((field, name) => {
+    const rename = renamed.find(r => r.to === name);
+    const oldField = oldFields.get(rename ? rename.from : name);
+    if (!oldField) return;
+    const changes = diffFieldDefinition(oldField, field);
+    if (Object.keys(changes).length) changed.push({ name, changes });
+  });
+
+  // 条款对比：库引用按解析后的版本与文本比较
+  const resolveClause = ref => (typeof ref.text === 'string' ? ref : library.get(ref.id, ref.version));
+  const oldClauses = new Map((oldTemplate.clauses || []).map(ref => [ref.id, ref]));
+  const newClauses = new Map((newTemplate.clauses || []).map(ref => [ref.id, ref]));
+  const clauseChanges = [];
+  newClauses.forEach((ref, id) => {
+    const oldRef = oldClauses.get(id);
+    if (!oldRef) return;
+    const before = resolveClause(oldRef) || {};
+    const after = resolveClause(ref) || {};
+    const entry = { id };
+    if ((before.version || null) !== (after.version || null)) {
+      entry.version = { from: before.version || null, to: after.version || null };
+    }
+    if (before.text !== after.text) entry.textChanged = true;
+    if (Boolean(oldRef.optional) !== Boolean(ref.optional)) {
+      entry.optional = { from: Boolean(oldRef.optional), to: Boolean(ref.optional) };
+    }
+    if (Object.keys(entry).length > 1) clauseChanges.push(entry);
+  });
+
+  return {
+    from: templateKey(oldTemplate),
+    to: templateKey(newTemplate),
+    contentChanged: (oldTemplate.content || '') !== (newTemplate.content || ''),
+    fields: { added, removed, renamed, changed },
+    clauses: {
+      added: [...newClauses.keys()].filter(id => !oldClauses.has(id)),
+      removed: [...oldClauses.keys()].filter(id => !newClauses.has(id)),
+      changed: clauseChanges
+    }
+  };
+}
+
+/**
+ * 将草稿迁移到新版本模板
+ * @param {Object} draft - 草稿 { templateId, templateVersion, fields, clauses }
+ * @param {Object} fromTemplate - 草稿当前使用的模板版本
+ * @param {Object} toTemplate - 目标模板版本
+ * @returns {{ draft: Object, report: Object }} - 迁移后的草稿与迁移报告
+ */
+function migrateDraft(draft, fromTemplate, toTemplate) {
+  if (draft.templateId !== toTemplate.id || fromTemplate.id !== toTemplate.id) {
+    throw new Error(`草稿模板 ${draft.templateId} 与目标模板 ${toTemplate.id} 不一致`);
+  }
+
+  const diff = diffTemplates(fromTemplate, toTemplate);
+  const values = { ...(draft.fields || {}) };
+
+  diff.fields.renamed.forEach(({ from, to }) => {
+    if (from in values) {
+      values[to] = values[from];
+      delete values[from];
+    }
+  });
+
+  const removed = diff.fields.removed
+    .filter(name => name in values)
+    .map(name => ({ name, value: values[name] }));
+  removed.forEach(({ name }) => delete values[name]);
+
+  const newFields = new Map((toTemplate.fields || []).map(f => [f.name, f]));
+  diff.fields.added.forEach(name => {
+    const field = newFields.get(name);
+    if (field.default !== undefined && values[name] === undefined) values[name] = field.default;
+  });
+
+  // 选项被删除的字段需要重新选择
+  const invalidated = [];
+  diff.fields.changed.forEach(({ name, changes }) => {
+    if (!changes.options || !(name in values)) return;
+    const current = [].concat(values[name]).map(String);
+    if (current.some(v => changes.options.removed.includes(v))) {
+      invalidated.push({ name, value: values[name] });
+      delete values[name];
+    }
+  });
+
+  const requiresInput = (toTemplate.fields || [])
+    .filter(f => f.required && (values[f.name] === undefined || values[f.name] === ''))
+    .map(f => f.name);
+
+  const clauses = Array.isArray(draft.clauses)
+    ? draft.clauses.filter(id => !diff.clauses.removed.includes(id))
+    : draft.clauses;
+
+  return {
+    draft: {
+      ...draft,
+      templateVersion: toTemplate.version,
+      fields: values,
+      clauses,
+      migratedFrom: fromTemplate.version,
+      updatedAt: new Date().toISOString()
+    },
+    report: {
+      from: diff.from,
+      to: diff.to,
+      added: diff.fields.added,
+      removed,
+      renamed: diff.fields.renamed,
+      changed: diff.fields.changed,
+      invalidated,
+      requiresInput,
+      clauses: diff.clauses
+    }
+  };
+}
+
+export {
+  templateKey,
+  groupTemplateVersions,
+  getLatestTemplates,
+  findTemplateVersion,
+  archiveTemplates,
+  withArchivedVersions,
+  diffTemplates,
+  migrateDraft
+};
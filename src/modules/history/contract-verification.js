@@ -0,0 +1,69 @@
+// 合同校验链接 - PDF 中的二维码与页脚记录内容哈希，历史记录页据此找到记录并重新计算哈希比对
+// 链接格式：history.html#verify=<sha256>&record=<记录ID>&template=<模板ID>&version=<模板版本>
+import { buildHashPayload, hashPayload } from '../../utils/hash/canonical-json.js';
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * 生成校验链接
+ * @param {{ hash: string, recordId: string, templateId: string, version: string }} info - 校验信息
+ * @param {string} [baseUrl] - 历史记录页地址，默认相对当前页面的 history.html
+ * @returns {string}
+ */
+function buildVerificationUrl(info, baseUrl) {
+  const params = new URLSearchParams();
+  params.set('verify', info.hash);
+  if (info.recordId) params.set('record', info.recordId);
+  if (info.templateId) params.set('template', info.templateId);
+  if (info.version) params.set('version', info.version);
+  const base = baseUrl || (globalThis.location ? new URL('history.html', globalThis.location.href).href : 'history.html');
+  return `${base.split('#')[0]}#${params.toString()}`;
+}
+
+/**
+ * 解析扫码或粘贴的内容：完整链接、#verify=… 片段或单独的 64 位哈希
+ * @param {string} text - 输入内容
+ * @returns {{ hash: string, recordId: string|null, templateId: string|null, version: string|null }|null} - 无法识别时返回 null
+ */
+function parseVerificationPayload(text) {
+  const input = String(text || '').trim();
+  if (!input) return null;
+  if (HASH_PATTERN.test(input.toLowerCase())) {
+    return { hash: input.toLowerCase(), recordId: null, templateId: null, version: null };
+  }
+
+  const fragment = input.includes('#') ? input.slice(input.indexOf('#') + 1) : input;
+  const params = new URLSearchParams(fragment);
+  const hash = (params.get('verify') || '').toLowerCase();
+  if (!HASH_PATTERN.test(hash)) return null;
+  return {
+    hash,
+    recordId: params.get('record'),
+    templateId: params.get('template'),
+    version: params.get('version')
+  };
+}
+
+/**
+ * 用记录中保存的载荷重新计算哈希，并与 PDF 中的哈希比对
+ * @param {Object|null} record - 历史记录（需含 templateId、templateVersion、fields、clauses、createdAt）
+ * @param {{ hash: string, templateId: string|null, version: string|null }} claim - parseVerificationPayload 的结果
+ * @returns {Promise<{ status: string, message: string, hash: string|null }>}
+ *          status 为 verified、mismatch、not_found
+ */
+async function verifyRecord(record, claim) {
+  if (!record) {
+    return { status: 'not_found', message: '本机历史记录中没有找到对应的合同记录', hash: null };
+  }
+  const hash = await hashPayload(buildHashPayload(record));
+  if (hash !== claim.hash) {
+    return { status: 'mismatch', message: '合同内容哈希不一致，PDF 或记录可能被修改', hash };
+  }
+  if ((claim.templateId && claim.templateId !== record.templateId)
+    || (claim.version && claim.version !== record.templateVersion)) {
+    return { status: 'mismatch', message: '哈希一致，但模板信息与记录不符', hash };
+  }
+  return { status: 'verified', message: '校验通过：PDF 与历史记录中的合同内容一致', hash };
+}
+
+export { buildVerificationUrl, parseVerificationPayload, verifyRecord };
@@ -0,0 +1,334 @@
+// 历史记录仓库 - 生成页、历史记录页与合同校验共用的唯一入口
+// 底层为 HistoryStorage（IndexedDB，见 history-storage.js）；生成页旧版保存在 localStorage contractHistory 的记录首次读取时迁入
+// 变更事件：本页 subscribe 回调；其他标签页通过 BroadcastChannel，不支持时退回 storage 事件
+//
+// 记录结构（schemaVersion 2）：
+//   schemaVersion   2
+//   id              记录 ID
+//   templateId      模板 ID；templateName 模板名称；templateVersion 模板版本
+//   fileName        PDF 文件名
+//   createdAt       生成时间（ISO），参与内容哈希；updatedAt 最后修改时间
+//   fields          字段值；clauses 条款 [{ id, version }]
+//   contentHash     规范化内容哈希（canonical-json.js）；sha256 PDF 文件哈希；size PDF 字节数
+//   chain           上链状态（hash-registry.js / batch-anchor.js），默认 { status: 'not_submitted' }
+//   signature       发起方签名（contract-signature.js）；signing 多方签署（signing-package.js）；ipfs（ipfs-storage.js）
+//   pdf             读取时附带的 PDF Blob（可能已加密，用 getPdf 读取）
+
+const SCHEMA_VERSION = 2;
+const LEGACY_KEY = 'contractHistory';
+const CHANNEL_NAME = 'contract-history';
+const EVENT_KEY = 'contractHistory:event';
+
+// 逐版本迁移：MIGRATIONS[n] 把 n 版记录升级到 n + 1 版；不修改参与内容哈希的字段
+const MIGRATIONS = {
+  // 1：生成页的 contractHistory 记录与 HistoryStorage 早期记录（template 字段、无 chain）
+  1: record => {
+    const next = { ...record };
+    next.templateId = record.templateId || record.template || null;
+    next.templateName = record.templateName || record.template || record.templateId || '';
+    next.chain = record.chain || { status: 'not_submitted' };
+    next.updatedAt = record.updatedAt || record.createdAt || null;
+    delete next.template;
+    return next;
+  }
+};
+
+/**
+ * 把记录升级到当前结构版本
+ * @param {Object} record - 任意版本的记录（没有 schemaVersion 视为 1）
+ * @returns {Object} - 新的记录对象
+ */
+function migrateRecord(record) {
+  let current = { ...record };
+  let version = record.schemaVersion || 1;
+  if (version > SCHEMA_VERSION) throw new Error(`记录结构版本 ${version} 高于当前支持的 ${SCHEMA_VERSION}`);
+  while (version < SCHEMA_VERSION) {
+    current = MIGRATIONS[version](current);
+    version += 1;
+    current.schemaVersion = version;
+  }
+  return current;
+}
+
+// 结构版本高于当前的记录由更新版本的页面写入，无法降级：原样留在存储中，读取时不返回，也不参与迁移
+function isNewerSchema(record) {
+  return (record.schemaVersion || 1) > SCHEMA_VERSION;
+}
+
+// 读取用：跳过更高版本的记录，尚未写回的旧结构记录（迁移失败或跳过）只在内存中升级
+function readable(records) {
+  return records
+    .filter(record => !isNewerSchema(record))
+    .map(record => (record.schemaVersion === SCHEMA_VERSION ? record : migrateRecord(record)));
+}
+
+// 旧记录中的 PDF：data URL（base64）或 pdfBase64
+function takeLegacyPdf(record) {
+  const source = record.base64 || record.pdfBase64;
+  const rest = { ...record };
+  delete rest.base64;
+  delete rest.pdfBase64;
+  if (!source) return { record: rest, pdf: null };
+  const binary = atob(String(source).split(',').pop());
+  const pdf = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) pdf[i] = binary.charCodeAt(i);
+  return { record: rest, pdf };
+}
+
+/**
+ * 创建历史记录仓库
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - HistoryStorage 接口（put、get、loadAll、deleteRecord、clearAll、rebuildPdf），默认全局 HistoryStorage
+ * @param {Storage} [options.legacyStorage] - 旧记录所在的存储，默认 CryptoVault.storage 或 localStorage
+ * @param {Object} [options.vault] - 加密存储，锁定时不执行迁移，默认全局 CryptoVault
+ * @param {string} [options.channelName] - BroadcastChannel 名称
+ * @returns {Object}
+ */
+function createHistoryRepository(options = {}) {
+  const storage = () => options.storage || globalThis.HistoryStorage || null;
+  const legacyStorage = () => options.legacyStorage
+    || (globalThis.CryptoVault ? globalThis.CryptoVault.storage : globalThis.localStorage)
+    || null;
+  const vault = () => ('vault' in options ? options.vault : globalThis.CryptoVault) || null;
+  const listeners = new Set();
+  let channel = null;
+
+  function requireStorage() {
+    const backend = storage();
+    if (!backend) throw new Error('历史记录存储（history-storage.js）未加载');
+    return backend;
+  }
+
+  function readLegacy() {
+    const legacy = legacyStorage();
+    if (!legacy) return [];
+    try {
+      const list = JSON.parse(legacy.getItem(LEGACY_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(r => r && r.id) : [];
+    } catch (error) {
+      console.warn('[history] 旧记录解析失败', error);
+      return [];
+    }
+  }
+
+  function openChannel() {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(options.channelName || CHANNEL_NAME);
+      channel.onmessage = e => emit(e.data, true);
+    }
+    return channel;
+  }
+
+  function emit(event, remote = false) {
+    listeners.forEach(listener => listener({ ...event, remote }));
+    if (remote) return;
+    const message = { ...event, at: Date.now() };
+    if (openChannel()) {
+      channel.postMessage(message);
+    } else if (globalThis.localStorage) {
+      // 不支持 BroadcastChannel 时，写入本身会在其他标签页触发 storage 事件
+      globalThis.localStorage.setItem(EVENT_KEY, JSON.stringify(message));
+    }
+  }
+
+  let listening = false;
+  function listen() {
+    if (listening || typeof window === 'undefined') return;
+    listening = true;
+    if (openChannel()) return;
+    window.addEventListener('storage', e => {
+      if (e.key === EVENT_KEY && e.newValue) emit(JSON.parse(e.newValue), true);
+    });
+  }
+
+  // 旧记录迁入 IndexedDB，成功后删除；加密锁定时读不到，留待解锁后迁移
+  async function importLegacy() {
+    const backend = storage();
+    const records = readLegacy();
+    if (!backend || records.length === 0) return 0;
+    for (const legacy of records) {
+      const { record, pdf } = takeLegacyPdf(legacy);
+      await backend.put(migrateRecord(record), pdf);
+    }
+    legacyStorage().removeItem(LEGACY_KEY);
+    emit({ type: 'migrated', count: records.length });
+    return records.length;
+  }
+
+  // 已存储记录的结构升级：逐条写回，失败的记录留待下次
+  async function upgradeStored(backend) {
+    const failed = [];
+    let upgraded = 0;
+    for (const record of await backend.loadAll()) {
+      if (record.schemaVersion === SCHEMA_VERSION || isNewerSchema(record)) continue;
+      try {
+        await backend.put(migrateRecord(record));
+        upgraded += 1;
+      } catch (error) {
+        failed.push({ id: record.id, message: error.message });
+      }
+    }
+    return { upgraded, failed };
+  }
+
+  // 迁移只在未加密或已解锁时执行：锁定时读不到加密记录，写入也会失败
+  // 执行过一次（无论是否有失败）后 list / get 不再自动重试，失败只报告一次，下次打开页面时重试
+  let migrated = false;
+  async function runMigration() {
+    const backend = storage();
+    const current = vault();
+    if (!backend || (current && current.isSetUp() && !current.isUnlocked())) {
+      return { imported: 0, upgraded: 0, failed: [], skipped: true };
+    }
+    let imported = 0;
+    const failed = [];
+    try {
+      imported = await importLegacy();
+    } catch (error) {
+      failed.push({ id: null, message: `旧记录迁入失败：${error.message}` });
+    }
+    const result = await upgradeStored(backend);
+    failed.push(...result.failed);
+    migrated = true;
+    if (failed.length) {
+      console.warn('[history] 记录迁移失败', failed);
+      emit({ type: 'migration_failed', failed });
+    }
+    return { imported, upgraded: result.upgraded, failed, skipped: false };
+  }
+
+  /**
+   * 迁移：旧记录迁入 IndexedDB，已存储的旧结构记录升级后写回
+   * 锁定时跳过（skipped 为 true），解锁后由 list / get 再次触发；失败时发出 migration_failed 事件，直接调用可立即重试
+   * @returns {Promise<{ imported: number, upgraded: number, failed: Array<{ id: string|null, message: string }>, skipped: boolean }>}
+   */
+  let migrating = null;
+  async function migrate() {
+    if (!migrating) {
+      migrating = runMigration().finally(() => { migrating = null; });
+    }
+    return migrating;
+  }
+
+  async function ensureImported() {
+    if (!migrated) await migrate();
+  }
+
+  /**
+   * 全部记录（已升级到当前结构），按生成时间倒序；加密锁定时不含加密的记录，不含结构版本更高的记录
+   * @returns {Promise<Array<Object>>}
+   */
+  async function list() {
+    const backend = storage();
+    // 未加载 history-storage.js 的页面只读旧记录
+    if (!backend) return readable(readLegacy());
+    await ensureImported();
+    return readable(await backend.loadAll());
+  }
+
+  /**
+   * @param {string} id - 记录 ID
+   * @returns {Promise<Object|null>} - 不存在或结构版本更高时为 null
+   */
+  async function get(id) {
+    const backend = storage();
+    if (!backend) return readable(readLegacy()).find(r => r.id === id) || null;
+    await ensureImported();
+    const record = await backend.get(id);
+    return record ? readable([record])[0] || null : null;
+  }
+
+  /**
+   * 保存新记录
+   * @param {Object} record - 记录（可不含 schemaVersion）
+   * @param {ArrayBuffer|Uint8Array} [pdfBytes] - PDF 内容
+   * @returns {Promise<Object>} - 保存后的记录
+   */
+  async function save(record, pdfBytes) {
+    if (!record || !record.id) throw new Error('记录缺少 ID');
+    const saved = migrateRecord({
+      ...record,
+      schemaVersion: record.schemaVersion || SCHEMA_VERSION,
+      chain: record.chain || { status: 'not_submitted' },
+      updatedAt: new Date().toISOString()
+    });
+    if (pdfBytes && !saved.size) saved.size = pdfBytes.byteLength;
+    await requireStorage().put(saved, pdfBytes);
+    emit({ type: 'saved', id: saved.id });
+    return saved;
+  }
+
+  /**
+   * 合并修改（上链状态、签名、IPFS 等），PDF 保持不变
+   * @param {string} id - 记录 ID
+   * @param {Object} patch - 要合并的字段
+   * @returns {Promise<Object>} - 修改后的记录
+   */
+  async function update(id, patch) {
+    const current = await get(id);
+    if (!current) throw new Error(`记录不存在: ${id}`);
+    const next = { ...current, ...patch, id, schemaVersion: SCHEMA_VERSION, updatedAt: new Date().toISOString() };
+    delete next.pdf;
+    delete next.pdfEncrypted;
+    await requireStorage().put(next);
+    emit({ type: 'updated', id });
+    return next;
+  }
+
+  async function remove(id) {
+    await requireStorage().deleteRecord(id);
+    emit({ type: 'deleted', id });
+  }
+
+  async function clear() {
+    await requireStorage().clearAll();
+    const legacy = legacyStorage();
+    if (legacy) legacy.removeItem(LEGACY_KEY);
+    emit({ type: 'cleared' });
+  }
+
+  /**
+   * 读取记录的 PDF
+   * @param {Object} record - list / get 返回的记录
+   * @returns {Promise<Blob|null>}
+   */
+  async function getPdf(record) {
+    const backend = storage();
+    return backend ? backend.rebuildPdf(record) : null;
+  }
+
+  /**
+   * 订阅变更（本页与其他标签页）
+   * @param {Function} listener - listener({ type, id, remote })，type 为 saved、updated、deleted、cleared、migrated、migration_failed（附 failed）
+   * @returns {Function} - 取消订阅
+   */
+  function subscribe(listener) {
+    listen();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // 关闭 BroadcastChannel（页面中无需调用）
+  function close() {
+    if (channel) channel.close();
+    channel = null;
+  }
+
+  return {
+    migrate,
+    list,
+    get,
+    save,
+    update,
+    remove,
+    clear,
+    getPdf,
+    subscribe,
+    close,
+    estimateQuota: () => (storage() && storage().estimateQuota ? storage().estimateQuota() : Promise.resolve(null))
+  };
+}
+
+const historyRepository = createHistoryRepository();
+
+export { SCHEMA_VERSION, MIGRATIONS, migrateRecord, createHistoryRepository, historyRepository };
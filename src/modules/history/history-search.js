@@ -0,0 +1,334 @@
+// 历史记录搜索 - 浏览器内倒排索引，供历史记录页与首页合同列表使用
+// 检索范围：模板名、全部字段值（当事人、地址、金额等）、条款正文、标签，以及 ID、文件名与哈希前缀
+// 分词：中文按相邻两字切成二元组（同时索引单字），字母与数字按词切分并支持前缀匹配
+// 筛选维度：模板、上链状态、日期范围、金额范围；模板与上链状态返回分面计数
+import { clauseLibrary } from '../contract/clause-library.js';
+
+const CJK_RUN = /[\u3400-\u9fff\uf900-\ufaff]+/g;
+const WORD = /[a-z0-9\u00c0-\u024f]+/g;
+
+// 各部分命中时的权重
+const FIELD_WEIGHTS = { templateName: 3, tags: 3, fields: 2, clauses: 1, meta: 1 };
+
+// 金额字段：取名称匹配的顶层字段中的最大值（如租金总额、合同总价、基本工资）
+const AMOUNT_FIELD = /amount|total|rent|salary|price|fee|deposit|金额|租金|价款|工资|费用/i;
+
+const SAVED_SEARCH_KEY = 'historySavedSearches';
+
+function normalize(text) {
+  return String(text == null ? '' : text).normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 切分索引词
+ * @param {string} text - 原文
+ * @param {{ unigrams?: boolean }} [options] - unigrams 为 true 时中文额外输出单字（建索引时使用）
+ * @returns {Array<string>}
+ */
+function tokenize(text, options = {}) {
+  const source = normalize(text);
+  const tokens = source.match(WORD) || [];
+  for (const run of source.match(CJK_RUN) || []) {
+    const chars = [...run];
+    if (chars.length === 1 || options.unigrams) tokens.push(...chars);
+    for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+  }
+  return tokens;
+}
+
+// 展开字段值（含附件表格等分组字段）
+function collectValues(value, out = []) {
+  if (value == null || typeof value === 'boolean') return out;
+  if (Array.isArray(value)) value.forEach(v => collectValues(v, out));
+  else if (typeof value === 'object') Object.values(value).forEach(v => collectValues(v, out));
+  else out.push(String(value));
+  return out;
+}
+
+/**
+ * 记录中的合同金额
+ * @param {Object} record - 历史记录
+ * @returns {number|null}
+ */
+function recordAmount(record) {
+  const amounts = Object.entries(record.fields || {})
+    .filter(([key, value]) => AMOUNT_FIELD.test(key) && value !== '' && value != null && !isNaN(Number(value)))
+    .map(([, value]) => Number(value));
+  return amounts.length ? Math.max(...amounts) : null;
+}
+
+/**
+ * 把历史记录转成索引文档
+ * @param {Object} record - history-repository.js 的记录
+ * @param {Object} [options]
+ * @param {Function} [options.resolveClause] - ({ id, version }) => 条款对象，默认从条款库读取
+ * @returns {Object} - { id, text, template, chainStatus, date, amount }
+ */
+function recordToDocument(record, options = {}) {
+  const resolveClause = options.resolveClause || (ref => clauseLibrary.get(ref.id, ref.version));
+  const clauses = (record.clauses || []).map(ref => {
+    const clause = resolveClause(ref);
+    return clause ? `${clause.title || ''} ${clause.text}` : ref.id;
+  });
+  return {
+    id: record.id,
+    text: {
+      templateName: record.templateName || '',
+      tags: (record.tags || []).join(' '),
+      fields: collectValues(record.fields).join(' '),
+      clauses: clauses.join(' '),
+      meta: [record.id, record.fileName, record.sha256, record.contentHash].filter(Boolean).join(' ')
+    },
+    template: record.templateName || '',
+    chainStatus: (record.chain && record.chain.status) || 'not_submitted',
+    date: record.createdAt ? new Date(record.createdAt).getTime() : null,
+    amount: recordAmount(record)
+  };
+}
+
+function countFacet(documents, key) {
+  const counts = new Map();
+  documents.forEach(doc => {
+    if (doc[key]) counts.set(doc[key], (counts.get(doc[key]) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'zh'));
+}
+
+/**
+ * 创建搜索索引
+ * @param {Array<Object>} [documents] - recordToDocument 的结果或同结构的文档
+ * @returns {Object} - { add, remove, search, get, size }
+ */
+function createSearchIndex(documents = []) {
+  const docs = new Map();
+  const postings = new Map(); // 词 -> Map(文档 ID -> 加权词频)
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const list = postings.get(term);
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    }
+    docs.delete(id);
+  }
+
+  /**
+   * 加入或替换文档
+   * @param {Object} doc - 文档
+   */
+  function add(doc) {
+    remove(doc.id);
+    const terms = new Set();
+    Object.entries(doc.text || {}).forEach(([field, text]) => {
+      const weight = FIELD_WEIGHTS[field] || 1;
+      for (const term of tokenize(text, { unigrams: true })) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const list = postings.get(term);
+        list.set(doc.id, (list.get(doc.id) || 0) + weight);
+        terms.add(term);
+      }
+    });
+    docs.set(doc.id, { ...doc, terms });
+  }
+
+  // 单个查询词命中的文档；字母数字词按前缀匹配（地址、哈希前缀）
+  function matchTerm(term) {
+    const hits = new Map();
+    const merge = list => list.forEach((score, id) => hits.set(id, (hits.get(id) || 0) + score));
+    if (postings.has(term)) merge(postings.get(term));
+    if (/^[a-z0-9\u00c0-\u024f]+$/.test(term)) {
+      for (const [candidate, list] of postings) {
+        if (candidate !== term && candidate.startsWith(term)) merge(list);
+      }
+    }
+    return hits;
+  }
+
+  function inFilters(doc, filters, skip) {
+    if (skip !== 'template' && filters.template && doc.template !== filters.template) return false;
+    if (skip !== 'chainStatus' && filters.chainStatus && doc.chainStatus !== filters.chainStatus) return false;
+    if (filters.dateFrom != null && !(doc.date >= filters.dateFrom)) return false;
+    if (filters.dateTo != null && !(doc.date <= filters.dateTo)) return false;
+    if (filters.amountMin != null && !(doc.amount >= filters.amountMin)) return false;
+    if (filters.amountMax != null && !(doc.amount <= filters.amountMax)) return false;
+    return true;
+  }
+
+  /**
+   * 搜索：所有查询词都命中才算匹配，按得分降序
+   * @param {string} query - 关键词，空白分隔
+   * @param {Object} [filters] - { template, chainStatus, dateFrom, dateTo（毫秒时间戳）, amountMin, amountMax }
+   * @returns {{ hits: Array<{ id: string, score: number }>, facets: { template: Array, chainStatus: Array } }}
+   */
+  function search(query, filters = {}) {
+    const terms = [...new Set(tokenize(query))];
+    let scores = null;
+    for (const term of terms) {
+      const hits = matchTerm(term);
+      if (!scores) {
+        scores = hits;
+        continue;
+      }
+      const next = new Map();
+      scores.forEach((score, id) => {
+        if (hits.has(id)) next.set(id, score + hits.get(id));
+      });
+      scores = next;
+    }
+    const matched = scores
+      ? [...scores.keys()].map(id => docs.get(id))
+      : [...docs.values()];
+
+    const hits = matched
+      .filter(doc => inFilters(doc, filters))
+      .map(doc => ({ id: doc.id, score: scores ? scores.get(doc.id) : 0 }))
+      .sort((a, b) => b.score - a.score);
+
+    // 分面计数不受本维度已选值影响，切换选项时可看到其他选项的数量
+    return {
+      hits,
+      facets: {
+        template: countFacet(matched.filter(doc => inFilters(doc, filters, 'template')), 'template'),
+        chainStatus: countFacet(matched.filter(doc => inFilters(doc, filters, 'chainStatus')), 'chainStatus')
+      }
+    };
+  }
+
+  documents.forEach(add);
+
+  return {
+    add,
+    remove,
+    search,
+    get: id => docs.get(id) || null,
+    get size() { return docs.size; }
+  };
+}
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} text - 原文，null/undefined 视为空字符串
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text == null ? '' : text).replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+  ));
+}
+
+// 查询词在原文中的位置区间（已合并重叠部分）
+function matchRanges(text, query) {
+  const source = normalize(text);
+  const ranges = [];
+  // NFKC 可能改变长度（如全角字符），此时只做不区分大小写的匹配
+  const haystack = source.length === String(text).length ? source : String(text).toLowerCase();
+  for (const term of new Set(tokenize(query))) {
+    let from = haystack.indexOf(term);
+    while (from !== -1) {
+      ranges.push([from, from + term.length]);
+      from = haystack.indexOf(term, from + 1);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+}
+
+/**
+ * 高亮查询词，返回已转义的 HTML
+ * @param {string} text - 原文
+ * @param {string} query - 关键词
+ * @returns {string}
+ */
+function highlight(text, query) {
+  const value = String(text == null ? '' : text);
+  const ranges = query ? matchRanges(value, query) : [];
+  let html = '';
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    html += escapeHtml(value.slice(pos, start)) + '<mark>' + escapeHtml(value.slice(start, end)) + '</mark>';
+    pos = end;
+  }
+  return html + escapeHtml(value.slice(pos));
+}
+
+/**
+ * 命中片段：在字段值、标签、条款中找到第一处匹配，截取前后文并高亮
+ * @param {Object} doc - 索引文档
+ * @param {string} query - 关键词
+ * @param {number} [radius] - 前后保留的字符数
+ * @returns {string} - HTML，未命中时为空字符串
+ */
+function snippet(doc, query, radius = 16) {
+  if (!doc || !query) return '';
+  for (const field of ['fields', 'tags', 'clauses']) {
+    const text = doc.text[field] || '';
+    const [first] = matchRanges(text, query);
+    if (!first) continue;
+    const start = Math.max(0, first[0] - radius);
+    const end = Math.min(text.length, first[1] + radius);
+    return (start > 0 ? '…' : '') + highlight(text.slice(start, end), query) + (end < text.length ? '…' : '');
+  }
+  return '';
+}
+
+/**
+ * 已保存的搜索（名称 + 关键词与筛选条件）
+ * @param {Storage} [storage] - 默认加密存储 CryptoVault.storage（未加载时为 localStorage），查询中可能含当事人姓名
+ * @returns {{ list: Function, save: Function, remove: Function }}
+ */
+function createSavedSearches(
+  storage = globalThis.CryptoVault ? globalThis.CryptoVault.storage : globalThis.localStorage
+) {
+  function list() {
+    try {
+      const saved = JSON.parse(storage.getItem(SAVED_SEARCH_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 保存搜索，同名时覆盖
+   * @param {string} name - 名称
+   * @param {Object} criteria - { query, template, chainStatus, dateFrom, dateTo, amountMin, amountMax, ... }
+   * @returns {Array<Object>} - 保存后的列表
+   */
+  function save(name, criteria) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('请输入搜索名称');
+    const next = list().filter(item => item.name !== trimmed);
+    next.unshift({ name: trimmed, criteria, savedAt: new Date().toISOString() });
+    storage.setItem(SAVED_SEARCH_KEY, JSON.stringify(next));
+    return next;
+  }
+
+  function remove(name) {
+    const next = list().filter(item => item.name !== name);
+    storage.setItem(SAVED_SEARCH_KEY, JSON.stringify(next));
+    return next;
+  }
+
+  return { list, save, remove };
+}
+
+export {
+  tokenize,
+  recordAmount,
+  recordToDocument,
+  createSearchIndex,
+  highlight,
+  snippet,
+  escapeHtml,
+  createSavedSearches,
+  SAVED_SEARCH_KEY
+};
@@ -1,6 +1,14 @@
 // 文件：./js/history-storage.js
+// 历史记录存储：IndexedDB（库 smart-contract-history，表 records），PDF 以 Blob 保存
+// 索引：sha256（去重）、template、createdAt；旧版 localStorage 的 contractRecord:* 在首次打开及每次解锁后迁移
+// 设置了加密口令时（见 core/crypto-vault.js）记录内容与 PDF 加密保存，只有索引字段为明文
+// 所有方法均返回 Promise；HistoryStorage.create(options) 可注入 IndexedDB 等依赖，供测试使用
 (function(global){
-  const INDEX_KEY = 'contractRecord:index';
+  const DB_NAME = 'smart-contract-history';
+  const DB_VERSION = 1;
+  const STORE = 'records';
+  const LEGACY_INDEX_KEY = 'contractRecord:index';
+  const LEGACY_PREFIX = 'contractRecord:';
 
   async function sha256Hex(buffer){
     // buffer 允许 ArrayBuffer 或 Uint8Array
@@ -9,106 +17,408 @@
     return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2,'0')).join('');
   }
 
-  function readIndex(){
-    try{
-      return JSON.parse(localStorage.getItem(INDEX_KEY) || '[]');
-    }catch(e){
-      console.warn('[history] 解析索引失败，重置', e);
-      return [];
-    }
+  function base64ToBytes(base64){
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for(let i=0;i<binary.length;i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
   }
-  function writeIndex(arr){
-    localStorage.setItem(INDEX_KEY, JSON.stringify(arr));
+
+  // 规范化 JSON 由 canonical-json.js 提供，需在本文件之前加载
+  function canonicalJson(){
+    if(!global.CanonicalJSON) throw new Error('未加载 canonical-json.js，无法计算内容哈希');
+    return global.CanonicalJSON;
   }
 
-  async function save(meta, arrayBuffer){
-    if(!arrayBuffer){
-      console.warn('[history] 未提供 arrayBuffer，放弃保存');
-      return null;
+  function isRequest(value){
+    return Boolean(value) && typeof value === 'object' && 'readyState' in value && 'result' in value;
+  }
+
+  // 旧版记录的 createdAt 可能是毫秒时间戳，统一为 ISO 字符串，与 createdAt 索引的排序一致
+  function normalizeCreatedAt(value){
+    if(typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value))){
+      return new Date(Number(value)).toISOString();
     }
-    const id = 'CR_' + Date.now() + '_' + Math.random().toString(36).slice(2,6);
-    const hash = await sha256Hex(arrayBuffer);
-    const size = arrayBuffer.byteLength;
-
-    // 是否需要存 PDF base64：如果 history 页面要直接原样下载，建议 true
-    const storePdfBase64 = true;
-    let pdfBase64 = null;
-    if(storePdfBase64){
-      const bytes = new Uint8Array(arrayBuffer);
-      let binary = '';
-      const chunk = 0x8000;
-      for(let i=0;i<bytes.length;i+=chunk){
-        binary += String.fromCharCode.apply(null, bytes.subarray(i,i+chunk));
+    return value || new Date(0).toISOString();
+  }
+
+  /**
+   * 创建历史记录存储
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB] - 默认 window.indexedDB
+   * @param {Storage} [options.localStorage] - 旧版记录所在的存储，默认 localStorage
+   * @param {Object} [options.vault] - 加密存储（crypto-vault.js 的 createVault 结果），默认 window.CryptoVault
+   * @param {Navigator} [options.navigator] - 用于 estimateQuota，默认 window.navigator
+   * @param {string} [options.dbName] - 数据库名
+   * @returns {Object} - { save, put, update, get, loadAll, deleteRecord, clearAll, rebuildPdf, estimateQuota, migratePending, reseal }
+   */
+  function createHistoryStorage(options = {}){
+    const idb = () => options.indexedDB || global.indexedDB;
+    const legacy = () => options.localStorage || global.localStorage;
+    const cryptoVault = () => ('vault' in options ? options.vault : global.CryptoVault) || null;
+    const dbName = options.dbName || DB_NAME;
+    let dbPromise = null;
+
+    // 已设置口令时返回 CryptoVault；锁定时它的 seal/open 会失败
+    function activeVault(){
+      const vault = cryptoVault();
+      return vault && vault.isSetUp() ? vault : null;
+    }
+
+    function done(tx){
+      return new Promise((resolve, reject)=>{
+        tx.oncomplete = ()=>resolve();
+        tx.onerror = ()=>reject(tx.error);
+        tx.onabort = ()=>reject(tx.error || new Error('事务已中止'));
+      });
+    }
+
+    function openDb(){
+      if(!dbPromise){
+        dbPromise = new Promise((resolve, reject)=>{
+          const factory = idb();
+          if(!factory){
+            reject(new Error('当前浏览器不支持 IndexedDB'));
+            return;
+          }
+          const req = factory.open(dbName, DB_VERSION);
+          req.onupgradeneeded = ()=>{
+            const store = req.result.createObjectStore(STORE, { keyPath:'id' });
+            store.createIndex('sha256', 'sha256');
+            store.createIndex('template', 'template');
+            store.createIndex('createdAt', 'createdAt');
+          };
+          req.onsuccess = ()=>resolve(req.result);
+          req.onerror = ()=>reject(req.error);
+        }).then(async db=>{
+          await migrateLegacy(db);
+          return db;
+        });
+        dbPromise.catch(()=>{ dbPromise = null; });
       }
-      pdfBase64 = btoa(binary);
-    }
-
-    const record = {
-      id,
-      template: meta.template || meta.templateKey || 'unknown',
-      fileName: meta.fileName || (id + '.pdf'),
-      createdAt: Date.now(),
-      size,
-      sha256: hash,
-      fields: meta.fields || {},
-      chain: { status:'not_submitted' },
-      pdfBase64 // 可选字段：有则用于无损下载
-    };
+      return dbPromise;
+    }
+
+    async function withStore(mode, fn){
+      const db = await openDb();
+      const tx = db.transaction(STORE, mode);
+      const result = fn(tx.objectStore(STORE));
+      await done(tx);
+      return isRequest(result) ? result.result : result;
+    }
+
+    function storageError(e){
+      if(e && e.name === 'QuotaExceededError'){
+        return new Error('浏览器存储空间不足，请删除部分历史记录或导出后清理');
+      }
+      return e;
+    }
+
+    // 记录内容（不含 PDF）→ 存储对象；索引字段保持明文
+    async function pack(record, pdf, pdfEncrypted, codec){
+      const content = { ...record };
+      delete content.pdf;
+      delete content.pdfEncrypted;
+      delete content.pdfBase64;
+      return {
+        id: record.id,
+        sha256: record.sha256,
+        template: record.template || record.templateId,
+        createdAt: record.createdAt,
+        size: record.size,
+        encrypted: Boolean(codec),
+        body: codec ? await codec.sealText(JSON.stringify(content)) : content,
+        pdf: pdf || null,
+        pdfEncrypted: Boolean(pdf && pdfEncrypted)
+      };
+    }
+
+    async function packPdf(bytes, codec){
+      if(!bytes) return null;
+      return codec
+        ? new Blob([await codec.sealBytes(bytes)], { type:'application/octet-stream' })
+        : new Blob([bytes], { type:'application/pdf' });
+    }
+
+    // 存储对象 → 记录；加密且已锁定时返回 null。pdf 为原样的 Blob，由 rebuildPdf 按需解密
+    async function unpack(stored){
+      let content = stored.body;
+      if(stored.encrypted){
+        const vault = activeVault();
+        if(!vault || !vault.isUnlocked()) return null;
+        content = JSON.parse(await vault.openText(stored.body));
+      }
+      return { ...content, pdf: stored.pdf, pdfEncrypted: stored.pdfEncrypted };
+    }
+
+    async function readPdfBytes(stored){
+      if(!stored.pdf) return null;
+      const bytes = new Uint8Array(await stored.pdf.arrayBuffer());
+      return stored.pdfEncrypted ? cryptoVault().openBytes(bytes) : bytes;
+    }
+
+    // 加密存储的编解码器：当前口令下加密，未设置口令时为 null
+    function currentCodec(){
+      const vault = activeVault();
+      if(!vault) return null;
+      if(!vault.isUnlocked()) throw new Error('加密存储已锁定，请先输入口令解锁');
+      return { sealText: text => vault.sealText(text), sealBytes: bytes => vault.sealBytes(bytes) };
+    }
+
+    // 旧版 localStorage 记录迁入 IndexedDB；加密后已锁定的记录留待解锁后迁移（见 registerWithVault）
+    // 返回本次迁移的条数
+    async function migrateLegacy(db){
+      const plainStorage = legacy();
+      let ids;
+      try{
+        ids = JSON.parse(plainStorage.getItem(LEGACY_INDEX_KEY) || '[]');
+      }catch(e){
+        console.warn('[history] 解析旧索引失败', e);
+        return 0;
+      }
+      if(!ids.length) return 0;
+      const legacyStorage = cryptoVault() ? cryptoVault().storage : plainStorage;
+      let codec;
+      try{
+        codec = currentCodec();
+      }catch(e){
+        return 0;
+      }
+
+      const packed = [];
+      const remaining = [];
+      for(const id of ids){
+        let record = null;
+        try{
+          record = JSON.parse(legacyStorage.getItem(LEGACY_PREFIX+id) || 'null');
+        }catch(e){
+          console.warn('[history] 旧记录解析失败，跳过', id, e);
+        }
+        if(!record){
+          if(plainStorage.getItem(LEGACY_PREFIX+id) != null) remaining.push(id);
+          continue;
+        }
+        record = { ...record, createdAt: normalizeCreatedAt(record.createdAt) };
+        const bytes = record.pdfBase64 ? base64ToBytes(record.pdfBase64) : null;
+        packed.push(await pack(record, await packPdf(bytes, codec), Boolean(codec), codec));
+      }
+
+      const tx = db.transaction(STORE, 'readwrite');
+      packed.forEach(stored => tx.objectStore(STORE).put(stored));
+      await done(tx);
+      packed.forEach(stored => plainStorage.removeItem(LEGACY_PREFIX+stored.id));
+      if(remaining.length) plainStorage.setItem(LEGACY_INDEX_KEY, JSON.stringify(remaining));
+      else plainStorage.removeItem(LEGACY_INDEX_KEY);
+      if(packed.length) console.log('[history] 已迁移旧记录', packed.length);
+      return packed.length;
+    }
 
-    // 防重复（同哈希不重复）可选
-    const index = readIndex();
-    for(const rid of index){
-      const existing = JSON.parse(localStorage.getItem('contractRecord:'+rid) || 'null');
-      if(existing && existing.sha256 === hash){
+    /**
+     * 迁移尚未迁入的旧记录（首次打开时锁定而未能迁移的部分），解锁后调用
+     * @returns {Promise<number>} - 本次迁移的条数
+     */
+    async function migratePending(){
+      return migrateLegacy(await openDb());
+    }
+
+    async function save(meta, arrayBuffer){
+      if(!arrayBuffer){
+        console.warn('[history] 未提供 arrayBuffer，放弃保存');
+        return null;
+      }
+      const codec = currentCodec();
+      const id = 'CR_' + Date.now() + '_' + Math.random().toString(36).slice(2,6);
+      const hash = await sha256Hex(arrayBuffer);
+      const size = arrayBuffer.byteLength;
+      const createdAt = meta.createdAt || new Date().toISOString();
+
+      // 内容哈希：规范化 JSON 载荷的 SHA-256（见 docs/hash-signature-strategy.md），与 PDF 文件哈希 sha256 并存
+      const canonical = canonicalJson();
+      const payload = canonical.buildHashPayload({
+        templateId: meta.templateId || meta.template || meta.templateKey,
+        templateVersion: meta.templateVersion,
+        fields: meta.fields || {},
+        clauses: meta.clauses || [],
+        createdAt
+      });
+      const contentHash = meta.contentHash || await canonical.hashPayload(payload);
+
+      // 同哈希不重复保存
+      const existing = await withStore('readonly', store => store.index('sha256').getKey(hash));
+      if(existing){
         console.info('[history] 已存在同哈希记录，跳过保存', hash);
-        return existing.id;
+        return existing;
       }
+
+      const record = {
+        id,
+        template: meta.template || meta.templateKey || 'unknown',
+        templateId: payload.templateId,
+        templateVersion: payload.version || null,
+        fileName: meta.fileName || (id + '.pdf'),
+        createdAt,
+        size,
+        sha256: hash,
+        contentHash,
+        fields: payload.fields,
+        clauses: payload.clauses,
+        chain: { status:'not_submitted' }
+      };
+      const stored = await pack(record, await packPdf(new Uint8Array(arrayBuffer), codec), Boolean(codec), codec);
+      try{
+        await withStore('readwrite', store => store.put(stored));
+      }catch(e){
+        throw storageError(e);
+      }
+      console.log('[history] 保存成功', id);
+      return id;
     }
 
-    localStorage.setItem('contractRecord:'+id, JSON.stringify(record));
-    index.unshift(id);
-    if(index.length > 500) index.length = 500;
-    writeIndex(index);
-    console.log('[history] 保存成功', id);
-    return id;
-  }
+    /**
+     * 写入完整记录（同 ID 覆盖），供 history-repository.js 使用
+     * @param {Object} record - 记录
+     * @param {ArrayBuffer|Uint8Array} [pdfBytes] - PDF 内容；不提供时保留已有的 PDF
+     */
+    async function put(record, pdfBytes){
+      const codec = currentCodec();
+      let pdf = null;
+      let pdfEncrypted = false;
+      if(pdfBytes){
+        pdf = await packPdf(new Uint8Array(pdfBytes), codec);
+        pdfEncrypted = Boolean(codec);
+      } else {
+        const current = await withStore('readonly', store => store.get(record.id));
+        if(current){
+          pdf = current.pdf;
+          pdfEncrypted = current.pdfEncrypted;
+        }
+      }
+      const stored = await pack(record, pdf, pdfEncrypted, codec);
+      try{
+        await withStore('readwrite', store => store.put(stored));
+      }catch(e){
+        throw storageError(e);
+      }
+    }
 
-  function loadAll(){
-    const ids = readIndex();
-    const arr = [];
-    ids.forEach(id=>{
-      const obj = JSON.parse(localStorage.getItem('contractRecord:'+id) || 'null');
-      if(obj) arr.push(obj);
-    });
-    return arr;
-  }
+    /**
+     * 更新记录内容（上链状态、签名等），PDF 保持不变
+     * @param {Object} record - loadAll 返回的记录
+     */
+    async function update(record){
+      const current = await withStore('readonly', store => store.getKey(record.id));
+      if(!current) throw new Error('记录不存在: '+record.id);
+      await put(record);
+    }
 
-  function deleteRecord(id){
-    localStorage.removeItem('contractRecord:'+id);
-    let idx = readIndex().filter(x=>x!==id);
-    writeIndex(idx);
-  }
+    // 单条记录；不存在或已加密锁定时为 null
+    async function get(id){
+      const stored = await withStore('readonly', store => store.get(id));
+      return stored ? unpack(stored) : null;
+    }
 
-  function clearAll(){
-    const idx = readIndex();
-    idx.forEach(id => localStorage.removeItem('contractRecord:'+id));
-    localStorage.removeItem(INDEX_KEY);
-  }
+    // 按创建时间倒序；加密且锁定时不含加密的记录
+    async function loadAll(){
+      const list = await withStore('readonly', store => store.index('createdAt').getAll());
+      const records = [];
+      for(const stored of list.reverse()){
+        const record = await unpack(stored);
+        if(record) records.push(record);
+      }
+      return records;
+    }
 
-  function rebuildPdf(record){
-    if(record.pdfBase64){
-      const binary = atob(record.pdfBase64);
-      const len = binary.length;
-      const bytes = new Uint8Array(len);
-      for(let i=0;i<len;i++) bytes[i] = binary.charCodeAt(i);
-      return new Blob([bytes], {type:'application/pdf'});
+    async function deleteRecord(id){
+      await withStore('readwrite', store => store.delete(id));
     }
-    // 没有原始内容：返回 null，由外部自行文本重建
-    return null;
+
+    async function clearAll(){
+      await withStore('readwrite', store => store.clear());
+      // 尚未迁移的旧记录
+      const plainStorage = legacy();
+      const ids = JSON.parse(plainStorage.getItem(LEGACY_INDEX_KEY) || '[]');
+      ids.forEach(id => plainStorage.removeItem(LEGACY_PREFIX+id));
+      plainStorage.removeItem(LEGACY_INDEX_KEY);
+    }
+
+    async function rebuildPdf(record){
+      if(record.pdf){
+        const bytes = record.pdfEncrypted
+          ? await cryptoVault().openBytes(new Uint8Array(await record.pdf.arrayBuffer()))
+          : null;
+        return bytes ? new Blob([bytes], {type:'application/pdf'}) : record.pdf;
+      }
+      if(record.pdfBase64){
+        return new Blob([base64ToBytes(record.pdfBase64)], {type:'application/pdf'});
+      }
+      // 没有原始内容：返回 null，由外部自行文本重建
+      return null;
+    }
+
+    /**
+     * 浏览器存储用量
+     * @returns {Promise<{ usage: number, quota: number, percent: number, persisted: boolean }|null>} - 不支持时为 null
+     */
+    async function estimateQuota(){
+      const nav = 'navigator' in options ? options.navigator : global.navigator;
+      const storage = nav && nav.storage;
+      if(!storage || !storage.estimate) return null;
+      const { usage = 0, quota = 0 } = await storage.estimate();
+      const persisted = storage.persisted ? await storage.persisted() : false;
+      return { usage, quota, percent: quota ? usage / quota * 100 : 0, persisted };
+    }
+
+    // 设置、修改口令或关闭加密时，用当前密钥读出全部记录，再按新口令（或明文）写回
+    async function reseal(codec){
+      const list = await withStore('readonly', store => store.getAll());
+      const packed = [];
+      for(const stored of list){
+        const content = stored.encrypted ? JSON.parse(await cryptoVault().openText(stored.body)) : stored.body;
+        // 用口令单独加密的 IPFS 内容密钥（ipfs-storage.js）一并换成新口令或明文
+        if(content.ipfs && content.ipfs.keySealed){
+          const key = await cryptoVault().openText(content.ipfs.key);
+          content.ipfs = { ...content.ipfs, key: codec ? await codec.sealText(key) : key, keySealed: Boolean(codec) };
+        }
+        const pdf = await packPdf(await readPdfBytes(stored), codec);
+        packed.push(await pack(content, pdf, Boolean(codec), codec));
+      }
+      // 全部加密好后在一个事务中写入
+      await withStore('readwrite', store => packed.forEach(stored => store.put(stored)));
+    }
+
+    return {
+      save, put, update, get, loadAll, deleteRecord, clearAll, rebuildPdf, estimateQuota, migratePending, reseal
+    };
+  }
+
+  const instance = createHistoryStorage();
+
+  // crypto-vault.js 为模块脚本，在普通脚本之后执行
+  // 口令变更时重新加密；首次打开数据库时已锁定而未能迁移的旧记录在解锁后迁移
+  function registerWithVault(){
+    const vault = global.CryptoVault;
+    if(!vault) return;
+    vault.registerStore(instance.reseal);
+    vault.subscribe(status => {
+      if(status !== 'unlocked') return;
+      instance.migratePending().catch(e => console.warn('[history] 旧记录迁移失败', e));
+    });
   }
+  if(global.CryptoVault) registerWithVault();
+  else if(global.document) global.document.addEventListener('DOMContentLoaded', registerWithVault, { once:true });
 
   global.HistoryStorage = {
-    save, loadAll, deleteRecord, clearAll, rebuildPdf
+    save: instance.save,
+    put: instance.put,
+    update: instance.update,
+    get: instance.get,
+    loadAll: instance.loadAll,
+    deleteRecord: instance.deleteRecord,
+    clearAll: instance.clearAll,
+    rebuildPdf: instance.rebuildPdf,
+    estimateQuota: instance.estimateQuota,
+    migratePending: instance.migratePending,
+    create: createHistoryStorage
   };
 
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,4 +1,21 @@
 // js/models.js - 区块链智能合同系统数据模型
+/* global CanonicalJSON, ContractSignature, CryptoJS */
+
+// 规范化 JSON 由 canonical-json.js 以全局 CanonicalJSON 提供，需在本文件之前加载
+function canonicalJSON() {
+  if (typeof CanonicalJSON === 'undefined') {
+      throw new Error('未加载 canonical-json.js，无法计算合同哈希');
+  }
+  return CanonicalJSON;
+}
+
+// EIP-712 签名恢复由 contract-signature.js 以全局 ContractSignature 提供，需在本文件之前加载
+function contractSignature() {
+  if (typeof ContractSignature === 'undefined') {
+      throw new Error('未加载 contract-signature.js，无法验证签名');
+  }
+  return ContractSignature;
+}
 
 // 🏗️ 基础模型类
 class BaseModel {
@@ -20,9 +37,9 @@ class BaseModel {
       this.version += 1;
   }
 
-  // 转换为JSON
+  // 转换为JSON（先展开为普通对象，避免 JSON.stringify 再次调用 toJSON 造成无限递归）
   toJSON() {
-      return JSON.parse(JSON.stringify(this));
+      return JSON.parse(JSON.stringify({ ...this }));
   }
 
   // 验证数据
@@ -47,16 +64,29 @@ class SmartContract extends BaseModel {
           party1: {
               name: data.parties?.party1?.name || '',
               address: data.parties?.party1?.address || '',
-              contact: data.parties?.party1?.contact || '',
-              signature: data.parties?.party1?.signature || null
+              contact: data.parties?.party1?.contact || ''
           },
           party2: {
               name: data.parties?.party2?.name || '',
               address: data.parties?.party2?.address || '',
-              contact: data.parties?.party2?.contact || '',
-              signature: data.parties?.party2?.signature || null
+              contact: data.parties?.party2?.contact || ''
           }
       };
+
+      // 签署方：默认为甲乙双方，可增加任意多个；wallet 为签署钱包地址（留空则以首次有效签名为准）
+      this.signers = (data.signers || [
+          { id: 'party1', role: '甲方', name: this.parties.party1.name },
+          { id: 'party2', role: '乙方', name: this.parties.party2.name }
+      ]).map(signer => ({
+          id: signer.id,
+          role: signer.role || '',
+          name: signer.name || '',
+          wallet: signer.wallet || '',
+          required: signer.required !== false
+      }));
+
+      // 签名按签署方 ID 保存：{ signer, signature, chainId, signedAt }
+      this.signatures = data.signatures || {};
       
       // 合同条款
       this.terms = {
@@ -105,7 +135,8 @@ class SmartContract extends BaseModel {
           tags: data.metadata?.tags || [],
           category: data.metadata?.category || '',
           priority: data.metadata?.priority || 'normal',
-          attachments: data.metadata?.attachments || []
+          attachments: data.metadata?.attachments || [],
+          templateVersion: data.metadata?.templateVersion || ''
       };
   }
 
@@ -151,34 +182,102 @@ class SmartContract extends BaseModel {
       };
   }
 
-  // 计算合同哈希
+  // 参与哈希的内容，与生成页历史记录同结构：{ templateId, version, fields, clauses, timestamp }
+  toHashPayload() {
+      return canonicalJSON().buildHashPayload({
+          templateId: this.metadata.template || this.type,
+          version: this.metadata.templateVersion || '',
+          fields: {
+              title: this.title,
+              parties: this.parties,
+              terms: this.terms,
+              financial: this.financial,
+              timeline: this.timeline
+          },
+          clauses: [],
+          createdAt: this.createdAt
+      });
+  }
+
+  // 计算合同哈希（规范化 JSON，键顺序不影响结果，见 docs/hash-signature-strategy.md）
   calculateHash() {
-      const data = {
-          title: this.title,
-          parties: this.parties,
-          terms: this.terms,
-          financial: this.financial,
-          timeline: this.timeline
+      return CryptoJS.SHA256(canonicalJSON().canonicalStringify(this.toHashPayload())).toString();
+  }
+
+  // 签名所针对的记录信息，与历史记录的 EIP-712 ContractRecord 一致
+  toSigningRecord() {
+      const payload = this.toHashPayload();
+      return {
+          templateId: payload.templateId,
+          templateVersion: payload.version,
+          contentHash: this.calculateHash(),
+          createdAt: this.createdAt
       };
-      
-      return CryptoJS.SHA256(JSON.stringify(data)).toString();
   }
 
-  // 签署合同
-  sign(party, signature) {
-      if (party === 'party1' || party === 'party2') {
-          this.parties[party].signature = {
-              data: signature,
-              timestamp: new Date().toISOString(),
-              hash: CryptoJS.SHA256(signature).toString()
-          };
-          this.touch();
+  // 添加签署方
+  addSigner(signer) {
+      if (!signer || !signer.id) {
+          throw new Error('签署方必须有 id');
+      }
+      if (this.signers.some(s => s.id === signer.id)) {
+          throw new Error(`签署方已存在: ${signer.id}`);
+      }
+      this.signers.push({
+          id: signer.id,
+          role: signer.role || '',
+          name: signer.name || '',
+          wallet: signer.wallet || '',
+          required: signer.required !== false
+      });
+      this.touch();
+  }
+
+  // 签署合同：signature 为钱包的 EIP-712 签名 { signature, chainId, signedAt }，
+  // 从签名恢复出的地址必须与签署方的钱包一致；必需签署方全部签署后合同自动生效
+  sign(signerId, signature) {
+      const signer = this.signers.find(s => s.id === signerId);
+      if (!signer) {
+          throw new Error(`签署方不存在: ${signerId}`);
+      }
+      if (!['draft', 'pending'].includes(this.status)) {
+          throw new Error(`合同当前状态为 ${this.status}，不能再签署`);
+      }
+      if (!signature || !signature.signature) {
+          throw new Error('缺少签名数据');
+      }
+
+      const recovered = contractSignature().recoverRecordSigner(this.toSigningRecord(), signature);
+      if (signer.wallet && recovered.toLowerCase() !== signer.wallet.toLowerCase()) {
+          throw new Error(`签名者 ${recovered} 与签署方 ${signer.name || signer.id} 的钱包不一致`);
       }
+      // 同一钱包不能代替多个签署方签署（与 signing-package.js 的 addSignature 一致）
+      const other = this.signers.find(s => s.id !== signerId
+          && this.signatures[s.id]
+          && this.signatures[s.id].signer.toLowerCase() === recovered.toLowerCase());
+      if (other) {
+          throw new Error(`该钱包已作为 ${other.name || other.id} 签署`);
+      }
+      signer.wallet = signer.wallet || recovered;
+      this.signatures[signerId] = {
+          signer: recovered,
+          signature: signature.signature,
+          chainId: Number(signature.chainId),
+          signedAt: signature.signedAt || new Date().toISOString()
+      };
+
+      this.status = this.isFullySigned() ? 'active' : 'pending';
+      this.touch();
+  }
+
+  // 尚未签署的必需签署方
+  getPendingSigners() {
+      return this.signers.filter(s => s.required && !this.signatures[s.id]);
   }
 
   // 检查是否完全签署
   isFullySigned() {
-      return this.parties.party1.signature && this.parties.party2.signature;
+      return this.signers.length > 0 && this.getPendingSigners().length === 0;
   }
 
   // 更新状态
@@ -217,12 +316,32 @@ class Block extends BaseModel {
           gasLimit: data.metadata?.gasLimit || 1000000
       };
       
+      if (!this.metadata.merkleRoot && this.transactions.length > 0) {
+          this.metadata.merkleRoot = this.calculateMerkleRoot();
+      }
+      
       // 如果没有哈希，计算哈希
       if (!this.hash) {
           this.hash = this.calculateHash();
       }
   }
 
+  // 交易哈希的 Merkle 根，规则与 src/utils/hash/merkle.js 相同：
+  // 叶子 SHA256(0x00‖哈希)，内部节点 SHA256(0x01‖左‖右)，奇数个时末尾节点直接提升
+  calculateMerkleRoot() {
+      if (this.transactions.length === 0) return '';
+      const sha256Hex = hex => CryptoJS.SHA256(CryptoJS.enc.Hex.parse(hex)).toString();
+      let level = this.transactions.map(tx => sha256Hex('00' + tx.calculateHash()));
+      while (level.length > 1) {
+          const next = [];
+          for (let i = 0; i < level.length; i += 2) {
+              next.push(i + 1 < level.length ? sha256Hex('01' + level[i] + level[i + 1]) : level[i]);
+          }
+          level = next;
+      }
+      return level[0];
+  }
+
   // 计算区块哈希
   calculateHash() {
       const data = {
@@ -263,6 +382,7 @@ class Block extends BaseModel {
       
       this.transactions.push(transaction);
       this.metadata.transactionCount = this.transactions.length;
+      this.metadata.merkleRoot = this.calculateMerkleRoot();
       this.touch();
   }
 
@@ -275,6 +395,11 @@ class Block extends BaseModel {
           errors.push('区块哈希无效');
       }
       
+      // 验证 Merkle 根
+      if (this.transactions.length > 0 && this.metadata.merkleRoot !== this.calculateMerkleRoot()) {
+          errors.push('Merkle 根与交易不符');
+      }
+      
       // 验证交易
       for (const transaction of this.transactions) {
           const txValidation = transaction.validate();
@@ -449,6 +574,11 @@ class DataStore {
       this.cache = new Map();
   }
 
+  // 底层存储：已设置口令时经 CryptoVault 加密（见 core/crypto-vault.js），锁定时写入失败、读取为空
+  storage() {
+      return typeof window !== 'undefined' && window.CryptoVault ? window.CryptoVault.storage : localStorage;
+  }
+
   // 保存数据
   save(collection, id, data) {
       const key = `${this.prefix}${collection}_${id}`;
@@ -460,7 +590,7 @@ class DataStore {
       
       try {
           if (this.storageType === 'localStorage') {
-              localStorage.setItem(key, serialized);
+              this.storage().setItem(key, serialized);
           } else if (this.storageType === 'memory') {
               this.cache.set(key, serialized);
           }
@@ -478,7 +608,7 @@ class DataStore {
       try {
           let serialized;
           if (this.storageType === 'localStorage') {
-              serialized = localStorage.getItem(key);
+              serialized = this.storage().getItem(key);
           } else if (this.storageType === 'memory') {
               serialized = this.cache.get(key);
           }
@@ -500,7 +630,7 @@ class DataStore {
       
       try {
           if (this.storageType === 'localStorage') {
-              localStorage.removeItem(key);
+              this.storage().removeItem(key);
           } else if (this.storageType === 'memory') {
               this.cache.delete(key);
           }
@@ -518,10 +648,13 @@ class DataStore {
       
       try {
           if (this.storageType === 'localStorage') {
-              for (let i = 0; i < localStorage.length; i++) {
-                  const key = localStorage.key(i);
+              const store = this.storage();
+              for (let i = 0; i < store.length; i++) {
+                  const key = store.key(i);
                   if (key && key.startsWith(pattern)) {
-                      const data = JSON.parse(localStorage.getItem(key)).data;
+                      const serialized = store.getItem(key);
+                      if (!serialized) continue;
+                      const data = JSON.parse(serialized).data;
                       if (this.matchesFilter(data, filter)) {
                           results.push(data);
                       }
@@ -561,13 +694,14 @@ class DataStore {
       
       try {
           if (this.storageType === 'localStorage') {
-              for (let i = 0; i < localStorage.length; i++) {
-                  const key = localStorage.key(i);
+              const store = this.storage();
+              for (let i = 0; i < store.length; i++) {
+                  const key = store.key(i);
                   if (key && key.startsWith(pattern)) {
                       keysToDelete.push(key);
                   }
               }
-              keysToDelete.forEach(key => localStorage.removeItem(key));
+              keysToDelete.forEach(key => store.removeItem(key));
           } else if (this.storageType === 'memory') {
               for (const key of this.cache.keys()) {
                   if (key.startsWith(pattern)) {
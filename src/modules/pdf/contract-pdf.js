@@ -0,0 +1,427 @@
+// 合同 PDF 排版 - 将组装好的合同文本解析为标题、当事人、条款、附件表格与签署栏，
+// 再用 jsPDF 分页绘制，页眉为合同名称，页脚为“第 X 页 共 Y 页”
+// 传入 integrity 时，在文档属性、每页页脚与末尾的校验二维码中写入内容哈希与记录信息
+import { toChineseNumeral } from '../../utils/helpers.js';
+
+const ARTICLE_PATTERN = /^第[一二三四五六七八九十百零]+条(?:\s+|$)/;
+const CLAUSE_PATTERN = /^([一二三四五六七八九十百零]+)、(.+)$/;
+// “甲方（用人单位）：xxx”“出租方（甲方）：xxx”
+const PARTY_PATTERN = /^(.{1,8}?方)（(.{1,12}?)）[：:]\s*(.*)$/;
+const PARTY_DETAIL_PATTERN = /^([^：:]{1,16})[：:]\s*(.*)$/;
+const CLAUSE_SECTION_TITLE = '附加条款';
+
+const PAGE = {
+  marginX: 20,
+  marginTop: 24,
+  marginBottom: 22,
+  headerY: 12,
+  footerOffset: 10
+};
+const FONT_SIZES = { title: 18, meta: 10, heading: 13, body: 11, table: 10, note: 8, header: 9, integrity: 7 };
+const QR_SIZE = 30;
+const PT_TO_MM = 0.3528;
+const LINE_SPACING = 1.6;
+// 正文段落首行缩进两个汉字
+const INDENT = '\u3000\u3000';
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join('，');
+  return String(value);
+}
+
+/**
+ * 解析正文开头（第一条之前）：当事人信息块与前言段落
+ * @param {Array<string>} lines - 正文行
+ * @returns {{ parties: Array<Object>, paragraphs: Array<string> }}
+ */
+function parsePreamble(lines) {
+  const parties = [];
+  const paragraphs = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const text = line.trim();
+    if (!text) {
+      current = null;
+      return;
+    }
+    const party = text.match(PARTY_PATTERN);
+    if (party) {
+      current = { role: `${party[1]}（${party[2]}）`, name: party[3], details: [] };
+      parties.push(current);
+      return;
+    }
+    const detail = current && text.match(PARTY_DETAIL_PATTERN);
+    if (detail) {
+      current.details.push({ label: detail[1], value: detail[2] });
+      return;
+    }
+    current = null;
+    paragraphs.push(text);
+  });
+  return { parties, paragraphs };
+}
+
+/**
+ * 将组装结果转换为排版结构（不依赖 jsPDF，便于测试）
+ * @param {{ text: string, template: Object, fields: Object, clauses: Array<Object> }} assembled - ContractGenerator.assemble 的结果
+ * @param {Object} [options]
+ * @param {{ hash: string, recordId: string, templateId: string, version: string, url: string }} [options.integrity] - 内容哈希与校验链接
+ * @returns {{ header: string, blocks: Array<Object>, integrity: Object|null }}
+ *          block.type 为 title、meta、parties、paragraph、article、clauses、signatures、table、note、verification
+ */
+function buildContractLayout(assembled, options = {}) {
+  const template = assembled.template || {};
+  const fields = assembled.fields || {};
+  const blocks = [];
+
+  let body = assembled.text || '';
+  let clauseText = '';
+  const marker = `\n\n${CLAUSE_SECTION_TITLE}\n`;
+  const markerIndex = body.lastIndexOf(marker);
+  if ((assembled.clauses || []).length > 0 && markerIndex >= 0) {
+    clauseText = body.slice(markerIndex + marker.length);
+    body = body.slice(0, markerIndex);
+  }
+
+  const lines = body.split('\n');
+  const titleIndex = lines.findIndex(line => line.trim());
+  const title = titleIndex >= 0 ? lines[titleIndex].trim() : template.name || '';
+  blocks.push({ type: 'title', text: title });
+
+  const meta = [template.edition, template.authority].filter(Boolean).join(' · ');
+  if (meta) blocks.push({ type: 'meta', text: meta });
+
+  const rest = lines.slice(titleIndex + 1);
+  const firstArticle = rest.findIndex(line => ARTICLE_PATTERN.test(line.trim()));
+  const preamble = parsePreamble(firstArticle >= 0 ? rest.slice(0, firstArticle) : rest);
+  if (preamble.parties.length) blocks.push({ type: 'parties', parties: preamble.parties });
+  preamble.paragraphs.forEach(text => blocks.push({ type: 'paragraph', text }));
+
+  if (firstArticle >= 0) {
+    let article = null;
+    rest.slice(firstArticle).forEach(line => {
+      const text = line.trim();
+      if (ARTICLE_PATTERN.test(text)) {
+        const [number, ...heading] = text.split(/\s+/);
+        article = { type: 'article', number, heading: heading.join(' '), paragraphs: [] };
+        blocks.push(article);
+      } else if (text) {
+        article.paragraphs.push(text);
+      }
+    });
+  }
+
+  if (clauseText) {
+    const items = [];
+    clauseText.split('\n').forEach(line => {
+      const text = line.trim();
+      const match = text.match(CLAUSE_PATTERN);
+      if (match) items.push({ number: `${match[1]}、`, title: match[2], paragraphs: [] });
+      else if (text && items.length) items[items.length - 1].paragraphs.push(text);
+    });
+    blocks.push({ type: 'clauses', title: CLAUSE_SECTION_TITLE, items });
+  }
+
+  // 签署栏：按正文中的当事人生成，正文没有当事人信息时使用甲乙双方
+  const signers = preamble.parties.length
+    ? preamble.parties.map(p => ({ role: p.role, name: p.name }))
+    : [{ role: '甲方', name: '' }, { role: '乙方', name: '' }];
+  blocks.push({ type: 'signatures', parties: signers });
+
+  // 分组字段作为附件表格，表头使用字段标签
+  let attachment = 0;
+  (template.fields || [])
+    .filter(field => field.type === 'group' && Array.isArray(fields[field.name]) && fields[field.name].length > 0)
+    .forEach(field => {
+      attachment++;
+      const columns = field.fields || [];
+      blocks.push({
+        type: 'table',
+        title: `附件${toChineseNumeral(attachment)}：${field.label || field.name}`,
+        columns: ['序号', ...columns.map(c => c.label || c.name)],
+        rows: fields[field.name].map((row, i) => [String(i + 1), ...columns.map(c => formatCell((row || {})[c.name]))])
+      });
+    });
+
+  // 条款清单（id@version）与历史记录中的 clauses 一致，便于核对条款版本
+  const clauseList = (assembled.clauses || []).map(c => `${c.id}@${c.version}`).join(', ');
+  blocks.push({
+    type: 'note',
+    text: `模板：${template.id || ''}@${template.version || ''}\u3000条款清单：${clauseList || '无'}`
+  });
+
+  const integrity = options.integrity || null;
+  if (integrity) {
+    blocks.push({
+      type: 'verification',
+      url: integrity.url,
+      lines: [
+        '合同校验',
+        `记录编号：${integrity.recordId}`,
+        `内容哈希（SHA-256）：${integrity.hash}`,
+        '扫描二维码或将链接粘贴到“历史记录 - 校验合同”，核对本合同与生成记录是否一致。'
+      ]
+    });
+  }
+
+  return { header: template.name || title, blocks, integrity };
+}
+
+/**
+ * 生成二维码矩阵
+ * @param {string} text - 二维码内容
+ * @param {Function} [factory] - qrcode-generator 的 qrcode 函数，默认取全局 qrcode
+ * @returns {Array<Array<boolean>>|null} - 二维码库不可用时返回 null
+ */
+function createQrMatrix(text, factory = globalThis.qrcode) {
+  if (typeof factory !== 'function' || !text) return null;
+  const qr = factory(0, 'M');
+  qr.addData(text);
+  qr.make();
+  const count = qr.getModuleCount();
+  return Array.from({ length: count }, (_, row) => Array.from({ length: count }, (_, col) => qr.isDark(row, col)));
+}
+
+// 以矢量方块绘制二维码，同一行相邻的深色模块合并为一个矩形
+function drawQrMatrix(doc, matrix, x, y, size) {
+  const cell = size / matrix.length;
+  doc.setFillColor(0, 0, 0);
+  matrix.forEach((row, r) => {
+    let start = -1;
+    row.concat(false).forEach((dark, c) => {
+      if (dark && start < 0) start = c;
+      if (!dark && start >= 0) {
+        doc.rect(x + start * cell, y + r * cell, (c - start) * cell, cell, 'F');
+        start = -1;
+      }
+    });
+  });
+}
+
+function lineHeightOf(size) {
+  return size * PT_TO_MM * LINE_SPACING;
+}
+
+/**
+ * 按排版结构绘制 PDF
+ * @param {Object} doc - jsPDF 实例（单位 mm），调用方负责加载中文字体
+ * @param {{ header: string, blocks: Array<Object> }} layout - buildContractLayout 的结果
+ * @param {Object} [options]
+ * @param {string} [options.fontName] - 字体名，默认使用 doc 当前字体
+ * @param {Function} [options.qrcode] - qrcode-generator 的 qrcode 函数，默认取全局 qrcode；不可用时只输出校验文字
+ * @returns {Object} - 同一个 doc
+ */
+function renderContractPdf(doc, layout, options = {}) {
+  const fontName = options.fontName || doc.getFont().fontName;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE.marginX * 2;
+  const bottom = pageHeight - PAGE.marginBottom;
+  let y = PAGE.marginTop;
+
+  doc.setFont(fontName, 'normal');
+
+  const ensureSpace = height => {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = PAGE.marginTop;
+    }
+  };
+
+  // 写一段文字，自动换行与分页；y 始终为下一行的顶部位置
+  const writeText = (text, { size = FONT_SIZES.body, align = 'left', x = PAGE.marginX, width = contentWidth, after = 0 } = {}) => {
+    doc.setFontSize(size);
+    const lineHeight = lineHeightOf(size);
+    doc.splitTextToSize(text, width).forEach(line => {
+      ensureSpace(lineHeight);
+      const textX = align === 'center' ? x + width / 2 : x;
+      doc.text(line, textX, y + size * PT_TO_MM, align === 'center' ? { align: 'center' } : undefined);
+      y += lineHeight;
+    });
+    y += after;
+  };
+
+  const drawTable = (columns, rows) => {
+    const size = FONT_SIZES.table;
+    const lineHeight = lineHeightOf(size);
+    const padding = 1.5;
+    const indexWidth = 12;
+    const widths = [indexWidth, ...columns.slice(1).map(() => (contentWidth - indexWidth) / (columns.length - 1))];
+    doc.setFontSize(size);
+
+    const drawRow = (cells, isHeader) => {
+      const cellLines = cells.map((text, i) => doc.splitTextToSize(text, widths[i] - padding * 2));
+      const height = Math.max(...cellLines.map(l => l.length)) * lineHeight + padding * 2;
+      if (y + height > bottom) {
+        doc.addPage();
+        y = PAGE.marginTop;
+        // 换页后重复表头
+        if (!isHeader) drawRow(columns, true);
+      }
+      let x = PAGE.marginX;
+      cellLines.forEach((linesInCell, i) => {
+        doc.rect(x, y, widths[i], height);
+        linesInCell.forEach((line, j) => {
+          doc.text(line, x + padding, y + padding + size * PT_TO_MM + j * lineHeight);
+        });
+        x += widths[i];
+      });
+      y += height;
+    };
+
+    drawRow(columns, true);
+    rows.forEach(row => drawRow(row, false));
+    y += 4;
+  };
+
+  const drawSignatures = parties => {
+    const columnWidth = contentWidth / 2;
+    const lineHeight = lineHeightOf(FONT_SIZES.body);
+    const blockHeight = lineHeight * 4 + 6;
+    y += 6;
+    for (let i = 0; i < parties.length; i += 2) {
+      ensureSpace(blockHeight);
+      parties.slice(i, i + 2).forEach((party, j) => {
+        const x = PAGE.marginX + j * columnWidth;
+        const lines = [
+          `${party.role}（签字/盖章）：`,
+          party.name || '',
+          '',
+          '签署日期：\u3000\u3000\u3000年\u3000\u3000月\u3000\u3000日'
+        ];
+        doc.setFontSize(FONT_SIZES.body);
+        lines.forEach((line, k) => {
+          if (line) doc.text(doc.splitTextToSize(line, columnWidth - 6)[0], x, y + FONT_SIZES.body * PT_TO_MM + k * lineHeight);
+        });
+        // 签字线
+        doc.line(x, y + lineHeight * 2.6, x + columnWidth - 12, y + lineHeight * 2.6);
+      });
+      y += blockHeight;
+    }
+  };
+
+  layout.blocks.forEach(block => {
+    switch (block.type) {
+      case 'title':
+        writeText(block.text, { size: FONT_SIZES.title, align: 'center', after: 2 });
+        break;
+      case 'meta':
+        writeText(block.text, { size: FONT_SIZES.meta, align: 'center', after: 2 });
+        break;
+      case 'parties': {
+        y += 2;
+        const labelWidth = 36;
+        block.parties.forEach(party => {
+          writeText(`${party.role}：${party.name}`, { size: FONT_SIZES.heading });
+          party.details.forEach(detail => {
+            doc.setFontSize(FONT_SIZES.body);
+            const lineHeight = lineHeightOf(FONT_SIZES.body);
+            const valueLines = doc.splitTextToSize(detail.value, contentWidth - labelWidth - 4);
+            ensureSpace(lineHeight * valueLines.length);
+            doc.text(`${detail.label}：`, PAGE.marginX + 4, y + FONT_SIZES.body * PT_TO_MM);
+            valueLines.forEach((line, i) => {
+              doc.text(line, PAGE.marginX + 4 + labelWidth, y + FONT_SIZES.body * PT_TO_MM + i * lineHeight);
+            });
+            y += lineHeight * valueLines.length;
+          });
+          y += 3;
+        });
+        break;
+      }
+      case 'paragraph':
+        writeText(INDENT + block.text, { after: 1 });
+        break;
+      case 'article':
+        y += 2;
+        // 条标题与第一段不分页
+        ensureSpace(lineHeightOf(FONT_SIZES.heading) + lineHeightOf(FONT_SIZES.body) * 2);
+        writeText(`${block.number}\u3000${block.heading}`.trim(), { size: FONT_SIZES.heading, after: 1 });
+        block.paragraphs.forEach(text => writeText(INDENT + text, { after: 1 }));
+        break;
+      case 'clauses':
+        y += 2;
+        ensureSpace(lineHeightOf(FONT_SIZES.heading) * 2);
+        writeText(block.title, { size: FONT_SIZES.heading, after: 1 });
+        block.items.forEach(item => {
+          writeText(`${item.number}${item.title}`, { size: FONT_SIZES.body, after: 0.5 });
+          item.paragraphs.forEach(text => writeText(INDENT + text, { after: 1 }));
+        });
+        break;
+      case 'signatures':
+        drawSignatures(block.parties);
+        break;
+      case 'table':
+        y += 4;
+        ensureSpace(lineHeightOf(FONT_SIZES.heading) + lineHeightOf(FONT_SIZES.table) * 3);
+        writeText(block.title, { size: FONT_SIZES.heading, after: 1 });
+        drawTable(block.columns, block.rows);
+        break;
+      case 'note':
+        y += 4;
+        writeText(block.text, { size: FONT_SIZES.note });
+        break;
+      case 'verification': {
+        y += 6;
+        const matrix = createQrMatrix(block.url, options.qrcode);
+        const textX = matrix ? PAGE.marginX + QR_SIZE + 6 : PAGE.marginX;
+        const textWidth = contentWidth - (textX - PAGE.marginX);
+        ensureSpace(matrix ? QR_SIZE : lineHeightOf(FONT_SIZES.note) * 6);
+        const top = y;
+        if (matrix) drawQrMatrix(doc, matrix, PAGE.marginX, top, QR_SIZE);
+        block.lines.forEach((line, i) => {
+          writeText(line, { size: i === 0 ? FONT_SIZES.body : FONT_SIZES.note, x: textX, width: textWidth, after: 0.5 });
+        });
+        writeText(block.url, { size: FONT_SIZES.note, x: textX, width: textWidth });
+        if (matrix) y = Math.max(y, top + QR_SIZE);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // 页眉、页脚在全部内容排完后补绘，才能得到总页数
+  const integrity = layout.integrity;
+  const total = doc.getNumberOfPages();
+  for (let page = 1; page <= total; page++) {
+    doc.setPage(page);
+    doc.setFontSize(FONT_SIZES.header);
+    doc.text(layout.header || '', PAGE.marginX, PAGE.headerY);
+    doc.line(PAGE.marginX, PAGE.headerY + 2, pageWidth - PAGE.marginX, PAGE.headerY + 2);
+    doc.text(`第 ${page} 页 共 ${total} 页`, pageWidth / 2, pageHeight - PAGE.footerOffset, { align: 'center' });
+    if (integrity) {
+      doc.setFontSize(FONT_SIZES.integrity);
+      doc.text(
+        `记录 ${integrity.recordId}\u3000模板 ${integrity.templateId}@${integrity.version}\u3000SHA-256 ${integrity.hash}`,
+        pageWidth / 2,
+        pageHeight - PAGE.footerOffset + 4,
+        { align: 'center' }
+      );
+    }
+  }
+
+  if (integrity) {
+    doc.setProperties({
+      title: layout.header || '',
+      subject: `合同内容哈希 SHA-256 ${integrity.hash}`,
+      keywords: `sha256:${integrity.hash} record:${integrity.recordId} template:${integrity.templateId}@${integrity.version}`,
+      creator: '区块链智能合同生成系统'
+    });
+  }
+  return doc;
+}
+
+/**
+ * 排版并绘制合同 PDF
+ * @param {Object} doc - jsPDF 实例
+ * @param {Object} assembled - ContractGenerator.assemble 的结果
+ * @param {Object} [options] - 同 buildContractLayout 与 renderContractPdf
+ * @returns {Object} - 同一个 doc
+ */
+function writeContractPdf(doc, assembled, options = {}) {
+  return renderContractPdf(doc, buildContractLayout(assembled, options), options);
+}
+
+export { buildContractLayout, createQrMatrix, renderContractPdf, writeContractPdf };
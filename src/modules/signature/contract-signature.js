@@ -0,0 +1,129 @@
+// 合同记录的 EIP-712 钱包签名（见 docs/hash-signature-strategy.md）
+// 签名内容为 ContractRecord { templateId, version, hash, timestamp }，hash 为记录的内容哈希
+import { buildHashPayload, hashPayload } from '../../utils/hash/canonical-json.js';
+import { recoverAddress } from '../../utils/hash/secp256k1.js';
+import { domainType, hashTypedData } from './eip712.js';
+
+const CONTRACT_RECORD_TYPES = {
+  ContractRecord: [
+    { name: 'templateId', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'hash', type: 'string' },
+    { name: 'timestamp', type: 'uint256' }
+  ]
+};
+
+const DEFAULT_DOMAIN = { name: 'SmartContractGenerationSystem', version: '1' };
+
+/**
+ * 签名域：名称与版本取 CONFIG.security.signature.eip712，链 ID 取签名时钱包所在的链
+ * @param {number} chainId - 链 ID
+ * @returns {{ name: string, version: string, chainId: number }}
+ */
+function signingDomain(chainId) {
+  const config = globalThis.CONFIG?.security?.signature?.eip712 || {};
+  return {
+    name: config.name || DEFAULT_DOMAIN.name,
+    version: config.version || DEFAULT_DOMAIN.version,
+    chainId: Number(chainId)
+  };
+}
+
+/**
+ * 构造 eth_signTypedData_v4 的参数
+ * @param {Object} record - 历史记录（templateId、templateVersion、contentHash、createdAt）
+ * @param {number} chainId - 链 ID
+ * @returns {{ types: Object, primaryType: string, domain: Object, message: Object }}
+ */
+function buildContractRecordTypedData(record, chainId) {
+  const domain = signingDomain(chainId);
+  return {
+    types: { EIP712Domain: domainType(domain), ...CONTRACT_RECORD_TYPES },
+    primaryType: 'ContractRecord',
+    domain,
+    message: {
+      templateId: record.templateId || '',
+      version: record.templateVersion || '',
+      hash: record.contentHash || '',
+      // uint256 秒级时间戳
+      timestamp: Math.floor(new Date(record.createdAt).getTime() / 1000)
+    }
+  };
+}
+
+/**
+ * 请求钱包对记录签名
+ * @param {Object} provider - EIP-1193 提供者（window.ethereum）
+ * @param {Object} record - 历史记录，需已包含 contentHash
+ * @returns {Promise<{ scheme: string, signer: string, signature: string, chainId: number, signedAt: string }>}
+ */
+async function signContractRecord(provider, record) {
+  if (!provider || typeof provider.request !== 'function') {
+    throw new Error('未检测到以太坊钱包（如 MetaMask）');
+  }
+  if (!record.contentHash) {
+    throw new Error('记录缺少内容哈希，无法签名');
+  }
+  const [account] = await provider.request({ method: 'eth_requestAccounts' });
+  if (!account) throw new Error('钱包未授权任何账户');
+  const chainId = parseInt(await provider.request({ method: 'eth_chainId' }), 16);
+
+  const typedData = buildContractRecordTypedData(record, chainId);
+  const signature = await provider.request({
+    method: 'eth_signTypedData_v4',
+    params: [account, JSON.stringify(typedData)]
+  });
+
+  // 本地恢复一次，确保保存的签名可被历史记录页验证
+  const signer = recoverAddress(hashTypedData(typedData), signature);
+  if (signer.toLowerCase() !== account.toLowerCase()) {
+    throw new Error('签名恢复出的地址与当前钱包账户不一致');
+  }
+  return { scheme: 'EIP-712', signer, signature, chainId, signedAt: new Date().toISOString() };
+}
+
+/**
+ * 从签名恢复签名者地址（同步，不重新计算内容哈希）
+ * @param {Object} record - 含 templateId、templateVersion、contentHash、createdAt 的记录
+ * @param {{ signature: string, chainId: number }} entry - 签名信息
+ * @returns {string} - 校验和地址
+ */
+function recoverRecordSigner(record, entry) {
+  return recoverAddress(hashTypedData(buildContractRecordTypedData(record, entry.chainId)), entry.signature);
+}
+
+/**
+ * 验证记录上的签名：重新计算内容哈希，再从签名恢复签名者地址
+ * @param {Object} record - 历史记录
+ * @returns {Promise<{ status: string, message: string, signer: string|null, recovered: string|null }>}
+ *          status 为 unsigned、verified、content_mismatch、invalid
+ */
+async function verifyRecordSignature(record) {
+  const signed = record && record.signature;
+  if (!signed || !signed.signature) {
+    return { status: 'unsigned', message: '该记录尚未签名', signer: null, recovered: null };
+  }
+
+  const contentHash = await hashPayload(buildHashPayload(record));
+  if (contentHash !== record.contentHash) {
+    return { status: 'content_mismatch', message: '合同内容与签名时不一致', signer: signed.signer, recovered: null };
+  }
+
+  let recovered;
+  try {
+    recovered = recoverRecordSigner(record, signed);
+  } catch (error) {
+    return { status: 'invalid', message: `签名无法解析：${error.message}`, signer: signed.signer, recovered: null };
+  }
+  if (recovered.toLowerCase() !== String(signed.signer).toLowerCase()) {
+    return { status: 'invalid', message: '签名恢复出的地址与记录的签名者不一致', signer: signed.signer, recovered };
+  }
+  return { status: 'verified', message: `签名有效，签名者 ${recovered}`, signer: signed.signer, recovered };
+}
+
+// 供非模块脚本（models.js 的 SmartContract.sign）使用
+if (typeof window !== 'undefined') {
+  window.ContractSignature = { buildContractRecordTypedData, recoverRecordSigner };
+}
+
+export { CONTRACT_RECORD_TYPES, buildContractRecordTypedData, signContractRecord, recoverRecordSigner, verifyRecordSignature };
@@ -0,0 +1,109 @@
+// EIP-712 结构化数据哈希 - 与钱包 eth_signTypedData_v4 的签名摘要一致
+// 支持 string、bytes、bytesN、uintN、intN、address、bool、嵌套结构体与数组
+import { keccak256, utf8ToBytes, hexToBytes, bytesToHex, concatBytes } from '../../utils/hash/keccak.js';
+
+const DOMAIN_FIELDS = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+  { name: 'salt', type: 'bytes32' }
+];
+
+/**
+ * 根据 domain 中实际出现的字段生成 EIP712Domain 类型
+ * @param {Object} domain - 签名域
+ * @returns {Array<{name: string, type: string}>}
+ */
+function domainType(domain) {
+  return DOMAIN_FIELDS.filter(field => domain[field.name] !== undefined);
+}
+
+function padLeft(bytes, length = 32) {
+  const result = new Uint8Array(length);
+  result.set(bytes, length - bytes.length);
+  return result;
+}
+
+function encodeInteger(value, type) {
+  let number = BigInt(value);
+  const bits = Number(type.replace(/^u?int/, '') || 256);
+  if (type.startsWith('uint') && number < 0n) throw new Error(`${type} 不能为负数: ${value}`);
+  // 负数按补码编码
+  if (number < 0n) number = (1n << 256n) + number;
+  if (number >= (1n << BigInt(type.startsWith('uint') ? bits : 256))) throw new Error(`数值超出 ${type} 范围: ${value}`);
+  return padLeft(hexToBytes(number.toString(16).padStart(64, '0')));
+}
+
+// 收集主类型引用到的全部结构体类型
+function findDependencies(primaryType, types, found = new Set()) {
+  const base = primaryType.replace(/\[\d*\]$/, '');
+  if (found.has(base) || !types[base]) return found;
+  found.add(base);
+  types[base].forEach(field => findDependencies(field.type, types, found));
+  return found;
+}
+
+/**
+ * 类型编码：主类型在前，其余引用类型按名称排序
+ * @param {string} primaryType - 主类型
+ * @param {Object} types - 类型定义
+ * @returns {string} - 如 "Mail(Person from,Person to,string contents)Person(string name,address wallet)"
+ */
+function encodeType(primaryType, types) {
+  const [primary, ...rest] = [...findDependencies(primaryType, types)];
+  return [primary, ...rest.sort()]
+    .map(name => `${name}(${types[name].map(field => `${field.type} ${field.name}`).join(',')})`)
+    .join('');
+}
+
+function typeHash(primaryType, types) {
+  return keccak256(encodeType(primaryType, types));
+}
+
+function encodeValue(type, value, types) {
+  if (types[type]) return hashStruct(type, value, types);
+  const array = type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return keccak256(concatBytes(...(value || []).map(item => encodeValue(array[1], item, types))));
+  }
+  if (type === 'string') return keccak256(utf8ToBytes(String(value)));
+  if (type === 'bytes') return keccak256(typeof value === 'string' ? hexToBytes(value) : value);
+  if (type === 'bool') return encodeInteger(value ? 1 : 0, 'uint256');
+  if (type === 'address') return padLeft(hexToBytes(value));
+  if (/^bytes\d+$/.test(type)) {
+    const bytes = typeof value === 'string' ? hexToBytes(value) : value;
+    const result = new Uint8Array(32);
+    result.set(bytes);
+    return result;
+  }
+  if (/^u?int\d*$/.test(type)) return encodeInteger(value, type);
+  throw new Error(`不支持的 EIP-712 类型: ${type}`);
+}
+
+/**
+ * 结构体哈希 hashStruct(s) = keccak256(typeHash ‖ encodeData(s))
+ * @param {string} primaryType - 类型名
+ * @param {Object} data - 结构体数据
+ * @param {Object} types - 类型定义
+ * @returns {Uint8Array}
+ */
+function hashStruct(primaryType, data, types) {
+  const fields = types[primaryType];
+  if (!fields) throw new Error(`未定义的 EIP-712 类型: ${primaryType}`);
+  return keccak256(concatBytes(typeHash(primaryType, types), ...fields.map(field => encodeValue(field.type, data[field.name], types))));
+}
+
+/**
+ * 计算待签名摘要 keccak256(0x19 0x01 ‖ domainSeparator ‖ hashStruct(message))
+ * @param {{ types: Object, primaryType: string, domain: Object, message: Object }} typedData - eth_signTypedData_v4 的参数
+ * @returns {string} - 0x 开头的 32 字节摘要
+ */
+function hashTypedData(typedData) {
+  const types = { ...typedData.types, EIP712Domain: typedData.types.EIP712Domain || domainType(typedData.domain) };
+  const domainSeparator = hashStruct('EIP712Domain', typedData.domain, types);
+  const message = hashStruct(typedData.primaryType, typedData.message, types);
+  return bytesToHex(keccak256(concatBytes(new Uint8Array([0x19, 0x01]), domainSeparator, message)));
+}
+
+export { domainType, encodeType, hashStruct, hashTypedData };
@@ -0,0 +1,271 @@
+// 多方签署流程 - 为合同记录指定 N 个签署方，导出签署包给对方在各自浏览器中用钱包签名，
+// 再导入对方返回的签名；每个签名都按内容哈希重新验证，必需签署方全部签署后记录自动变为 active
+import { buildHashPayload, hashPayload } from '../../utils/hash/canonical-json.js';
+import { recoverRecordSigner } from './contract-signature.js';
+
+const PACKAGE_TYPE = 'contract-signing-package';
+const RESPONSE_TYPE = 'contract-signature-response';
+const FORMAT_VERSION = 1;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 规范化签署方列表
+ * @param {Array<{id: string, role: string, name: string, wallet: string, required: boolean}>} signers - 签署方
+ * @returns {Array<Object>}
+ */
+function normalizeSigners(signers) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    throw createError('至少需要一个签署方', 'signers_empty');
+  }
+  const ids = new Set();
+  return signers.map((signer, index) => {
+    const id = String(signer.id || `signer${index + 1}`);
+    if (ids.has(id)) throw createError(`签署方 ID 重复: ${id}`, 'signer_duplicate');
+    ids.add(id);
+    const wallet = signer.wallet ? String(signer.wallet).trim() : '';
+    if (wallet && !ADDRESS_PATTERN.test(wallet)) {
+      throw createError(`签署方 ${signer.name || id} 的钱包地址无效: ${wallet}`, 'signer_wallet_invalid');
+    }
+    return {
+      id,
+      role: signer.role || '',
+      name: signer.name || '',
+      wallet,
+      required: signer.required !== false
+    };
+  });
+}
+
+/**
+ * 计算签署状态
+ * @param {Object} record - 含 signing 的记录
+ * @returns {{ status: string, signed: Array<Object>, missing: Array<Object> }}
+ */
+function getSigningStatus(record) {
+  const signing = record.signing;
+  if (!signing) return { status: null, signed: [], missing: [] };
+  const signatures = signing.signatures || {};
+  const signed = signing.signers.filter(s => signatures[s.id]);
+  const missing = signing.signers.filter(s => s.required && !signatures[s.id]);
+  return { status: missing.length === 0 ? 'active' : 'pending', signed, missing };
+}
+
+/**
+ * 为记录指定签署方，已有的签名按签署方 ID 保留；签署方的钱包地址改变时原签名作废
+ * @param {Object} record - 历史记录（需含 contentHash）
+ * @param {Array<Object>} signers - 签署方
+ * @returns {Object} - 新的记录对象
+ */
+function defineSigners(record, signers) {
+  if (!record.contentHash) throw createError('记录缺少内容哈希，无法发起签署', 'content_hash_missing');
+  const normalized = normalizeSigners(signers);
+  const previous = (record.signing && record.signing.signatures) || {};
+  const signatures = {};
+  const kept = normalized.map(s => {
+    const entry = previous[s.id];
+    if (!entry || (s.wallet && entry.signer.toLowerCase() !== s.wallet.toLowerCase())) return s;
+    signatures[s.id] = entry;
+    // 未填写钱包地址时沿用签名地址，与 addSignature 一致
+    return s.wallet ? s : { ...s, wallet: entry.signer };
+  });
+  const next = { ...record, signing: { signers: kept, signatures } };
+  next.signing.status = getSigningStatus(next).status;
+  return next;
+}
+
+// 记录内容必须与内容哈希一致，签名才有意义
+async function assertContentHash(record) {
+  const hash = await hashPayload(buildHashPayload(record));
+  if (hash !== record.contentHash) {
+    throw createError('合同内容与内容哈希不一致，拒绝处理签名', 'content_mismatch');
+  }
+}
+
+/**
+ * 验证并加入一个签署方的签名
+ * @param {Object} record - 含 signing 的记录
+ * @param {string} signerId - 签署方 ID
+ * @param {{ signature: string, chainId: number, signedAt: string }} entry - 钱包签名结果
+ * @returns {Promise<Object>} - 新的记录对象
+ */
+async function addSignature(record, signerId, entry) {
+  if (!record.signing) throw createError('该记录尚未指定签署方', 'signing_missing');
+  const signer = record.signing.signers.find(s => s.id === signerId);
+  if (!signer) throw createError(`签署方不存在: ${signerId}`, 'signer_unknown');
+  await assertContentHash(record);
+
+  let recovered;
+  try {
+    recovered = recoverRecordSigner(record, entry);
+  } catch (error) {
+    throw createError(`签名无法解析：${error.message}`, 'signature_invalid');
+  }
+  if (signer.wallet && recovered.toLowerCase() !== signer.wallet.toLowerCase()) {
+    throw createError(`签名者 ${recovered} 不是 ${signer.name || signer.id} 指定的钱包 ${signer.wallet}`, 'signer_mismatch');
+  }
+  const other = record.signing.signers.find(s => s.id !== signerId
+    && record.signing.signatures[s.id]
+    && record.signing.signatures[s.id].signer.toLowerCase() === recovered.toLowerCase());
+  if (other) throw createError(`该钱包已作为 ${other.name || other.id} 签署`, 'signer_duplicate_wallet');
+
+  const signatures = {
+    ...record.signing.signatures,
+    [signerId]: {
+      scheme: 'EIP-712',
+      signer: recovered,
+      signature: entry.signature,
+      chainId: Number(entry.chainId),
+      signedAt: entry.signedAt || new Date().toISOString()
+    }
+  };
+  // 未预先填写钱包地址的签署方，以首次有效签名的地址为准
+  const signers = record.signing.signers.map(s => (s.id === signerId && !s.wallet ? { ...s, wallet: recovered } : s));
+  const next = { ...record, signing: { ...record.signing, signers, signatures } };
+  next.signing.status = getSigningStatus(next).status;
+  return next;
+}
+
+/**
+ * 逐个重新验证记录上的全部签名
+ * @param {Object} record - 含 signing 的记录
+ * @returns {Promise<Array<{ signerId: string, valid: boolean, message: string }>>}
+ */
+async function verifySignatures(record) {
+  const signing = record.signing;
+  if (!signing) return [];
+  const contentHash = await hashPayload(buildHashPayload(record));
+  return signing.signers
+    .filter(s => signing.signatures[s.id])
+    .map(s => {
+      const entry = signing.signatures[s.id];
+      if (contentHash !== record.contentHash) return { signerId: s.id, valid: false, message: '合同内容与签名时不一致' };
+      try {
+        const recovered = recoverRecordSigner(record, entry);
+        const valid = recovered.toLowerCase() === entry.signer.toLowerCase()
+          && (!s.wallet || recovered.toLowerCase() === s.wallet.toLowerCase());
+        return { signerId: s.id, valid, message: valid ? `签名有效（${recovered}）` : `签名者不符（恢复出 ${recovered}）` };
+      } catch (error) {
+        return { signerId: s.id, valid: false, message: `签名无法解析：${error.message}` };
+      }
+    });
+}
+
+/**
+ * 导出给某个签署方的签署包（JSON 对象），包含重新计算内容哈希所需的全部字段
+ * @param {Object} record - 含 signing 的记录
+ * @param {string} signerId - 签署方 ID
+ * @returns {Object}
+ */
+function exportSigningPackage(record, signerId) {
+  if (!record.signing) throw createError('该记录尚未指定签署方', 'signing_missing');
+  const signer = record.signing.signers.find(s => s.id === signerId);
+  if (!signer) throw createError(`签署方不存在: ${signerId}`, 'signer_unknown');
+  return {
+    type: PACKAGE_TYPE,
+    formatVersion: FORMAT_VERSION,
+    signerId,
+    record: {
+      id: record.id,
+      templateId: record.templateId,
+      templateName: record.templateName || '',
+      templateVersion: record.templateVersion || null,
+      createdAt: record.createdAt,
+      fields: record.fields || {},
+      clauses: record.clauses || [],
+      contentHash: record.contentHash
+    },
+    signers: record.signing.signers,
+    signed: Object.keys(record.signing.signatures)
+  };
+}
+
+/**
+ * 读取签署包并核对内容哈希
+ * @param {string|Object} input - JSON 文本或对象
+ * @returns {Promise<Object>} - 签署包
+ */
+async function readSigningPackage(input) {
+  let data;
+  try {
+    data = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    throw createError('签署包不是有效的 JSON', 'package_invalid');
+  }
+  if (!data || data.type !== PACKAGE_TYPE || !data.record) {
+    throw createError('不是合同签署包', 'package_invalid');
+  }
+  if (data.formatVersion > FORMAT_VERSION) {
+    throw createError(`签署包格式版本 ${data.formatVersion} 过新，请升级系统`, 'package_version');
+  }
+  if (!Array.isArray(data.signers) || (data.signed !== undefined && !Array.isArray(data.signed))) {
+    throw createError('签署包的签署方列表无效', 'package_invalid');
+  }
+  if (!data.signers.some(s => s.id === data.signerId)) {
+    throw createError(`签署包中没有签署方 ${data.signerId}`, 'signer_unknown');
+  }
+  await assertContentHash(data.record);
+  // 旧签署包可能没有 signed 字段
+  return { ...data, signed: data.signed || [] };
+}
+
+/**
+ * 生成返回给发起方的签名文件内容
+ * @param {Object} signingPackage - readSigningPackage 的结果
+ * @param {{ signature: string, chainId: number, signedAt: string }} entry - 钱包签名结果
+ * @returns {Object}
+ */
+function createSignatureResponse(signingPackage, entry) {
+  return {
+    type: RESPONSE_TYPE,
+    formatVersion: FORMAT_VERSION,
+    recordId: signingPackage.record.id,
+    contentHash: signingPackage.record.contentHash,
+    signerId: signingPackage.signerId,
+    signature: {
+      signer: entry.signer,
+      signature: entry.signature,
+      chainId: entry.chainId,
+      signedAt: entry.signedAt
+    }
+  };
+}
+
+/**
+ * 导入对方返回的签名文件
+ * @param {Object} record - 含 signing 的记录
+ * @param {string|Object} input - 签名文件 JSON 文本或对象
+ * @returns {Promise<Object>} - 新的记录对象
+ */
+async function importSignatureResponse(record, input) {
+  let data;
+  try {
+    data = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    throw createError('签名文件不是有效的 JSON', 'response_invalid');
+  }
+  if (!data || data.type !== RESPONSE_TYPE || !data.signature) {
+    throw createError('不是合同签名文件', 'response_invalid');
+  }
+  if (data.recordId !== record.id || data.contentHash !== record.contentHash) {
+    throw createError('签名文件与当前合同记录不匹配', 'response_mismatch');
+  }
+  return addSignature(record, data.signerId, data.signature);
+}
+
+export {
+  normalizeSigners,
+  getSigningStatus,
+  defineSigners,
+  addSignature,
+  verifySignatures,
+  exportSigningPackage,
+  readSigningPackage,
+  createSignatureResponse,
+  importSignatureResponse
+};
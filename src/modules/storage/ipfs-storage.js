@@ -0,0 +1,275 @@
+// IPFS 内容寻址存储 - 合同 PDF 与规范化载荷先用 AES-256-GCM 加密再存入 IPFS，历史记录只保存 CID 与密钥
+// 适配器：createKuboAdapter 调用本地 Kubo 节点的 HTTP API；createMemoryAdapter 为进程内替身（测试与离线演示）
+// 记录上的 ipfs 字段：{ adapter, payloadCid, pdfCid, key, keySealed, algorithm, storedAt }
+// key 为内容密钥：设置了加密口令时用口令加密（keySealed 为 true），否则是明文 base64，拿到记录即可解密 IPFS 上的内容
+import { buildHashPayload, canonicalStringify, hashPayload } from '../../utils/hash/canonical-json.js';
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const CODEC_RAW = 0x55;
+const MULTIHASH_SHA256 = 0x12;
+const IV_LENGTH = 12;
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const ch of text) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index < 0) throw new Error(`CID 含有无效字符: ${ch}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+}
+
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  let position = offset;
+  while (position < bytes.length) {
+    const byte = bytes[position++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) return [value, position];
+    shift += 7;
+  }
+  throw new Error('CID 不完整');
+}
+
+/**
+ * 计算原始数据块（raw 编码、sha2-256）的 CIDv1，与 Kubo 的 raw-leaves 单块结果一致
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Promise<string>} - base32 编码的 CID（以 b 开头）
+ */
+async function computeRawCid(bytes) {
+  const digest = await sha256(bytes);
+  return 'b' + base32Encode(new Uint8Array([0x01, CODEC_RAW, MULTIHASH_SHA256, digest.length, ...digest]));
+}
+
+/**
+ * 解析 base32 编码的 CIDv1
+ * @param {string} cid - CID
+ * @returns {{ version: number, codec: number, hashCode: number, digest: string }|null} - 无法解析时返回 null
+ */
+function parseCid(cid) {
+  const text = String(cid || '');
+  if (!text.startsWith('b')) return null;
+  try {
+    const bytes = base32Decode(text.slice(1));
+    const [version, a] = readVarint(bytes, 0);
+    const [codec, b] = readVarint(bytes, a);
+    const [hashCode, c] = readVarint(bytes, b);
+    const [length, d] = readVarint(bytes, c);
+    if (version !== 1 || bytes.length !== d + length) return null;
+    return { version, codec, hashCode, digest: toHex(bytes.slice(d)) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 进程内的 IPFS 替身，按 raw CID 存取
+ * @returns {{ name: string, add: Function, cat: Function, blocks: Map }}
+ */
+function createMemoryAdapter() {
+  const blocks = new Map();
+  return {
+    name: 'memory',
+    blocks,
+    async add(bytes) {
+      const cid = await computeRawCid(bytes);
+      blocks.set(cid, new Uint8Array(bytes));
+      return cid;
+    },
+    async cat(cid) {
+      if (!blocks.has(cid)) throw new Error(`IPFS 中找不到 ${cid}`);
+      return new Uint8Array(blocks.get(cid));
+    }
+  };
+}
+
+/**
+ * Kubo（go-ipfs）HTTP API 适配器，写入时固定（pin）
+ * @param {{ apiUrl?: string, fetch?: Function }} [options] - apiUrl 默认取 CONFIG.system.storage.ipfs.apiUrl
+ * @returns {{ name: string, add: Function, cat: Function }}
+ */
+function createKuboAdapter(options = {}) {
+  const apiUrl = (options.apiUrl || globalThis.CONFIG?.system?.storage?.ipfs?.apiUrl || 'http://127.0.0.1:5001').replace(/\/$/, '');
+  const request = options.fetch || globalThis.fetch.bind(globalThis);
+
+  async function call(path, init) {
+    let response;
+    try {
+      response = await request(`${apiUrl}/api/v0/${path}`, { method: 'POST', ...init });
+    } catch (error) {
+      throw new Error(`无法连接 IPFS 节点 ${apiUrl}：${error.message}`);
+    }
+    if (!response.ok) throw new Error(`IPFS 节点返回错误 ${response.status}：${await response.text()}`);
+    return response;
+  }
+
+  return {
+    name: 'kubo',
+    async add(bytes) {
+      const form = new FormData();
+      form.append('file', new Blob([bytes]));
+      const response = await call('add?cid-version=1&raw-leaves=true&pin=true', { body: form });
+      return (await response.json()).Hash;
+    },
+    async cat(cid) {
+      const response = await call(`cat?arg=${encodeURIComponent(cid)}`);
+      return new Uint8Array(await response.arrayBuffer());
+    }
+  };
+}
+
+async function encrypt(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+  const sealed = new Uint8Array(IV_LENGTH + ciphertext.length);
+  sealed.set(iv);
+  sealed.set(ciphertext, IV_LENGTH);
+  return sealed;
+}
+
+async function decrypt(key, sealed) {
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.slice(0, IV_LENGTH) }, key, sealed.slice(IV_LENGTH)
+    ));
+  } catch (error) {
+    throw new Error('IPFS 内容解密失败，密钥不符或内容被篡改');
+  }
+}
+
+/**
+ * 加密后存入 IPFS：规范化载荷必存，PDF 可选
+ * 内容密钥保存在返回的 ipfs 字段中：未设置加密口令时为明文，导出或泄露的记录可直接解密 IPFS 上的内容
+ * @param {Object} adapter - IPFS 适配器
+ * @param {Object} record - 历史记录（需含 contentHash）
+ * @param {Uint8Array|ArrayBuffer} [pdfBytes] - PDF 文件内容
+ * @param {Object} [options]
+ * @param {Object} [options.vault] - 加密存储（crypto-vault.js）；已设置口令时用它加密内容密钥，锁定时拒绝存储
+ * @returns {Promise<Object>} - 写入记录的 ipfs 字段
+ */
+async function storeRecordContent(adapter, record, pdfBytes, options = {}) {
+  if (!record.contentHash) throw new Error('记录缺少内容哈希，无法存入 IPFS');
+  const vault = options.vault && options.vault.isSetUp() ? options.vault : null;
+  if (vault && !vault.isUnlocked()) throw new Error('加密存储已锁定，请先输入口令解锁');
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const payload = new TextEncoder().encode(canonicalStringify(buildHashPayload(record)));
+
+  const payloadCid = await adapter.add(await encrypt(key, payload));
+  const pdfCid = pdfBytes ? await adapter.add(await encrypt(key, new Uint8Array(pdfBytes))) : null;
+  const rawKey = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+  return {
+    adapter: adapter.name,
+    payloadCid,
+    pdfCid,
+    key: vault ? await vault.sealText(rawKey) : rawKey,
+    keySealed: Boolean(vault),
+    algorithm: 'AES-256-GCM',
+    storedAt: new Date().toISOString()
+  };
+}
+
+// raw CID 可以直接用内容重新计算；Kubo 分块后的 DAG CID 只能依赖解密后的哈希比对
+async function checkCid(cid, bytes) {
+  const parsed = parseCid(cid);
+  if (!parsed || parsed.codec !== CODEC_RAW || parsed.hashCode !== MULTIHASH_SHA256) return null;
+  return toHex(await sha256(bytes)) === parsed.digest;
+}
+
+/**
+ * 按 CID 取回内容、解密并重新校验
+ * @param {Object} adapter - IPFS 适配器
+ * @param {Object} record - 含 ipfs 字段的历史记录
+ * @param {Object} [options]
+ * @param {Object} [options.vault] - 加密存储；内容密钥已用口令加密时必需且需已解锁
+ * @returns {Promise<{ status: string, message: string, checks: Array<Object>, payload: Object, pdf: Uint8Array|null }>}
+ *          status 为 verified、mismatch
+ */
+async function fetchRecordContent(adapter, record, options = {}) {
+  const info = record.ipfs;
+  if (!info || !info.payloadCid) throw new Error('该记录尚未存入 IPFS');
+  let rawKey = info.key;
+  if (info.keySealed) {
+    if (!options.vault || !options.vault.isUnlocked()) throw new Error('IPFS 内容密钥已加密，请先输入口令解锁');
+    rawKey = await options.vault.openText(info.key);
+  }
+  const key = await crypto.subtle.importKey('raw', fromBase64(rawKey), { name: 'AES-GCM' }, false, ['decrypt']);
+  const checks = [];
+
+  const sealedPayload = await adapter.cat(info.payloadCid);
+  const payloadCidOk = await checkCid(info.payloadCid, sealedPayload);
+  if (payloadCidOk !== null) checks.push({ item: '载荷 CID', match: payloadCidOk });
+  const payload = JSON.parse(new TextDecoder().decode(await decrypt(key, sealedPayload)));
+  checks.push({ item: '内容哈希', match: (await hashPayload(payload)) === record.contentHash });
+
+  let pdf = null;
+  if (info.pdfCid) {
+    const sealedPdf = await adapter.cat(info.pdfCid);
+    const pdfCidOk = await checkCid(info.pdfCid, sealedPdf);
+    if (pdfCidOk !== null) checks.push({ item: 'PDF CID', match: pdfCidOk });
+    pdf = await decrypt(key, sealedPdf);
+    if (record.sha256) checks.push({ item: 'PDF 文件哈希', match: toHex(await sha256(pdf)) === record.sha256 });
+  }
+
+  const failed = checks.filter(c => !c.match).map(c => c.item);
+  return {
+    status: failed.length ? 'mismatch' : 'verified',
+    message: failed.length ? `IPFS 内容与记录不一致：${failed.join('、')}` : '已从 IPFS 取回并校验通过',
+    checks,
+    payload,
+    pdf
+  };
+}
+
+export {
+  computeRawCid,
+  parseCid,
+  createMemoryAdapter,
+  createKuboAdapter,
+  storeRecordContent,
+  fetchRecordContent
+};
@@ -0,0 +1,203 @@
+// 合同校验 - 上传 PDF 或粘贴哈希，依次比对本机历史记录、登记合约（或模拟链）与 PDF 内嵌元数据
+// PDF 的 Keywords 元数据格式见 contract-pdf.js：sha256:<内容哈希> record:<记录ID> template:<模板ID>@<版本>
+import { parseVerificationPayload, verifyRecord } from '../history/contract-verification.js';
+import { verifyMerkleProof } from '../../utils/hash/merkle.js';
+import { historyRepository } from '../history/history-repository.js';
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * 计算文件字节的 SHA-256
+ * @param {ArrayBuffer|Uint8Array} bytes - 文件内容
+ * @returns {Promise<string>} - 64 位小写十六进制
+ */
+async function sha256Bytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 从 PDF 的文档信息字典读取生成时写入的校验元数据
+ * @param {ArrayBuffer|Uint8Array} bytes - PDF 文件内容
+ * @returns {{ hash: string, recordId: string|null, templateId: string|null, version: string|null }|null}
+ */
+function readPdfMetadata(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  const match = text.match(/\/Keywords\s*\(([^)]*)\)/);
+  if (!match) return null;
+  const entries = {};
+  match[1].split(/\s+/).forEach(part => {
+    const index = part.indexOf(':');
+    if (index > 0) entries[part.slice(0, index)] = part.slice(index + 1);
+  });
+  const hash = (entries.sha256 || '').toLowerCase();
+  if (!HASH_PATTERN.test(hash)) return null;
+  const template = entries.template || '';
+  const at = template.lastIndexOf('@');
+  return {
+    hash,
+    recordId: entries.record || null,
+    templateId: (at > 0 ? template.slice(0, at) : template) || null,
+    version: at > 0 ? template.slice(at + 1) : null
+  };
+}
+
+/**
+ * 在模拟链的交易中查找哈希登记（BlockchainManager 未配置登记合约时使用）
+ * @param {Array<Object>} transactions - 模拟交易 { type: 'hash_anchor', contentHash, from, txHash, blockNumber, timestamp }
+ * @param {string} contentHash - 内容哈希
+ * @returns {{ anchored: boolean, submitter: string|null, timestamp: number, blockNumber: number, txHash: string|null }}
+ */
+function findSimulatedAnchor(transactions, contentHash) {
+  const tx = (transactions || []).find(t => t.type === 'hash_anchor' && t.contentHash === contentHash);
+  if (!tx) return { anchored: false, submitter: null, timestamp: 0, blockNumber: 0, txHash: null };
+  return {
+    anchored: true,
+    submitter: tx.from || null,
+    timestamp: Math.floor(new Date(tx.timestamp).getTime() / 1000),
+    blockNumber: Number(tx.blockNumber) || 0,
+    txHash: tx.txHash || null
+  };
+}
+
+/**
+ * 读取本机全部历史记录（history-repository.js），锁定时读不到加密的记录
+ * @param {Object} [repository] - 历史记录仓库，默认共享实例
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadLocalRecords(repository = historyRepository) {
+  return repository.list().catch(error => {
+    console.warn('[verify] 历史记录读取失败', error);
+    return [];
+  });
+}
+
+// 按记录 ID、内容哈希、PDF 文件哈希的顺序查找本机记录
+function findRecord(records, claim, fileHash) {
+  return (claim && claim.recordId && records.find(r => r.id === claim.recordId))
+    || (claim && records.find(r => r.contentHash === claim.hash))
+    || (fileHash && records.find(r => r.sha256 === fileHash))
+    || null;
+}
+
+// PDF 内嵌元数据与本机记录逐项比对
+function compareMetadata(metadata, record) {
+  if (!metadata || !record) return [];
+  return [
+    { field: '内容哈希', expected: record.contentHash, actual: metadata.hash },
+    { field: '记录ID', expected: record.id, actual: metadata.recordId },
+    { field: '模板', expected: record.templateId, actual: metadata.templateId },
+    { field: '模板版本', expected: record.templateVersion, actual: metadata.version }
+  ]
+    .filter(item => item.expected != null && item.actual != null)
+    .map(item => ({ ...item, match: String(item.expected) === String(item.actual) }));
+}
+
+/**
+ * 校验合同
+ * @param {{ file?: ArrayBuffer|Uint8Array, text?: string }} input - PDF 文件内容或粘贴的校验链接 / 哈希
+ * @param {{ records?: Array<Object>, lookupHash?: Function }} [sources] - 本机记录；lookupHash(contentHash) 查询链上登记
+ * @returns {Promise<Object>} - { status, message, fileHash, contentHash, metadata, record, local, fileMatch, fileChain, checks, chain }
+ *          status 为 verified、claimed、mismatch、not_found；claimed 表示 PDF 元数据声明的哈希本身有效，
+ *          但 PDF 文件与它的对应关系无法确认（本机没有该文件的记录，文件哈希也未登记）；
+ *          chain.status 为 anchored、not_anchored、unavailable、skipped；fileChain 为上传 PDF 文件哈希的登记（仅在需要时查询）；
+ *          批量上链的记录查询的是批次根，chain.batch 为 { batchId, root, proofValid }
+ */
+async function verifyContract(input, sources = {}) {
+  const records = sources.records || [];
+  let fileHash = null;
+  let metadata = null;
+  let claim = null;
+
+  if (input.file) {
+    fileHash = await sha256Bytes(input.file);
+    metadata = readPdfMetadata(input.file);
+    claim = metadata;
+  } else {
+    claim = parseVerificationPayload(input.text);
+    if (!claim) {
+      return { status: 'not_found', message: '无法识别校验内容，请上传 PDF、粘贴校验链接或 64 位哈希', chain: { status: 'skipped' } };
+    }
+    // 粘贴的哈希也可能是 PDF 文件的 SHA-256
+    fileHash = claim.recordId ? null : claim.hash;
+  }
+
+  const record = findRecord(records, claim, fileHash);
+  const foundByFile = Boolean(record && fileHash && record.sha256 === fileHash);
+  if (foundByFile && record.contentHash && (!claim || claim.hash === fileHash)) {
+    // 按文件哈希找到的记录，用记录自身的内容哈希继续校验
+    claim = { hash: record.contentHash, recordId: record.id, templateId: null, version: null };
+  }
+  const contentHash = (claim && claim.hash) || (record && record.contentHash) || null;
+  const local = record && record.contentHash && claim ? await verifyRecord(record, claim) : null;
+  const fileMatch = input.file && record && record.sha256 ? record.sha256 === fileHash : (foundByFile || null);
+  const checks = compareMetadata(metadata, record);
+
+  // 批量上链的记录：先用证明推算批次根，再查询根的登记
+  const batched = record && record.chain && record.chain.merkleRoot ? record.chain : null;
+  const proofValid = batched && contentHash
+    ? await verifyMerkleProof(contentHash, batched.merkleProof, batched.merkleRoot)
+    : null;
+  const lookupTarget = proofValid ? batched.merkleRoot : contentHash;
+
+  let chain = { status: 'skipped' };
+  if (lookupTarget && sources.lookupHash) {
+    try {
+      const anchor = await sources.lookupHash(lookupTarget);
+      chain = { ...anchor, status: anchor.anchored ? 'anchored' : 'not_anchored' };
+      if (anchor.anchored && !chain.txHash && record && record.chain && record.chain.txHash) {
+        chain.txHash = record.chain.txHash;
+      }
+    } catch (error) {
+      chain = { status: 'unavailable', message: error.message };
+    }
+  }
+  if (batched) chain.batch = { batchId: batched.batchId, root: batched.merkleRoot, proofValid };
+
+  // PDF 元数据中的哈希可以随意改写，只有文件本身与本机记录一致或文件哈希已登记，才能把这个 PDF 与该哈希对应起来
+  let fileChain = null;
+  if (input.file && fileMatch !== true && fileHash !== lookupTarget && sources.lookupHash) {
+    try {
+      const anchor = await sources.lookupHash(fileHash);
+      fileChain = { ...anchor, status: anchor.anchored ? 'anchored' : 'not_anchored' };
+    } catch (error) {
+      fileChain = { status: 'unavailable', message: error.message };
+    }
+  }
+  const fileBound = !input.file || fileMatch === true || Boolean(fileChain && fileChain.status === 'anchored');
+
+  const problems = [];
+  if (local && local.status === 'mismatch') problems.push(local.message);
+  if (fileMatch === false) problems.push('PDF 文件与生成时保存的文件哈希不一致');
+  checks.filter(c => !c.match).forEach(c => problems.push(`PDF 元数据中的${c.field}与记录不符`));
+  if (proofValid === false) problems.push('Merkle 证明与批次根不符');
+
+  let status;
+  let message;
+  if (problems.length) {
+    status = 'mismatch';
+    message = problems.join('；');
+  } else if (fileBound && ((local && local.status === 'verified') || fileMatch === true || chain.status === 'anchored'
+    || (fileChain && fileChain.status === 'anchored'))) {
+    status = 'verified';
+    message = [
+      local && local.status === 'verified' ? '与本机历史记录一致' : null,
+      fileMatch === true ? 'PDF 文件与生成时一致' : null,
+      chain.status === 'anchored' ? `已在区块 ${chain.blockNumber} 登记` : null,
+      fileChain && fileChain.status === 'anchored' ? `PDF 文件哈希已在区块 ${fileChain.blockNumber} 登记` : null
+    ].filter(Boolean).join('，');
+  } else if ((local && local.status === 'verified') || chain.status === 'anchored') {
+    status = 'claimed';
+    message = `PDF 元数据声明的哈希${chain.status === 'anchored' ? `已在区块 ${chain.blockNumber} 登记` : '与本机历史记录一致'}，`
+      + '但无法确认该 PDF 文件本身与之对应：本机没有这个文件的记录，文件哈希也未登记';
+  } else {
+    status = 'not_found';
+    message = input.file && !metadata
+      ? '该 PDF 不含校验元数据，且本机与链上均未找到对应记录'
+      : '本机历史记录与链上均未找到该哈希';
+  }
+
+  return { status, message, fileHash, contentHash, metadata, record, local, fileMatch, fileChain, checks, chain };
+}
+
+export { sha256Bytes, readPdfMetadata, findSimulatedAnchor, loadLocalRecords, verifyContract };
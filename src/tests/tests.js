@@ -1,4 +1,5 @@
 // js/tests.js - 区块链智能合同系统测试套件
+/* global Models */
 
 // 🧪 测试框架 - 简单的测试工具
 class TestFramework {
@@ -157,23 +158,105 @@ testFramework.test('智能合同模型 - 哈希计算', () => {
   testFramework.assert(hash1.length === 64, 'SHA-256哈希应该是64位');
 });
 
+testFramework.test('智能合同模型 - 哈希与键顺序无关', () => {
+  const createdAt = '2025-01-01T00:00:00.000Z';
+  const contract1 = new Models.SmartContract({
+      title: '测试合同',
+      createdAt,
+      parties: { party1: { name: '甲方', address: '北京' }, party2: { name: '乙方' } }
+  });
+  const contract2 = new Models.SmartContract({
+      createdAt,
+      parties: { party2: { name: '乙方' }, party1: { address: '北京', name: '甲方' } },
+      title: '测试合同'
+  });
+
+  testFramework.assertEqual(contract1.calculateHash(), contract2.calculateHash(), '键顺序不应影响哈希');
+  testFramework.assertEqual(contract1.toHashPayload().timestamp, createdAt);
+});
+
 testFramework.test('智能合同模型 - 签署功能', () => {
+  // 签名为两个测试钱包对该合同内容哈希（chainId 1）的 EIP-712 签名
   const contract = new Models.SmartContract({
       title: '测试合同',
+      createdAt: '2025-01-01T00:00:00.000Z',
       parties: {
           party1: { name: '甲方' },
           party2: { name: '乙方' }
       }
   });
+  const hash = contract.calculateHash();
   
   testFramework.assert(!contract.isFullySigned(), '新合同不应该已签署');
   
-  contract.sign('party1', 'signature1');
-  testFramework.assert(contract.parties.party1.signature, '甲方应该已签署');
+  contract.sign('party1', { chainId: 1, signature: '0x7592aab5d43618dda13fba71e3993cd7517a712d3da49664c06ee1bd3d1f70af7c17c93273068daa3e036f7932f8875176b8bd579363f65ef5a403267b069dc11b' });
+  testFramework.assertEqual(contract.signatures.party1.signer, '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826', '甲方应该已签署');
   testFramework.assert(!contract.isFullySigned(), '只有一方签署不算完全签署');
+  testFramework.assertEqual(contract.status, 'pending');
   
-  contract.sign('party2', 'signature2');
+  contract.sign('party2', { chainId: 1, signature: '0xe5740e63bad28081ed7cf654dd6c19029ca03382fc05ab5f5dda81f2c55b845b4b315e7dd0e5679c5894a814109e9ec88157ae0ecf0e6da4c0829ef28cfb8cc41c' });
   testFramework.assert(contract.isFullySigned(), '双方签署后应该完全签署');
+  testFramework.assertEqual(contract.status, 'active', '全部签署后合同自动生效');
+  testFramework.assertEqual(contract.calculateHash(), hash, '签署不应改变合同哈希');
+});
+
+testFramework.test('智能合同模型 - 同一钱包不能代替多个签署方签署', () => {
+  const contract = new Models.SmartContract({
+      title: '测试合同',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      parties: { party1: { name: '甲方' }, party2: { name: '乙方' } }
+  });
+  const signature = { chainId: 1, signature: '0x7592aab5d43618dda13fba71e3993cd7517a712d3da49664c06ee1bd3d1f70af7c17c93273068daa3e036f7932f8875176b8bd579363f65ef5a403267b069dc11b' };
+  contract.sign('party1', signature);
+
+  let error = null;
+  try {
+      contract.sign('party2', signature);
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assert(error && error.message.includes('已作为'), '应拒绝同一钱包再次签署');
+  testFramework.assert(!contract.signatures.party2, '乙方不应记为已签署');
+  testFramework.assertEqual(contract.status, 'pending');
+});
+
+testFramework.test('智能合同模型 - 签名者与签署方钱包不一致时拒绝', () => {
+  const contract = new Models.SmartContract({
+      title: '测试合同',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      parties: { party1: { name: '甲方' }, party2: { name: '乙方' } },
+      signers: [
+          { id: 'party1', role: '甲方', wallet: '0x252487948306535425542FCFE52008d32d1Fd9fb' },
+          { id: 'party2', role: '乙方' },
+          { id: 'witness', role: '见证人', required: false }
+      ]
+  });
+
+  let error = null;
+  try {
+      contract.sign('party1', { chainId: 1, signature: '0x7592aab5d43618dda13fba71e3993cd7517a712d3da49664c06ee1bd3d1f70af7c17c93273068daa3e036f7932f8875176b8bd579363f65ef5a403267b069dc11b' });
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assert(error && error.message.includes('钱包不一致'), '应拒绝非指定钱包的签名');
+  testFramework.assertEqual(contract.status, 'draft');
+  testFramework.assertDeepEqual(contract.getPendingSigners().map(s => s.id), ['party1', 'party2'], '可选签署方不计入待签署');
+});
+
+testFramework.test('区块模型 - 交易 Merkle 根', async () => {
+  const { buildMerkleTree } = await import('../utils/hash/merkle.js');
+  const transactions = ['a', 'b', 'c'].map(to => new Models.Transaction({ from: '0x01', to, amount: 1 }));
+  const block = new Models.Block({ index: 1, transactions });
+
+  // 与 merkle.js 的规则一致
+  const tree = await buildMerkleTree(transactions.map(tx => tx.calculateHash()));
+  testFramework.assertEqual(block.metadata.merkleRoot, tree.root);
+  testFramework.assert(block.validate().valid, '区块应有效');
+
+  block.addTransaction({ from: '0x01', to: 'd', amount: 2 });
+  testFramework.assert(block.metadata.merkleRoot !== tree.root, '新增交易后 Merkle 根应更新');
+  block.transactions[0].amount = 100;
+  testFramework.assert(block.validate().errors.includes('Merkle 根与交易不符'), '篡改交易后 Merkle 根应失效');
 });
 
 // 🧱 区块链测试
@@ -435,6 +518,1387 @@ testFramework.test('数据分析 - 统计功能', () => {
   testFramework.assert(stats.byType.service > 0, '应该有服务合同');
 });
 
+// 📝 模板渲染测试
+testFramework.test('模板引擎 - 占位符、条件与循环', async () => {
+  const { renderTemplate } = await import('../modules/contract/template-engine.js');
+  const text = renderTemplate(
+      '甲方：{{name}}{{#if insured}}，已参保{{else}}，未参保{{/if}}{{#each items}}；{{@number}}.{{this.product}}{{/each}}',
+      { name: '测试公司', insured: '否', items: [{ product: '笔' }, { product: '纸' }] }
+  );
+  testFramework.assertEqual(text, '甲方：测试公司，未参保；1.笔；2.纸');
+});
+
+testFramework.test('模板引擎 - 列出全部未解析占位符', async () => {
+  const { renderTemplate } = await import('../modules/contract/template-engine.js');
+  try {
+      renderTemplate('{{a}}\n{{#if b}}{{c}}{{/if}}', {});
+      throw new Error('期望抛出异常');
+  } catch (error) {
+      testFramework.assertEqual(error.name, 'TemplateRenderError');
+      testFramework.assertDeepEqual(error.unresolved.map(p => p.path), ['a', 'b']);
+  }
+});
+
+testFramework.test('条款库 - 可选条款与版本清单', async () => {
+  const { ClauseLibrary } = await import('../modules/contract/clause-library.js');
+  const library = new ClauseLibrary([
+      { id: 'secret', version: '1.0.0', title: '保密', text: '旧版' },
+      { id: 'secret', version: '1.1.0', title: '保密', text: '新版' },
+      { id: 'court', version: '1.0.0', title: '争议', text: '诉讼' }
+  ]);
+  const template = { id: 'tpl', clauses: [{ id: 'secret', optional: true }, { id: 'court' }] };
+
+  const withSecret = library.resolve(template, ['secret']).filter(c => c.included);
+  testFramework.assertDeepEqual(withSecret.map(c => c.id + '@' + c.version), ['secret@1.1.0', 'court@1.0.0']);
+
+  const withoutSecret = library.resolve(template, []).filter(c => c.included);
+  testFramework.assertDeepEqual(withoutSecret.map(c => c.id), ['court'], '必选条款不能被取消');
+});
+
+testFramework.test('模板校验 - 结构化错误与重复 id', async () => {
+  const { validateTemplateSet } = await import('../modules/contract/template-validator.js');
+  const base = {
+      id: 'dup', name: '模板', category: 'test', version: '1.0.0',
+      fields: [{ name: 'a', label: 'A', type: 'text' }],
+      content: '{{a}}'
+  };
+  const result = validateTemplateSet([
+      base,
+      { ...base },
+      { ...base, version: '2025-08版', content: '{{a}}{{unknown}}' }
+  ]);
+
+  testFramework.assert(!result.valid, '重复 id 的模板集合应该校验失败');
+  testFramework.assertEqual(result.validTemplates.length, 0);
+  const codes = result.errors.map(e => e.code);
+  testFramework.assert(codes.includes('id_duplicate'), '应该报告重复 id');
+  testFramework.assert(codes.includes('version_invalid'), '应该报告非 SemVer 版本');
+  testFramework.assert(codes.includes('placeholder_unresolved'), '应该报告未解析占位符');
+
+  const versions = validateTemplateSet([base, { ...base, version: '1.1.0' }]);
+  testFramework.assert(versions.valid, '同一 id 的不同版本可以共存');
+});
+
+testFramework.test('模板版本 - 字段差异与草稿迁移', async () => {
+  const { diffTemplates, migrateDraft, getLatestTemplates, findTemplateVersion } =
+      await import('../modules/contract/template-versions.js');
+  const v1 = {
+      id: 'labor', version: '1.0.0',
+      fields: [
+          { name: 'employee', label: '员工' },
+          { name: 'fax', label: '传真' },
+          { name: 'shift', label: '班次', type: 'select', options: ['早班', '夜班'] }
+      ]
+  };
+  const v2 = {
+      id: 'labor', version: '2.0.0',
+      fields: [
+          { name: 'employeeName', label: '员工姓名', renamedFrom: 'employee' },
+          { name: 'email', label: '邮箱', required: true },
+          { name: 'shift', label: '班次', type: 'select', options: ['早班', '中班'] }
+      ]
+  };
+
+  testFramework.assertEqual(getLatestTemplates([v1, v2])[0].version, '2.0.0');
+
+  // 数据源下线的新版本（归档）不作为最新版本，显式指定版本时仍可找到
+  const withdrawn = { ...v2, version: '3.0.0', archived: true };
+  testFramework.assertEqual(getLatestTemplates([v1, v2, withdrawn])[0].version, '2.0.0');
+  testFramework.assertEqual(findTemplateVersion([v1, v2, withdrawn], 'labor').version, '2.0.0');
+  testFramework.assertEqual(findTemplateVersion([v1, v2, withdrawn], 'labor', '3.0.0'), withdrawn);
+
+  const diff = diffTemplates(v1, v2);
+  testFramework.assertDeepEqual(diff.fields.renamed, [{ from: 'employee', to: 'employeeName' }]);
+  testFramework.assertDeepEqual(diff.fields.added, ['email']);
+  testFramework.assertDeepEqual(diff.fields.removed, ['fax']);
+
+  const { draft, report } = migrateDraft(
+      { templateId: 'labor', templateVersion: '1.0.0', fields: { employee: '张三', fax: '010-1', shift: '夜班' } },
+      v1,
+      v2
+  );
+  testFramework.assertEqual(draft.templateVersion, '2.0.0');
+  testFramework.assertDeepEqual(draft.fields, { employeeName: '张三' });
+  testFramework.assertDeepEqual(report.removed, [{ name: 'fax', value: '010-1' }]);
+  testFramework.assertDeepEqual(report.invalidated, [{ name: 'shift', value: '夜班' }]);
+  testFramework.assertDeepEqual(report.requiresInput, ['email']);
+});
+
+testFramework.test('模板来源 - 失败时回退到下一个数据源', async () => {
+  const { loadFromSources, createRemoteSource, createBuiltinSource } =
+      await import('../modules/contract/template-sources.js');
+  const builtin = [{ id: 'builtin' }];
+  const result = await loadFromSources(
+      [
+          createRemoteSource({ url: 'http://offline/templates', fetchImpl: async () => { throw new Error('offline'); } }),
+          createBuiltinSource(() => builtin)
+      ],
+      { validate: templates => ({ validTemplates: templates, errors: [] }), storage: null }
+  );
+
+  testFramework.assertEqual(result.source.type, 'builtin');
+  testFramework.assertEqual(result.failures[0].type, 'remote');
+  testFramework.assertDeepEqual(result.templates, builtin);
+});
+
+testFramework.test('模板目录 - 分类分组、搜索、收藏与最近使用', async () => {
+  const { TemplateCatalog } = await import('../ui/components/template-catalog.js');
+  const data = {};
+  const storage = {
+      getItem: key => (key in data ? data[key] : null),
+      setItem: (key, value) => { data[key] = String(value); }
+  };
+  const catalog = new TemplateCatalog([
+      { id: 'labor', name: '标准劳动合同', category: 'labor', version: '1.0.0', authority: '人力资源和社会保障部' },
+      { id: 'labor', name: '标准劳动合同', category: 'labor', version: '2.0.0', authority: '人力资源和社会保障部' },
+      { id: 'rent', name: '房屋租赁合同', category: 'rental', version: '1.0.0', description: '住宅租赁' },
+      { id: 'old', name: '旧模板', category: 'rental', version: '1.0.0', archived: true }
+  ], { storage, categoryLabels: { labor: '劳动', rental: '租赁' } });
+
+  testFramework.assertDeepEqual(
+      catalog.getSections().map(s => s.label + ':' + s.templates.map(t => t.id + '@' + t.version).join(',')),
+      ['劳动:labor@2.0.0', '租赁:rent@1.0.0'],
+      '按分类分组，只保留最新版本且不含归档模板'
+  );
+  testFramework.assertDeepEqual(catalog.search('社会保障').map(t => t.id), ['labor'], '按发布机构搜索');
+  testFramework.assertDeepEqual(catalog.search('住宅').map(t => t.id), ['rent'], '按说明搜索');
+
+  testFramework.assert(catalog.toggleFavorite('rent'), '第一次切换应收藏');
+  catalog.markUsed('labor');
+  const sections = catalog.getSections();
+  testFramework.assertDeepEqual(sections.slice(0, 2).map(s => s.id), ['favorites', 'recent']);
+  testFramework.assertDeepEqual(catalog.getSections('劳动').map(s => s.id), ['recent', 'category:labor'], '搜索同样作用于收藏与最近使用');
+});
+
+testFramework.test('模板编辑器 - 字段排序、占位符补全与导入导出', async () => {
+  const builder = await import('../modules/contract/template-builder.js');
+  let template = {
+      ...builder.createEmptyTemplate(),
+      id: 'custom', name: '自定义模板', category: 'service'
+  };
+  template = builder.addField(template, { name: 'client', label: '委托方', type: 'text', required: true });
+  template = builder.addField(template, { name: 'fee', label: '服务费', type: 'number' });
+  template = builder.moveField(template, 1, 0);
+  testFramework.assertDeepEqual(template.fields.map(f => f.name), ['fee', 'client']);
+
+  const text = '委托方：{{cl';
+  const match = builder.findPlaceholderPrefix(text, text.length);
+  testFramework.assertEqual(match.prefix, 'cl');
+  testFramework.assertDeepEqual(builder.getPlaceholderSuggestions(template, match.prefix).map(s => s.value), ['client']);
+  const applied = builder.applySuggestion(text, text.length, 'client');
+  testFramework.assertEqual(applied.text, '委托方：{{client}}');
+
+  template = { ...template, content: applied.text + '，服务费 {{fee}} 元' };
+  testFramework.assertEqual(builder.previewTemplate(template), '委托方：【委托方】，服务费 1000 元');
+
+  // 预览与生成走同一组装流程（含附加条款）
+  const { default: ContractGenerator } = await import('../modules/contract/contract.js');
+  const withClause = { ...template, version: '1.0.0', clauses: [{ id: 'confidentiality' }] };
+  const sample = builder.buildSampleData(withClause);
+  testFramework.assertEqual(
+      builder.previewTemplate(withClause),
+      new ContractGenerator([withClause]).assemble('custom@1.0.0', sample).text
+  );
+  testFramework.assert(builder.previewTemplate(withClause).includes('附加条款'), '预览应包含附加条款');
+
+  let rejected = false;
+  try {
+      builder.exportTemplate({ ...template, content: '{{missing}}' });
+  } catch (error) {
+      rejected = error.errors.some(e => e.code === 'placeholder_unresolved');
+  }
+  testFramework.assert(rejected, '未通过校验的模板不能导出');
+
+  const { template: imported, validation } = builder.importTemplate(builder.exportTemplate(template));
+  testFramework.assert(validation.valid, '导出的 JSON 应该能通过校验');
+  testFramework.assertEqual(imported.fields[0].required, undefined, '空的 required 不导出');
+  testFramework.assertEqual(imported.description, '', '导入后补齐编辑器字段');
+});
+
+testFramework.test('字段类型 - 证件号码校验位与生成接口校验', async () => {
+  const v = await import('../utils/validation.js');
+  testFramework.assert(v.isValidIdCard('11010519491231002X'), '有效身份证号');
+  testFramework.assert(!v.isValidIdCard('110105194912310021'), '校验位错误的身份证号');
+  testFramework.assert(!v.isValidIdCard('11010519491331002X'), '出生日期无效的身份证号');
+  testFramework.assert(v.isValidUSCC('91110000600037341L'), '有效统一社会信用代码');
+  testFramework.assert(!v.isValidUSCC('91110000600037341M'), '校验位错误的统一社会信用代码');
+  testFramework.assert(v.isValidPhone('+86 138 0013 8000') && v.isValidPhone('010-12345678'), '手机与固话');
+  testFramework.assert(v.isValidCurrency('1,234.50') && !v.isValidCurrency('12.345'), '金额格式');
+  // EIP-55 校验和不依赖页面是否加载 Web3
+  testFramework.assert(v.isValidEthAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'), '校验和正确的地址');
+  testFramework.assert(!v.isValidEthAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'), '校验和错误的地址');
+  testFramework.assert(v.isValidEthAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), '全小写地址不校验校验和');
+
+  const { default: ContractGenerator } = await import('../modules/contract/contract.js');
+  const generator = new ContractGenerator([{
+      id: 'lease', name: '租赁', version: '1.0.0',
+      fields: [
+          { name: 'lessorID', label: '出租方证件', type: 'idcard|uscc' },
+          { name: 'contact', label: '联系电话', type: 'phone' }
+      ],
+      content: '{{lessorID}} {{contact}}'
+  }], { resolve: () => [] });
+
+  testFramework.assertEqual(generator.generate('lease', { lessorID: '91110000600037341L' }), '91110000600037341L ');
+
+  let fieldErrors = [];
+  try {
+      generator.generate('lease', { lessorID: '123', contact: '12345' });
+  } catch (error) {
+      fieldErrors = error.fieldErrors || [];
+  }
+  testFramework.assertDeepEqual(fieldErrors.map(e => e.field), ['lessorID', 'contact']);
+  testFramework.assert(fieldErrors[0].message.includes('身份证号或统一社会信用代码'), '组合类型的错误提示');
+});
+
+testFramework.test('跨字段规则 - 日期先后、倍数比较与合同期限', async () => {
+  const { evaluateRules, validateRuleDefinitions } = await import('../modules/contract/template-rules.js');
+  const template = {
+      contractType: 'rental',
+      fields: [
+          { name: 'start', label: '开始日期' },
+          { name: 'end', label: '结束日期' },
+          { name: 'rent', label: '月租金' },
+          { name: 'deposit', label: '押金' }
+      ],
+      rules: [
+          { type: 'compare', left: 'end', op: '>', right: 'start' },
+          { type: 'compare', left: 'deposit', op: '<=', right: 'rent', factor: 3 },
+          { type: 'duration', start: 'start', end: 'end' }
+      ]
+  };
+  const contractTypes = { rental: { minDuration: 30, maxDuration: 3650 } };
+
+  const ok = evaluateRules(template, { start: '2025-01-01', end: '2025-12-31', rent: '3,000', deposit: '9000' }, { contractTypes });
+  testFramework.assert(ok.valid, '合法的取值应通过');
+
+  const bad = evaluateRules(template, { start: '2025-03-01', end: '2025-02-01', rent: '3000', deposit: '9000.01' }, { contractTypes });
+  testFramework.assertDeepEqual(bad.errors.map(e => e.field), ['end', 'deposit', 'end']);
+  testFramework.assertEqual(bad.errors[0].message, '结束日期必须晚于开始日期');
+  testFramework.assertEqual(bad.errors[1].message, '押金必须不大于月租金的 3 倍');
+
+  const short = evaluateRules(template, { start: '2025-01-01', end: '2025-01-10' }, { contractTypes });
+  testFramework.assert(short.errors[0].message.includes('不少于 30 天'), '期限下限来自合同类型配置');
+
+  testFramework.assert(evaluateRules(template, { start: '2025-01-01' }, { contractTypes }).valid, '字段为空时跳过规则');
+
+  const definitionErrors = validateRuleDefinitions({
+      fields: [{ name: 'a' }],
+      rules: [{ type: 'compare', left: 'a', op: '=>', right: 'b' }, { type: 'between' }]
+  });
+  testFramework.assertDeepEqual(
+      definitionErrors.map(e => e.code),
+      ['rule_operator_invalid', 'rule_field_unknown', 'rule_type_invalid']
+  );
+});
+
+testFramework.test('字段显示条件 - 隐藏字段不参与必填与规则校验', async () => {
+  const { getHiddenFields, filterVisibleValues, validateVisibilityDefinitions } = await import('../modules/contract/field-visibility.js');
+  const { validateFieldValues } = await import('../modules/contract/field-types.js');
+  const { evaluateRules } = await import('../modules/contract/template-rules.js');
+  const template = {
+      fields: [
+          { name: 'term', label: '期限类型', type: 'select', options: ['固定期限', '无固定期限'], required: true },
+          { name: 'start', label: '开始日期', type: 'date', required: true },
+          { name: 'end', label: '结束日期', type: 'date', required: true, visibleWhen: { field: 'term', equals: '固定期限' } },
+          { name: 'furnished', label: '附带家具', type: 'checkbox' },
+          { name: 'furnishings', label: '家具清单', required: true, visibleWhen: { field: 'furnished', checked: true } },
+          { name: 'brand', label: '品牌', visibleWhen: { field: 'furnishings' } }
+      ],
+      rules: [{ type: 'compare', left: 'end', op: '>', right: 'start' }]
+  };
+
+  const values = { term: '无固定期限', start: '2025-03-01', end: '2025-01-01', furnished: '否', furnishings: '沙发', brand: 'X' };
+  testFramework.assertDeepEqual([...getHiddenFields(template, values)], ['end', 'furnishings', 'brand']);
+  testFramework.assertDeepEqual(filterVisibleValues(template, values), { term: '无固定期限', start: '2025-03-01', furnished: '否' });
+  testFramework.assert(validateFieldValues(template, { term: '无固定期限', start: '2025-03-01' }, { requireValues: true }).valid, '隐藏的必填字段不要求填写');
+  testFramework.assert(evaluateRules(template, values).valid, '引用隐藏字段的规则被跳过');
+
+  const shown = { term: '固定期限', start: '2025-03-01', furnished: '是' };
+  testFramework.assertDeepEqual(
+      validateFieldValues(template, shown, { requireValues: true }).errors.map(e => e.field),
+      ['end', 'furnishings']
+  );
+
+  const errors = validateVisibilityDefinitions({
+      fields: [
+          { name: 'a', visibleWhen: { field: 'b', equals: '1' } },
+          { name: 'b', visibleWhen: { field: 'a', checked: true } },
+          { name: 'c', visibleWhen: { field: 'missing', equals: '1', in: ['1'] } }
+      ]
+  });
+  testFramework.assertDeepEqual(
+      errors.map(e => e.code),
+      ['visibility_field_unknown', 'visibility_operator_invalid', 'visibility_cycle']
+  );
+});
+
+testFramework.test('分组字段 - 行数限制、子字段校验与循环渲染', async () => {
+  const { validateFieldValues } = await import('../modules/contract/field-types.js');
+  const { validateTemplate } = await import('../modules/contract/template-validator.js');
+  const { default: ContractGenerator } = await import('../modules/contract/contract.js');
+  const template = {
+      id: 'purchase',
+      name: '采购合同',
+      category: 'purchase',
+      version: '1.0.0',
+      fields: [
+          { name: 'buyer', label: '买方', required: true },
+          {
+              name: 'items',
+              label: '货物清单',
+              type: 'group',
+              min: 1,
+              max: 2,
+              required: true,
+              fields: [
+                  { name: 'product', label: '品名', required: true },
+                  { name: 'quantity', label: '数量', type: 'number' },
+                  { name: 'unit', label: '单位', default: '件' }
+              ]
+          }
+      ],
+      content: '{{buyer}}采购：{{#each items}}{{@number}}.{{product}}×{{quantity}}{{unit}}；{{/each}}'
+  };
+  testFramework.assert(validateTemplate(template).valid, '分组模板应通过校验');
+
+  const errors = validateFieldValues(template, {
+      items: [{ product: '螺丝', quantity: 'x' }, { quantity: '1' }, { product: '电机' }]
+  }, { requireValues: true }).errors;
+  testFramework.assertDeepEqual(
+      errors.map(e => `${e.field}:${e.code}`),
+      ['buyer:field_required', 'items:group_too_many', 'items[0].quantity:field_invalid', 'items[1].product:field_required']
+  );
+  testFramework.assertEqual(errors[3].message, '请填写货物清单第 2 项品名');
+
+  const generator = new ContractGenerator([template]);
+  const text = generator.generate('purchase', { buyer: '甲方', items: [{ product: '螺丝', quantity: '100' }, { product: '电机', quantity: '2', unit: '台' }] });
+  testFramework.assertEqual(text, '甲方采购：1.螺丝×100件；2.电机×2台；');
+
+  const invalid = validateTemplate({ ...template, fields: [{ name: 'rows', label: '行', type: 'group', min: 3, max: 1 }] });
+  testFramework.assertDeepEqual(
+      invalid.errors.filter(e => e.code.startsWith('group_')).map(e => e.code),
+      ['group_fields_empty', 'group_count_invalid']
+  );
+});
+
+testFramework.test('计算字段 - 公式求值、大写金额与模板校验', async () => {
+  const { parseExpression, evaluateExpression, computeFieldValues, validateComputedDefinitions } = await import('../modules/contract/computed-fields.js');
+  const { toRmbUppercase } = await import('../utils/helpers.js');
+
+  testFramework.assertEqual(evaluateExpression('1 + 2 * (3 - 1) / 4'), 2);
+  testFramework.assertEqual(evaluateExpression('monthsBetween(start, end)', { start: '2025-01-01', end: '2025-12-31' }), 12);
+  testFramework.assertEqual(evaluateExpression('monthsBetween(start, end)', { start: '2024-02-29', end: '2025-02-28' }), 12, '闰日起算至次年 2 月末为整年');
+  testFramework.assertEqual(evaluateExpression('monthsBetween(start, end)', { start: '2025-01-31', end: '2025-02-28' }), 1, '对应日不存在时月末即满一月');
+  testFramework.assertEqual(evaluateExpression('monthsBetween(start, end)', { start: '2025-01-15', end: '2025-02-14' }), 1);
+  testFramework.assertEqual(evaluateExpression('rent * 2', { rent: '' }), null, '依赖字段为空时不计算');
+  testFramework.assertEqual(toRmbUppercase(24000), '贰万肆仟元整');
+  testFramework.assertEqual(toRmbUppercase('1,000,010.05'), '壹佰万零壹拾元零伍分');
+
+  let syntaxError = null;
+  try {
+    parseExpression('alert(1)');
+  } catch (error) {
+    syntaxError = error;
+  }
+  testFramework.assertEqual(syntaxError && syntaxError.name, 'ExpressionSyntaxError', '不在白名单中的函数应报错');
+
+  const template = {
+      fields: [
+          { name: 'monthlyRent', type: 'currency' },
+          { name: 'start', type: 'date' },
+          { name: 'end', type: 'date' },
+          { name: 'totalUpper', computed: 'rmbUppercase(total)' },
+          { name: 'total', type: 'currency', computed: 'round(monthlyRent * monthsBetween(start, end), 2)' },
+          {
+              name: 'items',
+              type: 'group',
+              fields: [{ name: 'qty' }, { name: 'price' }, { name: 'amount', type: 'currency', computed: 'qty * price' }]
+          },
+          { name: 'itemsTotal', type: 'currency', computed: 'sum(items, amount)' }
+      ]
+  };
+  const values = computeFieldValues(template, {
+      monthlyRent: '2,000', start: '2025-01-01', end: '2025-12-31', total: '1',
+      items: [{ qty: '2', price: '10.5' }, { qty: '1', price: '3' }]
+  });
+  testFramework.assertEqual(values.total, '24000.00', '计算结果覆盖填写值');
+  testFramework.assertEqual(values.totalUpper, '贰万肆仟元整');
+  testFramework.assertDeepEqual(values.items.map(row => row.amount), ['21.00', '3.00']);
+  testFramework.assertEqual(values.itemsTotal, '24.00');
+
+  const errors = validateComputedDefinitions({
+      fields: [
+          { name: 'a', computed: 'b + 1' },
+          { name: 'b', computed: 'a * 2' },
+          { name: 'c', computed: 'missing + eval(1)' }
+      ]
+  });
+  testFramework.assertDeepEqual(errors.map(e => e.code), ['computed_syntax']);
+  testFramework.assertDeepEqual(
+      validateComputedDefinitions({ fields: [{ name: 'a', computed: 'b + 1' }, { name: 'b', computed: 'a * 2' }] }).map(e => e.code),
+      ['computed_cycle']
+  );
+});
+
+testFramework.test('合同 PDF 排版 - 当事人、条款、附件表格与签署栏', async () => {
+  const { buildContractLayout } = await import('../modules/pdf/contract-pdf.js');
+  const layout = buildContractLayout({
+      text: '采购合同\n\n买方（甲方）：甲公司\n联系电话：13800138000\n\n卖方（乙方）：乙公司\n\n双方协商一致。\n\n第一条 货物\n螺丝 100 件。\n\n第二条 其他\n自签字之日起生效。\n\n附加条款\n一、争议解决\n协商解决。',
+      template: {
+          id: 'purchase',
+          name: '采购合同',
+          version: '1.0.0',
+          edition: '2025版',
+          fields: [{ name: 'items', label: '货物清单', type: 'group', fields: [{ name: 'product', label: '品名' }, { name: 'quantity', label: '数量' }] }]
+      },
+      fields: { items: [{ product: '螺丝', quantity: '100' }] },
+      clauses: [{ id: 'dispute-resolution', version: '1.0.0' }]
+  });
+
+  testFramework.assertDeepEqual(
+      layout.blocks.map(b => b.type),
+      ['title', 'meta', 'parties', 'paragraph', 'article', 'article', 'clauses', 'signatures', 'table', 'note']
+  );
+  const parties = layout.blocks.find(b => b.type === 'parties').parties;
+  testFramework.assertDeepEqual(parties[0].details, [{ label: '联系电话', value: '13800138000' }]);
+  testFramework.assertDeepEqual(layout.blocks[4], { type: 'article', number: '第一条', heading: '货物', paragraphs: ['螺丝 100 件。'] });
+  testFramework.assertDeepEqual(layout.blocks[6].items, [{ number: '一、', title: '争议解决', paragraphs: ['协商解决。'] }]);
+  testFramework.assertDeepEqual(
+      layout.blocks.find(b => b.type === 'signatures').parties,
+      [{ role: '买方（甲方）', name: '甲公司' }, { role: '卖方（乙方）', name: '乙公司' }]
+  );
+  const table = layout.blocks.find(b => b.type === 'table');
+  testFramework.assertEqual(table.title, '附件一：货物清单');
+  testFramework.assertDeepEqual(table.columns, ['序号', '品名', '数量']);
+  testFramework.assertDeepEqual(table.rows, [['1', '螺丝', '100']]);
+});
+
+testFramework.test('合同校验 - 规范化哈希与校验链接', async () => {
+  const { canonicalStringify, buildHashPayload, hashPayload } = await import('../utils/hash/canonical-json.js');
+  const { buildVerificationUrl, parseVerificationPayload, verifyRecord } = await import('../modules/history/contract-verification.js');
+
+  testFramework.assertEqual(canonicalStringify({ b: 1, a: [{ d: undefined, c: 'x' }] }), '{"a":[{"c":"x"}],"b":1}');
+
+  const record = {
+      id: 'r1',
+      templateId: 'labor-contract-2025',
+      templateVersion: '1.2.0',
+      fileName: '劳动合同.pdf',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      fields: { employeeName: '张三', salary: '8000' },
+      clauses: [{ id: 'confidentiality', version: '1.0.0', title: '保密' }]
+  };
+  const hash = await hashPayload(buildHashPayload(record));
+  // 键顺序与文件名等非内容信息不影响哈希
+  const reordered = { ...record, fileName: 'x.pdf', fields: { salary: '8000', employeeName: '张三' } };
+  testFramework.assertEqual(await hashPayload(buildHashPayload(reordered)), hash);
+
+  const url = buildVerificationUrl({ hash, recordId: 'r1', templateId: 'labor-contract-2025', version: '1.2.0' }, 'https://example.com/history.html');
+  const claim = parseVerificationPayload(url);
+  testFramework.assertDeepEqual(claim, { hash, recordId: 'r1', templateId: 'labor-contract-2025', version: '1.2.0' });
+  testFramework.assertEqual(parseVerificationPayload(hash.toUpperCase()).hash, hash);
+  testFramework.assertEqual(parseVerificationPayload('not a link'), null);
+
+  testFramework.assertEqual((await verifyRecord(record, claim)).status, 'verified');
+  const tampered = { ...record, fields: { ...record.fields, salary: '9000' } };
+  testFramework.assertEqual((await verifyRecord(tampered, claim)).status, 'mismatch');
+  testFramework.assertEqual((await verifyRecord(null, claim)).status, 'not_found');
+});
+
+testFramework.test('合同 PDF - 写入内容哈希、页脚与校验二维码', async () => {
+  const { writeContractPdf } = await import('../modules/pdf/contract-pdf.js');
+  let pages = 1;
+  let current = 1;
+  let properties = null;
+  let qrCells = 0;
+  const texts = [];
+  const doc = {
+      internal: { pageSize: { getWidth: () => 210, getHeight: () => 297 } },
+      getFont: () => ({ fontName: 'helvetica' }),
+      setFont() {},
+      setFontSize() {},
+      setFillColor() {},
+      setProperties(value) { properties = value; },
+      splitTextToSize: text => [text],
+      text: text => texts.push({ page: current, text }),
+      rect: (x, y, w, h, style) => { if (style === 'F') qrCells++; },
+      line() {},
+      addPage() { pages++; current = pages; },
+      getNumberOfPages: () => pages,
+      setPage(page) { current = page; }
+  };
+  const fakeQrcode = () => ({ addData() {}, make() {}, getModuleCount: () => 21, isDark: (r, c) => (r + c) % 2 === 0 });
+  const hash = 'a'.repeat(64);
+  const integrity = { hash, recordId: 'r1', templateId: 'demo', version: '1.0.0', url: `history.html#verify=${hash}` };
+
+  writeContractPdf(doc, { text: '示例合同\n\n第一条 约定\n内容。', template: { id: 'demo', name: '示例合同', version: '1.0.0' }, fields: {}, clauses: [] }, { integrity, qrcode: fakeQrcode });
+
+  testFramework.assert(properties.keywords.includes(`sha256:${hash}`), '文档属性应包含哈希');
+  testFramework.assert(properties.keywords.includes('record:r1') && properties.keywords.includes('template:demo@1.0.0'), '文档属性应包含记录与模板');
+  testFramework.assert(texts.some(t => t.text === `记录 r1\u3000模板 demo@1.0.0\u3000SHA-256 ${hash}`), '页脚应包含哈希');
+  testFramework.assert(texts.some(t => t.text === integrity.url), '应输出校验链接');
+  testFramework.assert(qrCells > 0, '应绘制二维码');
+});
+
+testFramework.test('规范化 JSON - Unicode、数字与时间', async () => {
+  const { canonicalStringify, normalizeValue } = await import('../utils/hash/canonical-json.js');
+
+  // “é” 的组合形式与预组合形式规范化后相同
+  testFramework.assertEqual(canonicalStringify({ name: 'Cafe\u0301' }), canonicalStringify({ name: 'Caf\u00e9' }));
+  testFramework.assertEqual(normalizeValue(-0), 0);
+  testFramework.assertEqual(normalizeValue(NaN), null);
+  testFramework.assertEqual(canonicalStringify([1.50, Infinity]), '[1.5,null]');
+  // 带时区的时间统一为 UTC，纯日期保持原样
+  testFramework.assertEqual(normalizeValue('2025-01-01T08:00:00+08:00'), '2025-01-01T00:00:00.000Z');
+  testFramework.assertEqual(normalizeValue(new Date('2025-01-01T00:00:00Z')), '2025-01-01T00:00:00.000Z');
+  testFramework.assertEqual(normalizeValue('2025-01-01'), '2025-01-01');
+  testFramework.assertEqual(
+      canonicalStringify({ b: { y: 1, x: [3, { d: 1, c: 2 }] }, a: null }),
+      '{"a":null,"b":{"x":[3,{"c":2,"d":1}],"y":1}}'
+  );
+});
+
+testFramework.test('EIP-712 - 结构化数据摘要与签名者恢复', async () => {
+  const { hashTypedData, encodeType } = await import('../modules/signature/eip712.js');
+  const { recoverAddress } = await import('../utils/hash/secp256k1.js');
+  const { keccak256Hex } = await import('../utils/hash/keccak.js');
+
+  testFramework.assertEqual(keccak256Hex(''), '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+
+  // EIP-712 规范中的 Mail 示例
+  const typedData = {
+      types: {
+          EIP712Domain: [
+              { name: 'name', type: 'string' },
+              { name: 'version', type: 'string' },
+              { name: 'chainId', type: 'uint256' },
+              { name: 'verifyingContract', type: 'address' }
+          ],
+          Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }],
+          Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }]
+      },
+      primaryType: 'Mail',
+      domain: { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+      message: {
+          from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+          to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+          contents: 'Hello, Bob!'
+      }
+  };
+  testFramework.assertEqual(encodeType('Mail', typedData.types), 'Mail(Person from,Person to,string contents)Person(string name,address wallet)');
+  const digest = hashTypedData(typedData);
+  testFramework.assertEqual(digest, '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+  const signature = '0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b915621c';
+  testFramework.assertEqual(recoverAddress(digest, signature), '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826');
+});
+
+testFramework.test('合同记录签名 - 钱包签名并从签名恢复签名者', async () => {
+  const { signContractRecord, verifyRecordSignature } = await import('../modules/signature/contract-signature.js');
+  const signer = '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826';
+  const record = {
+      id: 'r1',
+      templateId: 'labor-contract-2025',
+      templateVersion: '1.2.0',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      fields: { employeeName: '张三' },
+      clauses: [],
+      contentHash: '7dbb4097bf8d43bb749ab85b92d401c5bb746ae3e305118fb890004c902cd7ca'
+  };
+  const requests = [];
+  // 模拟钱包：返回预先用签名者私钥对该记录（chainId 1）签出的签名
+  const provider = {
+      request: async ({ method, params }) => {
+          requests.push({ method, params });
+          if (method === 'eth_requestAccounts') return [signer.toLowerCase()];
+          if (method === 'eth_chainId') return '0x1';
+          if (method === 'eth_signTypedData_v4') {
+              return '0xf973a0b87062c389d125d8199e803b832b6ac6bf7867a4f6cd87506060fc4c585d183245b00481d92f58f0f2f2380f700bb4b748984b23126294f295a57e967a1c';
+          }
+          throw new Error(`unexpected ${method}`);
+      }
+  };
+
+  const signed = await signContractRecord(provider, record);
+  testFramework.assertEqual(signed.signer, signer);
+  testFramework.assertEqual(signed.chainId, 1);
+  const typedData = JSON.parse(requests.find(r => r.method === 'eth_signTypedData_v4').params[1]);
+  testFramework.assertDeepEqual(typedData.message, { templateId: 'labor-contract-2025', version: '1.2.0', hash: record.contentHash, timestamp: 1735689600 });
+
+  const stored = { ...record, signature: signed };
+  testFramework.assertEqual((await verifyRecordSignature(stored)).status, 'verified');
+  testFramework.assertEqual((await verifyRecordSignature(record)).status, 'unsigned');
+  const tampered = { ...stored, fields: { employeeName: '李四' } };
+  testFramework.assertEqual((await verifyRecordSignature(tampered)).status, 'content_mismatch');
+  const wrongSigner = { ...stored, signature: { ...signed, signer: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' } };
+  testFramework.assertEqual((await verifyRecordSignature(wrongSigner)).status, 'invalid');
+});
+
+testFramework.test('多方签署 - 签署包、导入签名与状态流转', async () => {
+  const {
+      defineSigners, getSigningStatus, exportSigningPackage, readSigningPackage,
+      createSignatureResponse, importSignatureResponse, addSignature, verifySignatures
+  } = await import('../modules/signature/signing-package.js');
+  const cow = '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826';
+  const dog = '0x252487948306535425542FCFE52008d32d1Fd9fb';
+  const cowSignature = '0xf973a0b87062c389d125d8199e803b832b6ac6bf7867a4f6cd87506060fc4c585d183245b00481d92f58f0f2f2380f700bb4b748984b23126294f295a57e967a1c';
+  const dogSignature = '0xec6d499aefd540e90357f1004a136049d1f7df5ad99c44c46e3ed4169e40acb6069bcc70707f20620b9a47cd94f2913120d24c2865e9500de405eeffdb76108d1c';
+  const base = {
+      id: 'r1',
+      templateId: 'labor-contract-2025',
+      templateVersion: '1.2.0',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      fields: { employeeName: '张三' },
+      clauses: [],
+      contentHash: '7dbb4097bf8d43bb749ab85b92d401c5bb746ae3e305118fb890004c902cd7ca'
+  };
+
+  let record = defineSigners(base, [
+      { id: 'employer', role: '甲方', name: '甲公司', wallet: cow },
+      { id: 'employee', role: '乙方', name: '张三' },
+      { id: 'witness', role: '见证人', required: false }
+  ]);
+  testFramework.assertEqual(record.signing.status, 'pending');
+
+  // 发起方本人签署
+  record = await addSignature(record, 'employer', { signature: cowSignature, chainId: 1 });
+  testFramework.assertDeepEqual(getSigningStatus(record).missing.map(s => s.id), ['employee']);
+
+  // 对方在自己的浏览器中打开签署包、签名并返回签名文件
+  const pkg = await readSigningPackage(JSON.stringify(exportSigningPackage(record, 'employee')));
+  testFramework.assertEqual(pkg.signerId, 'employee');
+  const { signed: exportedSigned, ...legacyPackage } = exportSigningPackage(record, 'employee');
+  testFramework.assertDeepEqual(exportedSigned, ['employer']);
+  testFramework.assertDeepEqual((await readSigningPackage(legacyPackage)).signed, [], '缺少 signed 时按未签署处理');
+  let packageError = null;
+  try {
+      await readSigningPackage({ ...legacyPackage, signed: 'employer' });
+  } catch (e) {
+      packageError = e;
+  }
+  testFramework.assertEqual(packageError && packageError.code, 'package_invalid');
+  const response = createSignatureResponse(pkg, { signer: dog, signature: dogSignature, chainId: 1, signedAt: '2025-01-02T00:00:00.000Z' });
+  record = await importSignatureResponse(record, JSON.stringify(response));
+
+  testFramework.assertEqual(record.signing.status, 'active', '必需签署方全部签署后生效');
+  testFramework.assertEqual(record.signing.signers.find(s => s.id === 'employee').wallet, dog, '未指定钱包时以签名地址为准');
+  testFramework.assert((await verifySignatures(record)).every(r => r.valid), '全部签名应有效');
+
+  // 内容被修改后签名全部失效，且不再接受新签名
+  const tampered = { ...record, fields: { employeeName: '李四' } };
+  testFramework.assert((await verifySignatures(tampered)).every(r => !r.valid), '内容修改后签名应失效');
+  let error = null;
+  try {
+      await addSignature(tampered, 'witness', { signature: dogSignature, chainId: 1 });
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assertEqual(error && error.code, 'content_mismatch');
+
+  // 指定了钱包的签署方不接受其他钱包的签名
+  error = null;
+  try {
+      await addSignature(defineSigners(base, [{ id: 'employer', wallet: cow }]), 'employer', { signature: dogSignature, chainId: 1 });
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assertEqual(error && error.code, 'signer_mismatch');
+
+  // 重新指定签署方：钱包地址不变（大小写不同）时保留签名，改为其他钱包时原签名作废
+  const signed = await addSignature(defineSigners(base, [{ id: 'employer', wallet: cow }, { id: 'employee' }]), 'employer', { signature: cowSignature, chainId: 1 });
+  const same = defineSigners(signed, [{ id: 'employer', wallet: cow.toLowerCase() }, { id: 'employee' }]);
+  testFramework.assert(same.signing.signatures.employer, '钱包未变时应保留签名');
+  const changed = defineSigners(signed, [{ id: 'employer', wallet: dog }, { id: 'employee' }]);
+  testFramework.assert(!changed.signing.signatures.employer, '钱包改变后应丢弃原签名');
+  testFramework.assertDeepEqual(getSigningStatus(changed).missing.map(s => s.id), ['employer', 'employee']);
+  testFramework.assertEqual(changed.signing.status, 'pending');
+});
+
+testFramework.test('哈希上链 - 登记合约交易状态', async () => {
+  const { toBytes32, anchorRecordHash, lookupAnchor } = await import('../modules/chain/hash-registry.js');
+  const contentHash = '7dbb4097bf8d43bb749ab85b92d401c5bb746ae3e305118fb890004c902cd7ca';
+  testFramework.assertEqual(toBytes32(contentHash), '0x' + contentHash);
+
+  // 按 web3.eth.Contract 的调用方式模拟登记合约：send() 返回带 on() 的 Promise
+  const anchors = {};
+  const contract = {
+      options: { address: '0x5FbDB2315678afecb367f032d93F642f64180aa3' },
+      methods: {
+          getAnchor: hash => ({
+              call: async () => anchors[hash] || { submitter: '0x0000000000000000000000000000000000000000', timestamp: 0n, blockNumber: 0n }
+          }),
+          anchor: (hash, recordId) => ({
+              send: ({ from }) => {
+                  const txHash = '0x' + 'ab'.repeat(32);
+                  const listeners = [];
+                  const promise = Promise.resolve().then(() => {
+                      listeners.forEach(fn => fn(txHash));
+                      if (anchors[hash]) throw new Error('HashRegistry: already anchored');
+                      anchors[hash] = { submitter: from, timestamp: 1735689600n, blockNumber: 7n, recordId };
+                      return { status: 1n, transactionHash: txHash, blockNumber: 7n };
+                  });
+                  promise.on = (event, fn) => {
+                      if (event === 'transactionHash') listeners.push(fn);
+                      return promise;
+                  };
+                  return promise;
+              }
+          })
+      }
+  };
+  const account = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+  const record = { id: 'r1', contentHash, chain: { status: 'not_submitted' } };
+
+  const updates = [];
+  const chain = await anchorRecordHash(contract, account, record, { onUpdate: c => updates.push(c) });
+  testFramework.assertEqual(updates[0].status, 'pending', '拿到交易哈希时应为 pending');
+  testFramework.assertEqual(chain.status, 'confirmed');
+  testFramework.assertEqual(chain.txHash, '0x' + 'ab'.repeat(32));
+  testFramework.assertEqual(chain.blockNumber, 7);
+  testFramework.assertEqual(chain.registry, contract.options.address);
+  testFramework.assertEqual((await lookupAnchor(contract, contentHash)).submitter, account);
+
+  // 已登记的哈希不再发送交易
+  const again = await anchorRecordHash(contract, account, { ...record, chain });
+  testFramework.assertEqual(again.status, 'confirmed');
+  testFramework.assertEqual(again.txHash, chain.txHash);
+
+  let error = null;
+  try {
+      await anchorRecordHash(contract, account, { id: 'r2' });
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assert(error && /内容哈希/.test(error.message), '缺少内容哈希时应拒绝上链');
+});
+
+testFramework.test('合同校验 - PDF 元数据、本机记录与链上登记', async () => {
+  const { verifyContract, readPdfMetadata, sha256Bytes, findSimulatedAnchor } = await import('../modules/verification/verifier.js');
+  const contentHash = '7dbb4097bf8d43bb749ab85b92d401c5bb746ae3e305118fb890004c902cd7ca';
+  const pdf = new TextEncoder().encode(
+      `%PDF-1.3\n1 0 obj\n<< /Producer (jsPDF) /Keywords (sha256:${contentHash} record:r1 template:labor-contract-2025@1.2.0) >>\nendobj\n%%EOF`
+  );
+  testFramework.assertDeepEqual(readPdfMetadata(pdf), {
+      hash: contentHash, recordId: 'r1', templateId: 'labor-contract-2025', version: '1.2.0'
+  });
+
+  const record = {
+      id: 'r1',
+      templateId: 'labor-contract-2025',
+      templateVersion: '1.2.0',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      fields: { employeeName: '张三' },
+      clauses: [],
+      contentHash,
+      sha256: await sha256Bytes(pdf)
+  };
+  const transactions = [{
+      type: 'hash_anchor', contentHash, from: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+      txHash: '0x' + '12'.repeat(32), blockNumber: 1250001, timestamp: '2025-01-01T00:10:00.000Z'
+  }];
+  const sources = { records: [record], lookupHash: async hash => findSimulatedAnchor(transactions, hash) };
+
+  const result = await verifyContract({ file: pdf }, sources);
+  testFramework.assertEqual(result.status, 'verified');
+  testFramework.assertEqual(result.record.id, 'r1');
+  testFramework.assert(result.checks.every(c => c.match), '内嵌元数据应与记录一致');
+  testFramework.assertEqual(result.chain.status, 'anchored');
+  testFramework.assertEqual(result.chain.blockNumber, 1250001);
+  testFramework.assertEqual(result.chain.submitter, transactions[0].from);
+
+  // 粘贴 PDF 文件哈希同样能找到记录
+  const byFileHash = await verifyContract({ text: record.sha256 }, sources);
+  testFramework.assertEqual(byFileHash.status, 'verified');
+  testFramework.assertEqual(byFileHash.contentHash, contentHash);
+
+  // 被修改过的 PDF
+  const tampered = new Uint8Array([...pdf, 0x0a]);
+  testFramework.assertEqual((await verifyContract({ file: tampered }, sources)).status, 'mismatch');
+
+  const unknown = await verifyContract({ text: 'f'.repeat(64) }, sources);
+  testFramework.assertEqual(unknown.status, 'not_found');
+  testFramework.assertEqual(unknown.chain.status, 'not_anchored');
+
+  // 伪造的 PDF：元数据抄录了已登记的哈希，但文件本身在本机与链上都没有记录
+  const forged = new TextEncoder().encode(
+      `%PDF-1.3\n1 0 obj\n<< /Producer (jsPDF) /Keywords (sha256:${contentHash}) >>\nendobj\n(伪造内容)\n%%EOF`
+  );
+  const claimed = await verifyContract({ file: forged }, { records: [], lookupHash: sources.lookupHash });
+  testFramework.assertEqual(claimed.chain.status, 'anchored', '声明的哈希本身已登记');
+  testFramework.assertEqual(claimed.fileChain.status, 'not_anchored');
+  testFramework.assertEqual(claimed.status, 'claimed', '文件与哈希无法对应时不能判定为通过');
+
+  // 本机记录未保存文件哈希时同样无法确认
+  const withoutFile = await verifyContract({ file: forged }, { records: [{ ...record, sha256: undefined }], lookupHash: sources.lookupHash });
+  testFramework.assertEqual(withoutFile.local.status, 'verified');
+  testFramework.assertEqual(withoutFile.status, 'claimed');
+
+  // 文件哈希本身已登记时可以确认
+  const fileAnchored = [...transactions, { ...transactions[0], contentHash: await sha256Bytes(forged), blockNumber: 1250002 }];
+  const anchoredFile = await verifyContract({ file: forged }, { records: [], lookupHash: async hash => findSimulatedAnchor(fileAnchored, hash) });
+  testFramework.assertEqual(anchoredFile.status, 'verified');
+});
+
+testFramework.test('批量上链 - Merkle 证明离线验证', async () => {
+  const { buildMerkleTree, getMerkleProof, verifyMerkleProof, hashLeaf } = await import('../utils/hash/merkle.js');
+  const { buildBatch, applyBatch, verifyBatchedRecord } = await import('../modules/chain/batch-anchor.js');
+
+  const leaves = ['11', '22', '33', '44', '55'].map(b => b.repeat(32));
+  const tree = await buildMerkleTree(leaves);
+  for (let i = 0; i < leaves.length; i++) {
+      testFramework.assert(await verifyMerkleProof(leaves[i], getMerkleProof(tree, i), tree.root), `第 ${i + 1} 个叶子的证明应有效`);
+  }
+  testFramework.assert(!(await verifyMerkleProof('66'.repeat(32), getMerkleProof(tree, 0), tree.root)), '其他哈希不能通过证明');
+  testFramework.assertEqual((await buildMerkleTree([leaves[0]])).root, await hashLeaf(leaves[0]), '单个叶子时根为叶子哈希');
+
+  const record = {
+      id: 'r1',
+      templateId: 'labor-contract-2025',
+      templateVersion: '1.2.0',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      fields: { employeeName: '张三' },
+      clauses: [],
+      contentHash: '7dbb4097bf8d43bb749ab85b92d401c5bb746ae3e305118fb890004c902cd7ca'
+  };
+  const records = [record, { id: 'r2', contentHash: leaves[1] }, { id: 'r3', contentHash: leaves[2] }];
+  const batch = await buildBatch(records);
+  testFramework.assertEqual(batch.size, 3);
+  const [anchored] = applyBatch(records, batch, { status: 'confirmed', txHash: '0x' + 'ab'.repeat(32), blockNumber: 9 });
+  testFramework.assertEqual(anchored.chain.merkleRoot, batch.root);
+  testFramework.assertEqual(anchored.chain.blockNumber, 9);
+
+  // 只凭记录自身保存的证明即可验证
+  testFramework.assert((await verifyBatchedRecord(anchored)).valid, '批量上链的记录应通过验证');
+  const tampered = { ...anchored, fields: { employeeName: '李四' } };
+  testFramework.assert(!(await verifyBatchedRecord(tampered)).valid, '内容修改后应验证失败');
+});
+
+testFramework.test('IPFS 存储 - 加密存入并按 CID 取回校验', async () => {
+  const { computeRawCid, parseCid, createMemoryAdapter, storeRecordContent, fetchRecordContent } = await import('../modules/storage/ipfs-storage.js');
+
+  const cid = await computeRawCid(new TextEncoder().encode('hello'));
+  const parsed = parseCid(cid);
+  testFramework.assertEqual(parsed.codec, 0x55, '应为 raw 编码');
+  testFramework.assertEqual(parsed.digest, '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+  testFramework.assertEqual(parseCid('QmNotBase32'), null);
+
+  const pdf = new TextEncoder().encode('%PDF-1.4 test');
+  const record = {
+      id: 'r1',
+      templateId: 'labor-contract-2025',
+      templateVersion: '1.2.0',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      fields: { employeeName: '张三' },
+      clauses: [],
+      contentHash: '7dbb4097bf8d43bb749ab85b92d401c5bb746ae3e305118fb890004c902cd7ca',
+      sha256: Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', pdf))).map(b => b.toString(16).padStart(2, '0')).join('')
+  };
+  const adapter = createMemoryAdapter();
+  record.ipfs = await storeRecordContent(adapter, record, pdf);
+  testFramework.assertEqual(adapter.blocks.size, 2);
+  // 节点上只有密文
+  const stored = new TextDecoder('latin1').decode(adapter.blocks.get(record.ipfs.payloadCid));
+  testFramework.assert(!stored.includes('labor-contract-2025'), 'IPFS 中不应出现明文');
+
+  const result = await fetchRecordContent(adapter, record);
+  testFramework.assertEqual(result.status, 'verified');
+  testFramework.assertEqual(new TextDecoder().decode(result.pdf), '%PDF-1.4 test');
+
+  const changed = await fetchRecordContent(adapter, { ...record, sha256: 'f'.repeat(64) });
+  testFramework.assertEqual(changed.status, 'mismatch');
+
+  adapter.blocks.get(record.ipfs.pdfCid)[20] ^= 1;
+  let error = null;
+  try {
+      await fetchRecordContent(adapter, record);
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assert(error && error.message.includes('解密失败'), '篡改后的内容应无法解密');
+
+  // 设置了加密口令时内容密钥随口令加密，锁定后无法取回
+  const { createVault, isSealed } = await import('../core/crypto-vault.js');
+  const data = {};
+  const backend = {
+      getItem: key => (key in data ? data[key] : null),
+      setItem: (key, value) => { data[key] = String(value); },
+      removeItem: key => { delete data[key]; },
+      key: index => Object.keys(data)[index] ?? null,
+      get length() { return Object.keys(data).length; }
+  };
+  const vault = createVault({ backend, session: null, config: { security: { encryption: { iterations: 1000 } } }, restore: false });
+  testFramework.assertEqual(record.ipfs.keySealed, false, '未设置口令时密钥为明文');
+  await vault.setup('passphrase-1');
+  const sealedRecord = { ...record, ipfs: await storeRecordContent(adapter, record, pdf, { vault }) };
+  testFramework.assert(sealedRecord.ipfs.keySealed && isSealed(sealedRecord.ipfs.key), '内容密钥应已加密');
+  testFramework.assertEqual((await fetchRecordContent(adapter, sealedRecord, { vault })).status, 'verified');
+  vault.lock();
+  error = null;
+  try {
+      await fetchRecordContent(adapter, sealedRecord, { vault });
+  } catch (e) {
+      error = e;
+  }
+  testFramework.assert(error && error.message.includes('请先输入口令解锁'), '锁定时不应能取回');
+});
+
+testFramework.test('本地加密 - 口令加密、锁定与修改口令', async () => {
+  const { createVault, isSealed } = await import('../core/crypto-vault.js');
+  const data = {};
+  const backend = {
+      getItem: key => (key in data ? data[key] : null),
+      setItem: (key, value) => { data[key] = String(value); },
+      removeItem: key => { delete data[key]; },
+      key: index => Object.keys(data)[index] ?? null,
+      get length() { return Object.keys(data).length; }
+  };
+  const config = { system: { storage: { encryption: true } }, security: { encryption: { iterations: 1000 } } };
+  const history = JSON.stringify([{ id: 'r1', fields: { idNumber: '110101199001011234' } }]);
+  data.contractHistory = history;
+  data['ui-theme'] = 'dark';
+
+  const vault = createVault({ backend, session: null, config, restore: false });
+  testFramework.assert(!vault.isSetUp(), '未设置口令时不加密');
+  await vault.setup('passphrase-1');
+  // 已有的历史记录在设置口令时加密，其他数据不变
+  testFramework.assert(isSealed(data.contractHistory), '历史记录应已加密');
+  testFramework.assert(!data.contractHistory.includes('110101199001011234'), '密文中不应出现身份证号');
+  testFramework.assertEqual(data['ui-theme'], 'dark');
+  testFramework.assertEqual(vault.storage.getItem('contractHistory'), history);
+
+  await vault.storage.setItem('contractRecord:r2', '{"id":"r2"}');
+  testFramework.assert(isSealed(data['contractRecord:r2']), '新写入的记录应加密');
+
+  vault.lock();
+  testFramework.assertEqual(vault.storage.getItem('contractRecord:r2'), null, '锁定时读不到记录');
+  let lockedWrite = false;
+  try {
+      vault.storage.setItem('contractRecord:r3', '{}');
+  } catch (error) {
+      lockedWrite = true;
+  }
+  testFramework.assert(lockedWrite, '锁定时不能写入');
+  testFramework.assertEqual(data['contractRecord:r3'], undefined);
+  const rejects = async promise => {
+      try {
+          await promise;
+          return false;
+      } catch (error) {
+          return true;
+      }
+  };
+  testFramework.assert(await rejects(vault.unlock('wrong-passphrase')), '口令错误时不能解锁');
+
+  const count = await vault.changePassphrase('passphrase-1', 'passphrase-2');
+  testFramework.assertEqual(count, 2);
+  vault.lock();
+  testFramework.assert(await rejects(vault.unlock('passphrase-1')), '旧口令应失效');
+  await vault.unlock('passphrase-2');
+  testFramework.assertEqual(vault.storage.getItem('contractRecord:r2'), '{"id":"r2"}');
+
+  await vault.disable('passphrase-2');
+  testFramework.assertEqual(data.contractHistory, history, '关闭加密后恢复明文');
+});
+
+testFramework.test('本地加密 - 仅在勾选时记住解锁状态', async () => {
+  const { createVault } = await import('../core/crypto-vault.js');
+  const memory = () => {
+      const data = {};
+      return {
+          data,
+          getItem: key => (key in data ? data[key] : null),
+          setItem: (key, value) => { data[key] = String(value); },
+          removeItem: key => { delete data[key]; }
+      };
+  };
+  const backend = memory();
+  const session = memory();
+  const config = { system: { storage: { encryption: true } }, security: { encryption: { iterations: 1000 } } };
+
+  const vault = createVault({ backend, session, config, restore: false });
+  await vault.setup('passphrase-1');
+  testFramework.assertEqual(session.getItem('cryptoVault:session'), null, '默认不应保存密钥');
+
+  vault.lock();
+  await vault.unlock('passphrase-1', { remember: true });
+  testFramework.assert(session.getItem('cryptoVault:session'), '勾选后应保存密钥');
+  // 同一会话的其他页面直接恢复
+  const other = createVault({ backend, session, config });
+  const statuses = [];
+  other.subscribe(status => statuses.push(status));
+  await other.ready;
+  testFramework.assert(other.isUnlocked(), '其他页面应恢复解锁状态');
+  testFramework.assertDeepEqual(statuses, ['unlocked'], '恢复后应通知订阅者');
+
+  await vault.changePassphrase('passphrase-1', 'passphrase-2');
+  testFramework.assertEqual(session.getItem('cryptoVault:session'), null, '修改口令未勾选时应清除保存的密钥');
+  await vault.unlock('passphrase-2', { remember: true });
+  vault.lock();
+  testFramework.assertEqual(session.getItem('cryptoVault:session'), null, '锁定后应清除密钥');
+});
+
+testFramework.test('本地加密 - 修改口令中途失败时保留原口令', async () => {
+  const { createVault } = await import('../core/crypto-vault.js');
+  const data = {};
+  let failKey = null;
+  const backend = {
+      getItem: key => (key in data ? data[key] : null),
+      setItem: (key, value) => {
+          if (key === failKey) throw new Error('QuotaExceededError');
+          data[key] = String(value);
+      },
+      removeItem: key => { delete data[key]; },
+      key: index => Object.keys(data)[index] ?? null,
+      get length() { return Object.keys(data).length; }
+  };
+  const config = { system: { storage: { encryption: true } }, security: { encryption: { iterations: 1000 } } };
+  const history = JSON.stringify([{ id: 'r1', fields: { idNumber: '110101199001011234' } }]);
+  data.sc_contract_drafts = '[]';
+  data.contractHistory = history;
+  const vault = createVault({ backend, session: null, config, restore: false });
+  let failStore = false;
+  const resealed = [];
+  vault.registerStore(async codec => {
+      if (failStore) throw new Error('IndexedDB 写入失败');
+      resealed.push(codec ? 'seal' : 'plain');
+  });
+  await vault.setup('passphrase-1');
+
+  const attempt = async () => {
+      let error = null;
+      try {
+          await vault.changePassphrase('passphrase-1', 'passphrase-2');
+      } catch (e) {
+          error = e;
+      }
+      return error;
+  };
+  // 写入 contractHistory 时失败（sc_contract_drafts 已写入新密文）：外部存储不动，localStorage 与口令信息恢复
+  failKey = 'contractHistory';
+  testFramework.assert(await attempt(), '写入失败应抛出错误');
+  testFramework.assertDeepEqual(resealed, ['seal'], '外部存储不应用新口令重新加密');
+  failKey = null;
+  // 外部存储重新加密失败时同样恢复
+  failStore = true;
+  testFramework.assert(await attempt(), '外部存储失败应抛出错误');
+  failStore = false;
+
+  const reopened = createVault({ backend, session: null, config, restore: false });
+  await reopened.unlock('passphrase-1');
+  testFramework.assertEqual(reopened.storage.getItem('contractHistory'), history, '原口令仍可解密历史记录');
+  testFramework.assertEqual(reopened.storage.getItem('sc_contract_drafts'), '[]', '已写入的条目应恢复');
+  testFramework.assertEqual(vault.storage.getItem('contractHistory'), history);
+
+  await vault.changePassphrase('passphrase-1', 'passphrase-2');
+  testFramework.assertDeepEqual(resealed, ['seal', 'seal']);
+});
+
+testFramework.test('本地加密 - 外部存储的字节加密与重新加密', async () => {
+  const { createVault } = await import('../core/crypto-vault.js');
+  const data = {};
+  const backend = {
+      getItem: key => (key in data ? data[key] : null),
+      setItem: (key, value) => { data[key] = String(value); },
+      removeItem: key => { delete data[key]; },
+      key: index => Object.keys(data)[index] ?? null,
+      get length() { return Object.keys(data).length; }
+  };
+  const config = { system: { storage: { encryption: true } }, security: { encryption: { iterations: 1000 } } };
+  const vault = createVault({ backend, session: null, config, restore: false });
+
+  // 模拟 IndexedDB 中的一条记录：设置、修改口令与关闭加密时整体重新写入
+  const pdf = new TextEncoder().encode('%PDF-1.4 test');
+  let stored = { encrypted: false, pdf };
+  const calls = [];
+  vault.registerStore(async codec => {
+      calls.push(codec ? 'seal' : 'plain');
+      const plain = stored.encrypted ? await vault.openBytes(stored.pdf) : stored.pdf;
+      stored = codec ? { encrypted: true, pdf: await codec.sealBytes(plain) } : { encrypted: false, pdf: plain };
+  });
+
+  await vault.setup('passphrase-1');
+  testFramework.assert(stored.encrypted, '设置口令后外部记录应加密');
+  testFramework.assertEqual(new TextDecoder().decode(await vault.openBytes(stored.pdf)), '%PDF-1.4 test');
+
+  await vault.changePassphrase('passphrase-1', 'passphrase-2');
+  testFramework.assertEqual(new TextDecoder().decode(await vault.openBytes(stored.pdf)), '%PDF-1.4 test', '新口令下可解密');
+
+  vault.lock();
+  let locked = false;
+  try {
+      await vault.sealText('x');
+  } catch (error) {
+      locked = true;
+  }
+  testFramework.assert(locked, '锁定时不能加密');
+
+  await vault.disable('passphrase-2');
+  testFramework.assertDeepEqual(calls, ['seal', 'seal', 'plain']);
+  testFramework.assertEqual(new TextDecoder().decode(stored.pdf), '%PDF-1.4 test', '关闭加密后恢复明文');
+});
+
+testFramework.test('历史记录存储 - IndexedDB 索引、PDF Blob、旧记录迁移与存储用量', async () => {
+  await import('../utils/hash/canonical-json.js');
+  await import('../modules/history/history-storage.js');
+  // 最小的 IndexedDB 替身：请求同步得到结果，事务在当前同步代码执行完后完成
+  const databases = new Map();
+  const fakeIndexedDB = {
+      open(name) {
+          const req = { result: null, error: null };
+          setTimeout(() => {
+              const isNew = !databases.has(name);
+              if (isNew) databases.set(name, { stores: {} });
+              const db = databases.get(name);
+              req.result = {
+                  createObjectStore(storeName, { keyPath }) {
+                      const store = { keyPath, records: new Map(), indexes: {} };
+                      db.stores[storeName] = store;
+                      return { createIndex: (indexName, path) => { store.indexes[indexName] = path; } };
+                  },
+                  transaction(storeName) {
+                      const tx = { error: null, objectStore: () => objectStore(db.stores[storeName]) };
+                      setTimeout(() => tx.oncomplete && tx.oncomplete());
+                      return tx;
+                  }
+              };
+              if (isNew) req.onupgradeneeded();
+              req.onsuccess();
+          });
+          return req;
+      }
+  };
+  const done = result => ({ readyState: 'done', result });
+  const sortBy = (list, key) => list.sort((a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0));
+  function objectStore(store) {
+      return {
+          put: value => done(store.records.set(value[store.keyPath], { ...value }) && value[store.keyPath]),
+          get: key => done(store.records.get(key)),
+          getKey: key => done(store.records.has(key) ? key : undefined),
+          getAll: () => done(sortBy([...store.records.values()], store.keyPath)),
+          delete: key => done(store.records.delete(key) && undefined),
+          clear: () => done(store.records.clear()),
+          index: name => {
+              const path = store.indexes[name];
+              const entries = () => sortBy([...store.records.values()].filter(v => v[path] != null), path);
+              return {
+                  getKey: value => done((entries().find(v => v[path] === value) || {})[store.keyPath]),
+                  getAll: () => done(entries())
+              };
+          }
+      };
+  }
+
+  // 旧版 localStorage 记录：createdAt 为毫秒时间戳
+  const legacyData = {};
+  const legacy = {
+      getItem: key => (key in legacyData ? legacyData[key] : null),
+      setItem: (key, value) => { legacyData[key] = String(value); },
+      removeItem: key => { delete legacyData[key]; }
+  };
+  legacy.setItem('contractRecord:index', JSON.stringify(['L1']));
+  legacy.setItem('contractRecord:L1', JSON.stringify({
+      id: 'L1', template: 'lease', sha256: 'b'.repeat(64), createdAt: 1735689600000, pdfBase64: btoa('%PDF-legacy')
+  }));
+
+  const storage = globalThis.HistoryStorage.create({
+      indexedDB: fakeIndexedDB,
+      localStorage: legacy,
+      vault: null,
+      navigator: { storage: { estimate: async () => ({ usage: 250, quota: 1000 }), persisted: async () => true } }
+  });
+  const pdfBytes = new TextEncoder().encode('%PDF-1.3 saved');
+  const meta = {
+      template: 'labor', templateId: 'labor-contract-2025', templateVersion: '1.2.0',
+      fields: { employeeName: '张三' }, clauses: [], createdAt: '2025-02-01T00:00:00.000Z'
+  };
+  const id = await storage.save(meta, pdfBytes.buffer.slice(0));
+  testFramework.assertEqual(await storage.save(meta, pdfBytes.buffer.slice(0)), id, '同一 PDF 按 sha256 索引去重');
+
+  // 首次打开时迁入旧记录，createdAt 统一为 ISO 字符串
+  const records = await storage.loadAll();
+  testFramework.assertDeepEqual(records.map(r => r.id), [id, 'L1'], '按 createdAt 索引倒序');
+  testFramework.assertEqual(records[1].createdAt, '2025-01-01T00:00:00.000Z');
+  testFramework.assertEqual(legacy.getItem('contractRecord:index'), null, '迁移后删除旧索引');
+  testFramework.assertEqual(legacy.getItem('contractRecord:L1'), null);
+
+  const store = databases.get('smart-contract-history').stores.records;
+  testFramework.assertDeepEqual(Object.keys(store.indexes), ['sha256', 'template', 'createdAt']);
+  const byTemplate = objectStore(store).index('template').getAll().result;
+  testFramework.assertDeepEqual(byTemplate.map(v => v.template), ['labor', 'lease']);
+
+  // PDF 以 Blob 保存并原样取回
+  const saved = await storage.get(id);
+  testFramework.assert(saved.pdf instanceof Blob, 'PDF 应以 Blob 保存');
+  testFramework.assertEqual(saved.contentHash.length, 64);
+  const rebuilt = await storage.rebuildPdf(saved);
+  testFramework.assertDeepEqual([...new Uint8Array(await rebuilt.arrayBuffer())], [...pdfBytes]);
+  const legacyPdf = await storage.rebuildPdf(records[1]);
+  testFramework.assertEqual(await legacyPdf.text(), '%PDF-legacy');
+
+  // 数据库打开后才出现的旧记录（如解锁后才能读出），再次迁移时迁入
+  legacy.setItem('contractRecord:index', JSON.stringify(['L2']));
+  legacy.setItem('contractRecord:L2', JSON.stringify({ id: 'L2', template: 'lease', createdAt: '1735776000000' }));
+  testFramework.assertEqual(await storage.migratePending(), 1);
+  testFramework.assertEqual((await storage.get('L2')).createdAt, '2025-01-02T00:00:00.000Z');
+
+  testFramework.assertDeepEqual(await storage.estimateQuota(), { usage: 250, quota: 1000, percent: 25, persisted: true });
+  testFramework.assertEqual(await globalThis.HistoryStorage.create({ navigator: null }).estimateQuota(), null, '不支持时返回 null');
+});
+
+testFramework.test('历史记录仓库 - 结构迁移、旧记录迁入与变更事件', async () => {
+  const { SCHEMA_VERSION, migrateRecord, createHistoryRepository } = await import('../modules/history/history-repository.js');
+
+  // 生成页旧记录与 HistoryStorage 早期记录都是 1 版
+  const upgraded = migrateRecord({ id: 'a', template: '租赁合同', createdAt: '2024-01-01T00:00:00.000Z' });
+  testFramework.assertEqual(upgraded.schemaVersion, SCHEMA_VERSION);
+  testFramework.assertEqual(upgraded.templateName, '租赁合同');
+  testFramework.assertDeepEqual(upgraded.chain, { status: 'not_submitted' });
+  testFramework.assert(!('template' in upgraded), '旧字段 template 应移除');
+  let newerRejected = false;
+  try {
+      migrateRecord({ id: 'b', schemaVersion: SCHEMA_VERSION + 1 });
+  } catch (error) {
+      newerRejected = true;
+  }
+  testFramework.assert(newerRejected, '高于当前版本的记录应拒绝升级');
+
+  // 内存中的 HistoryStorage 与旧 localStorage
+  const rows = new Map();
+  const storage = {
+      put: async (record, pdf) => { rows.set(record.id, { ...record, pdf: pdf || rows.get(record.id)?.pdf || null }); },
+      get: async id => rows.get(id) || null,
+      loadAll: async () => [...rows.values()],
+      deleteRecord: async id => { rows.delete(id); },
+      clearAll: async () => rows.clear(),
+      rebuildPdf: async record => record.pdf
+  };
+  const legacyData = {
+      contractHistory: JSON.stringify([{ id: 'old', templateName: '借款合同', base64: 'data:application/pdf;base64,' + btoa('%PDF') }])
+  };
+  const legacyStorage = {
+      getItem: key => legacyData[key] ?? null,
+      removeItem: key => { delete legacyData[key]; }
+  };
+  const repo = createHistoryRepository({ storage, legacyStorage, vault: null, channelName: 'contract-history-test' });
+  const events = [];
+  repo.subscribe(e => events.push(e.type));
+
+  const list = await repo.list();
+  testFramework.assertEqual(list.length, 1);
+  testFramework.assertEqual(list[0].schemaVersion, SCHEMA_VERSION);
+  testFramework.assert(!('contractHistory' in legacyData), '旧记录迁入后应删除');
+  testFramework.assertEqual(new TextDecoder().decode(await repo.getPdf(list[0])), '%PDF');
+
+  await repo.save({ id: 'new', templateId: 'loan', templateName: '借款合同' }, new Uint8Array([1, 2, 3]));
+  const updated = await repo.update('new', { ipfs: { payloadCid: 'cid' } });
+  testFramework.assertEqual(updated.ipfs.payloadCid, 'cid');
+  testFramework.assertEqual(rows.get('new').size, 3);
+  testFramework.assertDeepEqual([...rows.get('new').pdf], [1, 2, 3], '更新时保留 PDF');
+
+  await repo.remove('old');
+  testFramework.assertDeepEqual(events, ['migrated', 'saved', 'updated', 'deleted']);
+  repo.close();
+
+  // 旧结构记录：锁定时只在内存中升级，解锁后写回；写回失败时发出 migration_failed
+  rows.clear();
+  rows.set('v1', { id: 'v1', template: '租赁合同', createdAt: '2024-01-01T00:00:00.000Z' });
+  const vault = { unlocked: false, isSetUp: () => true, isUnlocked: () => vault.unlocked };
+  const lockedRepo = createHistoryRepository({ storage, legacyStorage, vault, channelName: 'contract-history-test' });
+  const failures = [];
+  lockedRepo.subscribe(e => { if (e.type === 'migration_failed') failures.push(e.failed); });
+  testFramework.assertEqual((await lockedRepo.list())[0].schemaVersion, SCHEMA_VERSION);
+  testFramework.assert(!rows.get('v1').schemaVersion, '锁定时不应写回');
+  testFramework.assert((await lockedRepo.migrate()).skipped, '锁定时跳过迁移');
+
+  vault.unlocked = true;
+  const put = storage.put;
+  storage.put = async () => { throw new Error('磁盘已满'); };
+  const failedRun = await lockedRepo.migrate();
+  testFramework.assertDeepEqual(failedRun.failed, [{ id: 'v1', message: '磁盘已满' }]);
+  testFramework.assertEqual(failures.length, 1, '应发出 migration_failed 事件');
+  await lockedRepo.list();
+  await lockedRepo.get('v1');
+  testFramework.assertEqual(failures.length, 1, '同一会话内读取不应重复报告失败');
+
+  storage.put = put;
+  await lockedRepo.migrate();
+  testFramework.assertEqual(rows.get('v1').schemaVersion, SCHEMA_VERSION, '直接调用 migrate 时重试写回');
+  lockedRepo.close();
+
+  // 更高版本的记录：读取时跳过，迁移时原样保留
+  const newer = { id: 'v9', schemaVersion: SCHEMA_VERSION + 1, templateName: '新版记录' };
+  rows.set('v9', newer);
+  const newerRepo = createHistoryRepository({ storage, legacyStorage, vault: null, channelName: 'contract-history-test' });
+  testFramework.assertDeepEqual((await newerRepo.list()).map(r => r.id), ['v1'], '列表应跳过更高版本的记录');
+  testFramework.assertEqual(await newerRepo.get('v9'), null);
+  testFramework.assertDeepEqual((await newerRepo.migrate()).failed, [], '更高版本的记录不算迁移失败');
+  testFramework.assertEqual(rows.get('v9'), newer, '更高版本的记录应原样保留');
+  newerRepo.close();
+});
+
+testFramework.test('历史记录搜索 - 中文分词、分面筛选、高亮与保存的搜索', async () => {
+  const { tokenize, recordToDocument, createSearchIndex, highlight, escapeHtml, createSavedSearches } = await import('../modules/history/history-search.js');
+
+  testFramework.assertDeepEqual(tokenize('张三丰 0xAbC'), ['0xabc', '张三', '三丰']);
+
+  const records = [
+      {
+          id: 'r1',
+          templateName: '房屋租赁合同',
+          createdAt: '2024-03-01T00:00:00.000Z',
+          fields: { lessorName: '张三丰', propertyAddress: '北京市海淀区中关村大街1号', monthlyRent: '8000', totalRent: '96000' },
+          clauses: [{ id: 'sublease-prohibited', version: '1.0.0' }],
+          tags: ['重要'],
+          chain: { status: 'confirmed' }
+      },
+      {
+          id: 'r2',
+          templateName: '劳动合同',
+          createdAt: '2024-05-01T00:00:00.000Z',
+          fields: { employeeName: '李四', basicSalary: '12000', wallet: '0xAbC1234' },
+          clauses: []
+      }
+  ];
+  const index = createSearchIndex(records.map(r => recordToDocument(r)));
+  const ids = (query, filters) => index.search(query, filters).hits.map(h => h.id);
+
+  testFramework.assertDeepEqual(ids('海淀'), ['r1'], '按字段值检索');
+  testFramework.assertDeepEqual(ids('转租'), ['r1'], '按条款正文检索');
+  testFramework.assertDeepEqual(ids('重要'), ['r1'], '按标签检索');
+  testFramework.assertDeepEqual(ids('0xabc'), ['r2'], '地址前缀匹配');
+  testFramework.assertDeepEqual(ids('张三 李四'), [], '所有关键词都须命中');
+  testFramework.assertDeepEqual(ids('', { amountMin: 50000 }), ['r1'], '金额取租金总额');
+  testFramework.assertDeepEqual(ids('', { dateFrom: Date.parse('2024-04-01') }), ['r2']);
+
+  const { facets } = index.search('', { template: '劳动合同' });
+  testFramework.assertEqual(facets.template.length, 2, '模板分面不受本维度筛选影响');
+  testFramework.assertDeepEqual(facets.chainStatus, [{ value: 'not_submitted', count: 1 }]);
+
+  testFramework.assertEqual(highlight('海淀区<b>', '海淀'), '<mark>海淀</mark>区&lt;b&gt;');
+  testFramework.assertEqual(escapeHtml('<img src=x onerror="a">'), '&lt;img src=x onerror=&quot;a&quot;&gt;');
+  testFramework.assertEqual(escapeHtml(null), '');
+
+  const data = {};
+  const saved = createSavedSearches({
+      getItem: key => data[key] ?? null,
+      setItem: (key, value) => { data[key] = value; }
+  });
+  saved.save('租赁', { search: '租赁' });
+  saved.save('租赁', { search: '租赁', chainStatus: 'confirmed' });
+  testFramework.assertEqual(saved.list().length, 1, '同名搜索覆盖');
+  testFramework.assertEqual(saved.list()[0].criteria.chainStatus, 'confirmed');
+  let blankRejected = false;
+  try {
+      saved.save(' ', {});
+  } catch (error) {
+      blankRejected = true;
+  }
+  testFramework.assert(blankRejected, '名称为空时不能保存');
+  testFramework.assertEqual(saved.list().length, 1);
+  saved.remove('租赁');
+  testFramework.assertEqual(saved.list().length, 0);
+});
+
 // 🚀 运行测试的函数
 async function runTests() {
   console.log('🎯 区块链智能合同系统 - 测试套件');
@@ -0,0 +1,249 @@
+// 模板目录组件 - 按分类分组、搜索、收藏与最近使用
+import { getLatestTemplates, templateKey } from '../../modules/contract/template-versions.js';
+
+const FAVORITES_KEY = 'sc_template_favorites';
+const RECENT_KEY = 'sc_template_recent';
+const MAX_RECENT = 5;
+
+// CONFIG.business.contractTypes 中没有的分类
+const DEFAULT_CATEGORY_LABELS = {
+  labor: '劳动合同',
+  rental: '租赁合同',
+  purchase: '采购合同',
+  service: '服务合同',
+  test: '测试模板',
+  other: '其他'
+};
+
+function readList(storage, key) {
+  try {
+    const list = JSON.parse((storage && storage.getItem(key)) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function writeList(storage, key, list) {
+  if (!storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(list));
+  } catch (error) {
+    console.warn('[catalog] 保存失败', error);
+  }
+}
+
+class TemplateCatalog {
+  /**
+   * @param {Array<Object>} templates - 模板列表（可包含归档的旧版本，目录只展示最新版本）
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - 收藏与最近使用的存储
+   * @param {Object} [options.categoryLabels] - 自定义分类名称
+   */
+  constructor(templates = [], options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : globalThis.localStorage;
+    this.categoryLabels = options.categoryLabels || {};
+    this.setTemplates(templates);
+  }
+
+  setTemplates(templates) {
+    this.templates = getLatestTemplates(templates.filter(t => !t.archived));
+  }
+
+  /**
+   * 分类显示名称：自定义 > CONFIG.business.contractTypes > 内置名称 > 原始值
+   * @param {string} category - 模板分类
+   * @returns {string}
+   */
+  getCategoryLabel(category) {
+    const contractTypes = globalThis.CONFIG?.business?.contractTypes || {};
+    return (
+      this.categoryLabels[category] ||
+      (contractTypes[category] && contractTypes[category].name) ||
+      DEFAULT_CATEGORY_LABELS[category] ||
+      category
+    );
+  }
+
+  /**
+   * 按名称、说明、发布机构搜索（不区分大小写，空格分隔的关键词需全部命中）
+   * @param {string} query - 搜索关键词
+   * @returns {Array<Object>}
+   */
+  search(query = '') {
+    const keywords = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (keywords.length === 0) return this.templates;
+    return this.templates.filter(template => {
+      const haystack = [template.name, template.description, template.authority]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return keywords.every(keyword => haystack.includes(keyword));
+    });
+  }
+
+  getFavorites() {
+    return readList(this.storage, FAVORITES_KEY);
+  }
+
+  isFavorite(templateId) {
+    return this.getFavorites().includes(templateId);
+  }
+
+  /**
+   * 切换收藏状态（按模板 id 收藏，升级版本后仍然有效）
+   * @param {string} templateId - 模板 ID
+   * @returns {boolean} - 切换后是否已收藏
+   */
+  toggleFavorite(templateId) {
+    const favorites = this.getFavorites();
+    const index = favorites.indexOf(templateId);
+    if (index >= 0) favorites.splice(index, 1);
+    else favorites.push(templateId);
+    writeList(this.storage, FAVORITES_KEY, favorites);
+    return index < 0;
+  }
+
+  getRecent() {
+    return readList(this.storage, RECENT_KEY);
+  }
+
+  /**
+   * 记录最近使用的模板，最新的排在最前
+   * @param {string} templateId - 模板 ID
+   */
+  markUsed(templateId) {
+    const recent = this.getRecent().filter(id => id !== templateId);
+    recent.unshift(templateId);
+    writeList(this.storage, RECENT_KEY, recent.slice(0, MAX_RECENT));
+  }
+
+  /**
+   * 目录分区：收藏、最近使用，然后按分类分组
+   * @param {string} [query] - 搜索关键词
+   * @returns {Array<{ id: string, label: string, templates: Array<Object> }>} - 只返回非空分区
+   */
+  getSections(query = '') {
+    const matched = this.search(query);
+    const byId = new Map(matched.map(t => [t.id, t]));
+    const pick = ids => ids.map(id => byId.get(id)).filter(Boolean);
+
+    const sections = [
+      { id: 'favorites', label: '★ 收藏', templates: pick(this.getFavorites()) },
+      { id: 'recent', label: '最近使用', templates: pick(this.getRecent()) }
+    ];
+
+    const categories = new Map();
+    matched.forEach(template => {
+      const category = template.category || 'other';
+      if (!categories.has(category)) categories.set(category, []);
+      categories.get(category).push(template);
+    });
+    categories.forEach((templates, category) => {
+      sections.push({ id: `category:${category}`, label: this.getCategoryLabel(category), templates });
+    });
+
+    return sections.filter(section => section.templates.length > 0);
+  }
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function describeTemplate(template) {
+  return [`v${template.version}`, template.edition, template.authority].filter(Boolean).join(' · ');
+}
+
+/**
+ * 填充模板下拉框：收藏、最近使用与各分类分别作为 optgroup，选项值为 'id@version'
+ * @param {HTMLSelectElement} select - 下拉框
+ * @param {TemplateCatalog} catalog - 模板目录
+ * @param {Object} [options]
+ * @param {string} [options.query] - 搜索关键词
+ * @param {string} [options.placeholder] - 空选项文字
+ */
+function renderTemplateOptions(select, catalog, { query = '', placeholder = '请选择模板' } = {}) {
+  const current = select.value;
+  select.innerHTML = `<option value="" disabled selected>${escapeHtml(placeholder)}</option>`;
+  catalog.getSections(query).forEach(section => {
+    const group = document.createElement('optgroup');
+    group.label = section.label;
+    section.templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = templateKey(template);
+      option.textContent = `${template.name}（${describeTemplate(template)}）`;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  });
+  // 收藏/最近使用中的选项会重复出现，保持原选中值即可
+  if (current && [...select.options].some(o => o.value === current)) select.value = current;
+}
+
+/**
+ * 在容器中挂载可搜索的模板目录
+ * @param {HTMLElement} container - 目录容器
+ * @param {TemplateCatalog} catalog - 模板目录
+ * @param {Object} [options]
+ * @param {Function} [options.onSelect] - 点击模板时回调 (template) => void
+ * @param {Function} [options.onFavorite] - 收藏状态变化时回调 (templateId, isFavorite) => void
+ * @returns {{ refresh: Function }} - 模板或收藏变化后调用 refresh 重新渲染
+ */
+function mountTemplateCatalog(container, catalog, { onSelect, onFavorite } = {}) {
+  container.innerHTML = `
+    <input type="search" class="template-catalog-search w-full" placeholder="搜索模板名称、说明或发布机构">
+    <div class="template-catalog-sections"></div>
+  `;
+  const searchInput = container.querySelector('.template-catalog-search');
+  const sectionsEl = container.querySelector('.template-catalog-sections');
+
+  function refresh() {
+    const sections = catalog.getSections(searchInput.value);
+    if (sections.length === 0) {
+      sectionsEl.innerHTML = '<p class="text-sm text-gray-500">没有匹配的模板</p>';
+      return;
+    }
+    sectionsEl.innerHTML = sections.map(section => `
+      <div class="template-catalog-section" data-section="${escapeHtml(section.id)}">
+        <div class="mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">${escapeHtml(section.label)}</div>
+        <ul>
+          ${section.templates.map(template => `
+            <li class="template-catalog-item flex items-center justify-between gap-2" data-key="${escapeHtml(templateKey(template))}">
+              <button type="button" class="template-catalog-select text-left flex-1" title="${escapeHtml(template.description)}">
+                <span>${escapeHtml(template.name)}</span>
+                <small class="text-gray-500">${escapeHtml(describeTemplate(template))}</small>
+              </button>
+              <button type="button" class="template-catalog-favorite" data-id="${escapeHtml(template.id)}"
+                title="${catalog.isFavorite(template.id) ? '取消收藏' : '收藏'}">${catalog.isFavorite(template.id) ? '★' : '☆'}</button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+  }
+
+  searchInput.addEventListener('input', refresh);
+  sectionsEl.addEventListener('click', e => {
+    const favorite = e.target.closest('.template-catalog-favorite');
+    if (favorite) {
+      const isFavorite = catalog.toggleFavorite(favorite.dataset.id);
+      refresh();
+      if (onFavorite) onFavorite(favorite.dataset.id, isFavorite);
+      return;
+    }
+    const item = e.target.closest('.template-catalog-item');
+    if (!item || !onSelect) return;
+    const template = catalog.templates.find(t => templateKey(t) === item.dataset.key);
+    if (template) onSelect(template);
+  });
+
+  refresh();
+  return { refresh };
+}
+
+export { TemplateCatalog, renderTemplateOptions, mountTemplateCatalog };
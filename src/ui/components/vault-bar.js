@@ -0,0 +1,58 @@
+// 加密存储状态条 - 显示锁定状态，锁定时输入口令解锁，解锁后可手动锁定
+// 未设置口令时不显示，口令的设置与修改在系统设置页
+
+const STATUS_TEXT = {
+  locked: '🔒 本地合同数据已加密并锁定，输入口令后才能查看和保存记录',
+  unlocked: '🔓 本地合同数据已解锁'
+};
+
+/**
+ * 在容器中渲染状态条
+ * @param {HTMLElement} container - 容器
+ * @param {Object} vault - createVault 的结果（页面中为 window.CryptoVault）
+ * @param {{ onChange?: Function }} [options] - onChange(status) 在解锁或锁定后回调，页面据此重新加载记录
+ * @returns {Function} - 取消订阅
+ */
+function mountVaultBar(container, vault, options = {}) {
+  function render() {
+    const status = !vault.isSetUp() ? 'disabled' : vault.isUnlocked() ? 'unlocked' : 'locked';
+    container.style.display = status === 'disabled' ? 'none' : '';
+    if (status === 'disabled') return;
+    container.innerHTML = `
+      <div class="preview-status" style="display:flex; gap:8px; align-items:center; flex-wrap:wrap;">
+        <span data-text></span>
+        ${status === 'locked'
+          ? '<input type="password" data-passphrase placeholder="加密口令" autocomplete="current-password" style="padding:6px 10px;">'
+            + '<label title="密钥保存在 sessionStorage 中直到关闭标签页；公用电脑上请勿勾选">'
+            + '<input type="checkbox" data-remember> 在本标签页内记住</label>'
+            + '<button type="button" class="btn" data-unlock style="padding:6px 12px;">解锁</button>'
+          : '<button type="button" class="btn btn-secondary" data-lock style="padding:6px 12px;">锁定</button>'}
+        <span data-error style="color:#dc2626;"></span>
+      </div>
+    `;
+    container.querySelector('[data-text]').textContent = STATUS_TEXT[status];
+
+    const input = container.querySelector('[data-passphrase]');
+    const unlock = async () => {
+      try {
+        container.querySelector('[data-error]').textContent = '解锁中...';
+        await vault.unlock(input.value, { remember: container.querySelector('[data-remember]').checked });
+      } catch (error) {
+        container.querySelector('[data-error]').textContent = error.message;
+      }
+    };
+    container.querySelector('[data-unlock]')?.addEventListener('click', unlock);
+    input?.addEventListener('keydown', e => {
+      if (e.key === 'Enter') unlock();
+    });
+    container.querySelector('[data-lock]')?.addEventListener('click', () => vault.lock());
+  }
+
+  render();
+  return vault.subscribe(status => {
+    render();
+    if (options.onChange) options.onChange(status);
+  });
+}
+
+export { mountVaultBar };
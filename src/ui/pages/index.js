@@ -3,6 +3,7 @@
 import { BlockchainManager } from './blockchain.js'; // 确保路径正确
 import { ContractGenerator } from './contract.js';
 import { Utils } from './hash-utils.js';
+import { createSearchIndex, highlight, escapeHtml } from './history-search.js';
 
 class SmartContractApp {
   constructor() {
@@ -240,30 +241,49 @@ class SmartContractApp {
       }
   }
 
-  // 处理验证合同
-  handleVerifyContract() {
-      const contractHash = document.getElementById('verifyHash').value;
-      if (!contractHash) {
-          this.showNotification('请输入合同哈希值', 'warning');
+  // 处理验证合同：上传的 PDF 优先，否则使用输入的哈希或校验链接
+  async handleVerifyContract() {
+      const contractHash = document.getElementById('verifyHash')?.value.trim();
+      const file = document.getElementById('verifyFile')?.files[0];
+      if (!contractHash && !file) {
+          this.showNotification('请输入合同哈希值或上传合同 PDF', 'warning');
           return;
       }
 
       try {
-          const isValid = this.blockchain.verifyContract(contractHash);
-          const contract = this.contracts.find(c => c.hash === contractHash);
+          const result = await this.blockchain.verifyContract(
+              file ? { file: await file.arrayBuffer() } : { text: contractHash }
+          );
+          const isValid = result.status === 'verified';
+          const record = result.record;
+          const chain = result.chain;
           
           const resultDiv = document.getElementById('verifyResult');
           if (resultDiv) {
+              // 记录字段、链上数据与 PDF 中提取的值都不可信，插入前全部转义
               resultDiv.innerHTML = `
                   <div class="verify-result ${isValid ? 'valid' : 'invalid'}">
-                      <h3>${isValid ? '✅ 验证成功' : '❌ 验证失败'}</h3>
-                      ${contract ? `
+                      <h3>${isValid ? '✅ 验证成功' : result.status === 'claimed' ? '⚠ 无法确认文件' : '❌ 验证失败'}</h3>
+                      <p>${escapeHtml(result.message)}</p>
+                      ${record ? `
+                          <div class="contract-details">
+                              <p><strong>合同:</strong> ${escapeHtml(record.templateName || record.templateId || record.id)}</p>
+                              <p><strong>创建时间:</strong> ${escapeHtml(new Date(record.createdAt).toLocaleString())}</p>
+                              <p><strong>内容哈希:</strong> ${escapeHtml(result.contentHash)}</p>
+                          </div>
+                      ` : '<p>本机未找到对应的合同记录</p>'}
+                      ${chain.status === 'anchored' ? `
                           <div class="contract-details">
-                              <p><strong>合同标题:</strong> ${contract.title}</p>
-                              <p><strong>创建时间:</strong> ${new Date(contract.timestamp).toLocaleString()}</p>
-                              <p><strong>状态:</strong> ${contract.status}</p>
+                              <p><strong>登记者:</strong> ${escapeHtml(chain.submitter)}</p>
+                              <p><strong>登记时间:</strong> ${escapeHtml(new Date(chain.timestamp * 1000).toLocaleString())}</p>
+                              <p><strong>区块:</strong> ${escapeHtml(chain.blockNumber)}${chain.txHash ? `（交易 ${escapeHtml(chain.txHash)}）` : ''}</p>
                           </div>
-                      ` : '<p>未找到对应的合同信息</p>'}
+                      ` : `<p>链上登记: ${chain.status === 'unavailable' ? '无法查询（' + escapeHtml(chain.message) + '）' : '未登记'}</p>`}
+                      ${result.checks && result.checks.length ? `
+                          <ul class="contract-details">
+                              ${result.checks.map(c => `<li>${c.match ? '✅' : '❌'} ${escapeHtml(c.field)}: ${escapeHtml(c.actual)}</li>`).join('')}
+                          </ul>
+                      ` : ''}
                   </div>
               `;
               resultDiv.classList.remove('hidden');
@@ -339,26 +359,35 @@ class SmartContractApp {
       }
   }
 
-  // 搜索合同
+  // 搜索合同：标题、类型、双方、金额、条款与标签的全文检索（history-search.js），按相关度排序
   searchContracts(query) {
-      const filteredContracts = this.contracts.filter(contract => 
-          contract.title.toLowerCase().includes(query.toLowerCase()) ||
-          contract.type.toLowerCase().includes(query.toLowerCase()) ||
-          contract.parties.party1.toLowerCase().includes(query.toLowerCase()) ||
-          contract.parties.party2.toLowerCase().includes(query.toLowerCase())
-      );
-      
-      this.displayFilteredContracts(filteredContracts);
+      const index = createSearchIndex(this.contracts.map(contract => ({
+          id: contract.id,
+          text: {
+              templateName: `${contract.title} ${contract.type}`,
+              fields: `${contract.parties.party1} ${contract.parties.party2} ${contract.value}`,
+              clauses: contract.terms || '',
+              tags: (contract.tags || []).join(' ')
+          },
+          template: contract.type,
+          chainStatus: contract.status,
+          date: new Date(contract.timestamp).getTime(),
+          amount: contract.value
+      })));
+      const byId = new Map(this.contracts.map(contract => [contract.id, contract]));
+      const filteredContracts = index.search(query).hits.map(hit => byId.get(hit.id));
+
+      this.displayFilteredContracts(filteredContracts, query);
   }
 
-  // 显示过滤后的合同
-  displayFilteredContracts(contracts) {
+  // 显示过滤后的合同，标题中的关键词高亮
+  displayFilteredContracts(contracts, query = '') {
       const historyContainer = document.getElementById('contractHistory');
       if (historyContainer) {
           historyContainer.innerHTML = contracts.map(contract => `
               <div class="contract-item" data-id="${contract.id}">
                   <div class="contract-header">
-                      <h4>${contract.title}</h4>
+                      <h4>${highlight(contract.title, query)}</h4>
                       <span class="status-badge status-${contract.status}">${contract.status}</span>
                   </div>
                   <div class="contract-meta">
@@ -412,7 +441,7 @@ class SmartContractApp {
       const notification = document.createElement('div');
       notification.className = `notification notification-${type}`;
       notification.innerHTML = `
-          <span>${message}</span>
+          <span>${escapeHtml(message)}</span>
           <button onclick="this.parentElement.remove()">&times;</button>
       `;
       
@@ -0,0 +1,100 @@
+// 规范化 JSON 与合同内容哈希（见 docs/hash-signature-strategy.md）
+// 哈希输入为 { templateId, version, fields, clauses, timestamp } 按键排序后的 JSON 字符串
+// 合同模型、历史记录与 PDF 校验使用同一套规则，保证同一份内容只对应一个哈希
+
+// 带时区的完整时间（2025-01-01T08:00:00+08:00），统一换算为 UTC 的 toISOString 格式
+const ZONED_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * 规范化单个值
+ * - 字符串统一为 Unicode NFC（同一汉字或带声调字母的不同编码方式得到相同结果）
+ * - 带时区的时间字符串与 Date 对象统一为 UTC ISO 字符串；不带时区的日期保持原样
+ * - -0 视为 0，NaN 与 Infinity 视为 null
+ * @param {*} value - 原始值
+ * @returns {*}
+ */
+function normalizeValue(value) {
+  if (typeof value === 'string') {
+    const text = value.normalize('NFC');
+    if (ZONED_DATETIME_PATTERN.test(text)) {
+      const time = Date.parse(text);
+      if (!Number.isNaN(time)) return new Date(time).toISOString();
+    }
+    return text;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    return Object.is(value, -0) ? 0 : value;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  return value;
+}
+
+/**
+ * 按键名排序后序列化，相同内容总是得到相同字符串；值为 undefined 或函数的键被忽略
+ * @param {*} value - 待序列化的值
+ * @returns {string}
+ */
+function canonicalStringify(value) {
+  const normalized = normalizeValue(value);
+  if (normalized === null || normalized === undefined || typeof normalized !== 'object') {
+    return JSON.stringify(normalized === undefined || typeof normalized === 'function' ? null : normalized);
+  }
+  if (Array.isArray(normalized)) {
+    return `[${normalized.map(item => canonicalStringify(item)).join(',')}]`;
+  }
+  // 键名同样按 NFC 规范化后再排序（按 UTF-16 码元顺序，与实现语言无关）
+  const entries = Object.keys(normalized)
+    .filter(key => normalized[key] !== undefined && typeof normalized[key] !== 'function')
+    .map(key => [key.normalize('NFC'), normalized[key]])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, item]) => `${JSON.stringify(key)}:${canonicalStringify(item)}`);
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * 构造参与哈希的载荷，不包含文件名、大小等界面或存储状态
+ * @param {Object} source - 历史记录或同结构对象
+ * @param {string} source.templateId - 模板 ID
+ * @param {string} [source.templateVersion] - 模板版本（也接受 version）
+ * @param {Object} [source.fields] - 字段值
+ * @param {Array<{id: string, version: string}>} [source.clauses] - 条款清单
+ * @param {string|number} source.createdAt - 生成时间（ISO 字符串或毫秒时间戳，也接受 timestamp）
+ * @returns {{ templateId: string, version: string, fields: Object, clauses: Array<Object>, timestamp: string }}
+ */
+function buildHashPayload(source) {
+  const time = source.timestamp || source.createdAt || '';
+  return {
+    templateId: source.templateId || '',
+    version: source.templateVersion || source.version || '',
+    fields: source.fields || {},
+    clauses: (source.clauses || []).map(({ id, version }) => ({ id, version })),
+    timestamp: typeof time === 'number' ? new Date(time).toISOString() : time
+  };
+}
+
+/**
+ * 计算 UTF-8 文本的 SHA-256
+ * @param {string} text - 文本
+ * @returns {Promise<string>} - 64 位小写十六进制
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 计算合同载荷哈希
+ * @param {Object} payload - buildHashPayload 的结果
+ * @returns {Promise<string>}
+ */
+function hashPayload(payload) {
+  return sha256Hex(canonicalStringify(payload));
+}
+
+// 供非模块脚本（models.js、history-storage.js）使用；挂在 globalThis 上，Node 中运行测试时同样可用
+globalThis.CanonicalJSON = { normalizeValue, canonicalStringify, buildHashPayload, sha256Hex, hashPayload };
+
+export { normalizeValue, canonicalStringify, buildHashPayload, sha256Hex, hashPayload };
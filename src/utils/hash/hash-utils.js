@@ -1,4 +1,12 @@
 // 工具函数库
+import {
+  isValidEmail,
+  isValidPhone,
+  isValidIdCard,
+  isValidUSCC,
+  isValidEthAddress
+} from '../validation.js';
+
 class Utils {
   constructor() {
       this.init();
@@ -366,28 +374,34 @@ class Utils {
    * @returns {boolean} 是否有效
    */
   isValidEmail(email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      return emailRegex.test(email);
+      return isValidEmail(email);
   }
 
   /**
-   * 验证手机号格式（中国大陆）
-   * @param {string} phone - 手机号
+   * 验证电话号码格式（中国大陆手机号或固定电话）
+   * @param {string} phone - 电话号码
    * @returns {boolean} 是否有效
    */
   isValidPhone(phone) {
-      const phoneRegex = /^1[3-9]\d{9}$/;
-      return phoneRegex.test(phone);
+      return isValidPhone(phone);
   }
 
   /**
-   * 验证身份证号格式（中国大陆）
+   * 验证身份证号（中国大陆 18 位，含出生日期与校验位）
    * @param {string} idCard - 身份证号
    * @returns {boolean} 是否有效
    */
   isValidIdCard(idCard) {
-      const idCardRegex = /(^\d{15}$)|(^\d{18}$)|(^\d{17}(\d|X|x)$)/;
-      return idCardRegex.test(idCard);
+      return isValidIdCard(idCard);
+  }
+
+  /**
+   * 验证统一社会信用代码（含校验位）
+   * @param {string} code - 统一社会信用代码
+   * @returns {boolean} 是否有效
+   */
+  isValidUSCC(code) {
+      return isValidUSCC(code);
   }
 
   /**
@@ -410,8 +424,7 @@ class Utils {
    * @returns {boolean} 是否有效
    */
   isValidEthAddress(address) {
-      const ethAddressRegex = /^0x[a-fA-F0-9]{40}$/;
-      return ethAddressRegex.test(address);
+      return isValidEthAddress(address);
   }
 
   // ==================== 存储工具 ====================
@@ -0,0 +1,141 @@
+// Keccak-256（以太坊使用的原始 Keccak，填充为 0x01，与 NIST SHA3-256 不同）及字节工具
+// 用于 EIP-712 签名摘要与以太坊地址计算，数据量很小，按 64 位 BigInt 实现
+
+const MASK_64 = (1n << 64n) - 1n;
+const RATE = 136;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+const ROTATIONS = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const PI_LANES = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+function rotl(value, shift) {
+  const n = BigInt(shift);
+  return ((value << n) | (value >> (64n - n))) & MASK_64;
+}
+
+function keccakF(state) {
+  const c = new Array(5);
+  for (let round = 0; round < 24; round++) {
+    // θ
+    for (let x = 0; x < 5; x++) c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+    // ρ 与 π
+    let current = state[1];
+    for (let i = 0; i < 24; i++) {
+      const lane = PI_LANES[i];
+      const next = state[lane];
+      state[lane] = rotl(current, ROTATIONS[i]);
+      current = next;
+    }
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      const row = state.slice(y, y + 5);
+      for (let x = 0; x < 5; x++) state[y + x] = row[x] ^ (~row[(x + 1) % 5] & MASK_64 & row[(x + 2) % 5]);
+    }
+    // ι
+    state[0] ^= ROUND_CONSTANTS[round];
+  }
+}
+
+/**
+ * UTF-8 编码
+ * @param {string} text - 文本
+ * @returns {Uint8Array}
+ */
+function utf8ToBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * 十六进制字符串转字节，可带 0x 前缀
+ * @param {string} hex - 十六进制字符串
+ * @returns {Uint8Array}
+ */
+function hexToBytes(hex) {
+  const clean = String(hex).replace(/^0x/i, '');
+  if (clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+    throw new Error(`无效的十六进制字符串: ${hex}`);
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  return bytes;
+}
+
+/**
+ * 字节转 0x 开头的小写十六进制字符串
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string}
+ */
+function bytesToHex(bytes) {
+  return '0x' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 拼接多个字节数组
+ * @param {...Uint8Array} parts - 字节数组
+ * @returns {Uint8Array}
+ */
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * 计算 Keccak-256
+ * @param {Uint8Array|string} data - 字节或字符串（字符串按 UTF-8 编码）
+ * @returns {Uint8Array} - 32 字节摘要
+ */
+function keccak256(data) {
+  const input = typeof data === 'string' ? utf8ToBytes(data) : data;
+  const blocks = Math.floor(input.length / RATE) + 1;
+  const padded = new Uint8Array(blocks * RATE);
+  padded.set(input);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let i = 0; i < RATE / 8; i++) {
+      let lane = 0n;
+      for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(padded[offset + i * 8 + b]);
+      state[i] ^= lane;
+    }
+    keccakF(state);
+  }
+
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i];
+    for (let b = 0; b < 8; b++) {
+      out[i * 8 + b] = Number(lane & 0xffn);
+      lane >>= 8n;
+    }
+  }
+  return out;
+}
+
+/**
+ * 计算 Keccak-256 并返回 0x 开头的十六进制
+ * @param {Uint8Array|string} data - 字节或字符串
+ * @returns {string}
+ */
+function keccak256Hex(data) {
+  return bytesToHex(keccak256(data));
+}
+
+export { keccak256, keccak256Hex, utf8ToBytes, hexToBytes, bytesToHex, concatBytes };
@@ -0,0 +1,104 @@
+// SHA-256 Merkle 树 - 批量上链时只登记根哈希，每条记录保存自己的证明，可离线验证
+// 规则：叶子 = SHA256(0x00 ‖ 叶子字节)，内部节点 = SHA256(0x01 ‖ 左 ‖ 右)，
+// 奇数个节点时最后一个直接提升到上一层（不复制），前缀区分叶子与内部节点
+// models.js 中 Block.calculateMerkleRoot 按相同规则用 CryptoJS 同步计算
+
+const HEX_PATTERN = /^[0-9a-f]*$/;
+
+function hexToBytes(hex) {
+  const clean = String(hex).replace(/^0x/i, '').toLowerCase();
+  if (clean.length % 2 !== 0 || !HEX_PATTERN.test(clean)) throw new Error(`无效的十六进制哈希: ${hex}`);
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  return bytes;
+}
+
+async function sha256(prefix, ...parts) {
+  const bytes = parts.map(hexToBytes);
+  const data = new Uint8Array(1 + bytes.reduce((sum, b) => sum + b.length, 0));
+  data[0] = prefix;
+  let offset = 1;
+  bytes.forEach(b => {
+    data.set(b, offset);
+    offset += b.length;
+  });
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 叶子节点哈希
+ * @param {string} leaf - 十六进制哈希（如记录的 contentHash）
+ * @returns {Promise<string>}
+ */
+function hashLeaf(leaf) {
+  return sha256(0x00, leaf);
+}
+
+/**
+ * 内部节点哈希
+ * @param {string} left - 左子节点
+ * @param {string} right - 右子节点
+ * @returns {Promise<string>}
+ */
+function hashNode(left, right) {
+  return sha256(0x01, left, right);
+}
+
+/**
+ * 构建 Merkle 树
+ * @param {Array<string>} leaves - 十六进制哈希列表，顺序即叶子顺序
+ * @returns {Promise<{ root: string, levels: Array<Array<string>> }>} - levels[0] 为叶子节点哈希，最后一层为根
+ */
+async function buildMerkleTree(leaves) {
+  if (!Array.isArray(leaves) || leaves.length === 0) throw new Error('Merkle 树至少需要一个叶子');
+  const levels = [await Promise.all(leaves.map(hashLeaf))];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return { root: levels[levels.length - 1][0], levels };
+}
+
+/**
+ * 取第 index 个叶子的证明：自下而上的兄弟节点及其位置
+ * @param {{ levels: Array<Array<string>> }} tree - buildMerkleTree 的结果
+ * @param {number} index - 叶子序号
+ * @returns {Array<{ position: string, hash: string }>} - position 为兄弟节点在左（left）还是右（right）
+ */
+function getMerkleProof(tree, index) {
+  if (index < 0 || index >= tree.levels[0].length) throw new Error(`叶子序号超出范围: ${index}`);
+  const proof = [];
+  let position = index;
+  for (let depth = 0; depth < tree.levels.length - 1; depth++) {
+    const level = tree.levels[depth];
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    // 被提升的末尾节点在这一层没有兄弟
+    if (sibling < level.length) {
+      proof.push({ position: sibling < position ? 'left' : 'right', hash: level[sibling] });
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+/**
+ * 用证明从叶子推算根并比对
+ * @param {string} leaf - 叶子原始哈希
+ * @param {Array<{ position: string, hash: string }>} proof - 证明
+ * @param {string} root - 已登记的根
+ * @returns {Promise<boolean>}
+ */
+async function verifyMerkleProof(leaf, proof, root) {
+  let hash = await hashLeaf(leaf);
+  for (const step of proof || []) {
+    hash = step.position === 'left' ? await hashNode(step.hash, hash) : await hashNode(hash, step.hash);
+  }
+  return hash === String(root).replace(/^0x/i, '').toLowerCase();
+}
+
+export { hashLeaf, hashNode, buildMerkleTree, getMerkleProof, verifyMerkleProof };
@@ -0,0 +1,148 @@
+// secp256k1 公钥恢复（ecrecover）与以太坊地址计算
+// 只做验签所需的运算，签名由钱包完成，页面不接触私钥
+import { keccak256, hexToBytes, bytesToHex } from './keccak.js';
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+// 扩展欧几里得求模逆
+function invert(a, m = P) {
+  let [low, high] = [mod(a, m), m];
+  let [lm, hm] = [1n, 0n];
+  while (low > 1n) {
+    const q = high / low;
+    [lm, hm] = [hm - lm * q, lm];
+    [low, high] = [high - low * q, low];
+  }
+  return mod(lm, m);
+}
+
+function powMod(base, exponent, m = P) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// 仿射坐标点加法，null 表示无穷远点
+function pointAdd(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.x === b.x) {
+    if (mod(a.y + b.y) === 0n) return null;
+    const slope = mod(3n * a.x * a.x * invert(2n * a.y));
+    const x = mod(slope * slope - 2n * a.x);
+    return { x, y: mod(slope * (a.x - x) - a.y) };
+  }
+  const slope = mod((b.y - a.y) * invert(b.x - a.x));
+  const x = mod(slope * slope - a.x - b.x);
+  return { x, y: mod(slope * (a.x - x) - a.y) };
+}
+
+function pointMultiply(point, scalar) {
+  let result = null;
+  let addend = point;
+  let k = mod(scalar, N);
+  while (k > 0n) {
+    if (k & 1n) result = pointAdd(result, addend);
+    addend = pointAdd(addend, addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+function bytesToBigInt(bytes) {
+  return BigInt(bytesToHex(bytes));
+}
+
+function bigIntToBytes(value, length = 32) {
+  return hexToBytes(value.toString(16).padStart(length * 2, '0'));
+}
+
+/**
+ * 拆分 65 字节签名（r‖s‖v），v 可以是 27/28 或 0/1
+ * @param {string} signature - 0x 开头的十六进制签名
+ * @returns {{ r: bigint, s: bigint, recovery: number }}
+ */
+function splitSignature(signature) {
+  const bytes = hexToBytes(signature);
+  if (bytes.length !== 65) throw new Error('签名长度应为 65 字节');
+  const v = bytes[64];
+  const recovery = v >= 27 ? v - 27 : v;
+  if (recovery !== 0 && recovery !== 1) throw new Error(`签名的 v 值无效: ${v}`);
+  return { r: bytesToBigInt(bytes.slice(0, 32)), s: bytesToBigInt(bytes.slice(32, 64)), recovery };
+}
+
+/**
+ * 从 32 字节摘要与签名恢复公钥
+ * @param {Uint8Array|string} digest - 摘要
+ * @param {string} signature - 65 字节签名
+ * @returns {Uint8Array} - 64 字节公钥
+ */
+function recoverPublicKey(digest, signature) {
+  const hash = typeof digest === 'string' ? hexToBytes(digest) : digest;
+  const { r, s, recovery } = splitSignature(signature);
+  if (r <= 0n || r >= N || s <= 0n || s >= N) throw new Error('签名的 r 或 s 超出范围');
+
+  // 由 r 还原曲线点 R：y² = x³ + 7，按 recovery 位选择 y 的奇偶
+  const x = r;
+  const alpha = mod(x * x * x + 7n);
+  let y = powMod(alpha, (P + 1n) / 4n);
+  if (mod(y * y) !== alpha) throw new Error('签名无效：r 不在曲线上');
+  if (Number(y & 1n) !== recovery) y = P - y;
+
+  // Q = r⁻¹ (sR − eG)
+  const e = bytesToBigInt(hash);
+  const rInv = invert(r, N);
+  const sR = pointMultiply({ x, y }, s);
+  const eG = pointMultiply(G, mod(-e, N));
+  const q = pointMultiply(pointAdd(sR, eG), rInv);
+  if (!q) throw new Error('签名无效：无法恢复公钥');
+  return new Uint8Array([...bigIntToBytes(q.x), ...bigIntToBytes(q.y)]);
+}
+
+/**
+ * EIP-55 校验和地址
+ * @param {string} address - 0x 开头的地址
+ * @returns {string}
+ */
+function toChecksumAddress(address) {
+  const lower = String(address).toLowerCase().replace(/^0x/, '');
+  const hash = bytesToHex(keccak256(lower)).slice(2);
+  return '0x' + [...lower].map((ch, i) => (parseInt(hash[i], 16) >= 8 ? ch.toUpperCase() : ch)).join('');
+}
+
+/**
+ * 公钥转以太坊地址（keccak256 后 20 字节）
+ * @param {Uint8Array} publicKey - 64 字节公钥
+ * @returns {string} - 校验和地址
+ */
+function publicKeyToAddress(publicKey) {
+  return toChecksumAddress(bytesToHex(keccak256(publicKey).slice(12)));
+}
+
+/**
+ * 恢复签名者地址
+ * @param {Uint8Array|string} digest - 32 字节摘要
+ * @param {string} signature - 65 字节签名
+ * @returns {string} - 校验和地址
+ */
+function recoverAddress(digest, signature) {
+  return publicKeyToAddress(recoverPublicKey(digest, signature));
+}
+
+export { splitSignature, recoverPublicKey, toChecksumAddress, publicKeyToAddress, recoverAddress };
@@ -0,0 +1,91 @@
+// 通用辅助函数
+
+const CN_DIGITS = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+
+/**
+ * 将正整数转换为中文数字（用于条款编号），支持 1-9999
+ * @param {number} num - 正整数
+ * @returns {string} 中文数字，如 12 -> '十二'
+ */
+function toChineseNumeral(num) {
+  if (!Number.isInteger(num) || num <= 0 || num > 9999) return String(num);
+
+  const units = ['', '十', '百', '千'];
+  const digits = String(num).split('').map(Number);
+  let result = '';
+  let pendingZero = false;
+
+  digits.forEach((digit, i) => {
+    const unit = units[digits.length - 1 - i];
+    if (digit === 0) {
+      pendingZero = result !== '';
+      return;
+    }
+    if (pendingZero) result += CN_DIGITS[0];
+    pendingZero = false;
+    result += CN_DIGITS[digit] + unit;
+  });
+
+  // “一十二” 习惯写作 “十二”
+  return result.startsWith('一十') ? result.slice(1) : result;
+}
+
+const RMB_DIGITS = ['零', '壹', '贰', '叁', '肆', '伍', '陆', '柒', '捌', '玖'];
+const RMB_SECTION_UNITS = ['', '万', '亿'];
+
+// 四位一节：仟佰拾个，中间的连续零只写一个“零”
+function rmbSection(section) {
+  const units = ['仟', '佰', '拾', ''];
+  let text = '';
+  let pendingZero = false;
+  String(section).padStart(4, '0').split('').map(Number).forEach((digit, i) => {
+    if (digit === 0) {
+      pendingZero = text !== '';
+      return;
+    }
+    if (pendingZero) text += RMB_DIGITS[0];
+    pendingZero = false;
+    text += RMB_DIGITS[digit] + units[i];
+  });
+  return text;
+}
+
+/**
+ * 将金额转换为人民币大写（合同、票据书写规范），支持 0 至 9999 亿，精确到分
+ * @param {number|string} amount - 金额，允许千分位逗号
+ * @returns {string} 如 24000 -> '贰万肆仟元整'，1.05 -> '壹元零伍分'；无效金额返回空字符串
+ */
+function toRmbUppercase(amount) {
+  const value = typeof amount === 'number' ? amount : Number(String(amount).replace(/,/g, '').trim());
+  if (String(amount).trim() === '' || !Number.isFinite(value) || value < 0 || value >= 1e12) return '';
+
+  const cents = Math.round(value * 100);
+  const integer = Math.floor(cents / 100);
+  const jiao = Math.floor(cents / 10) % 10;
+  const fen = cents % 10;
+
+  let text = '';
+  if (integer > 0) {
+    const sections = [];
+    for (let n = integer; n > 0; n = Math.floor(n / 10000)) sections.push(n % 10000);
+    let pendingZero = false;
+    for (let i = sections.length - 1; i >= 0; i--) {
+      if (sections[i] === 0) {
+        pendingZero = text !== '';
+        continue;
+      }
+      if (text !== '' && (pendingZero || sections[i] < 1000)) text += RMB_DIGITS[0];
+      pendingZero = false;
+      text += rmbSection(sections[i]) + RMB_SECTION_UNITS[i];
+    }
+    text += '元';
+  }
+
+  if (jiao === 0 && fen === 0) return (text || '零元') + '整';
+  if (jiao > 0) text += RMB_DIGITS[jiao] + '角';
+  else if (integer > 0) text += RMB_DIGITS[0];
+  // 到“角”为止的金额后写“整”，到“分”的不写
+  return fen > 0 ? text + RMB_DIGITS[fen] + '分' : text + '整';
+}
+
+export { toChineseNumeral, toRmbUppercase };
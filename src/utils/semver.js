@@ -0,0 +1,59 @@
+// 语义化版本（SemVer）工具
+
+const SEMVER_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+/**
+ * 检查版本号是否符合 SemVer 规范
+ * @param {string} version - 版本号，如 '1.2.0'
+ * @returns {boolean} 是否有效
+ */
+function isValidSemver(version) {
+  return typeof version === 'string' && SEMVER_PATTERN.test(version);
+}
+
+/**
+ * 比较两个版本号
+ * @param {string} a - 版本号
+ * @param {string} b - 版本号
+ * @returns {number} a 较新返回 1，较旧返回 -1，相同返回 0
+ */
+function compareSemver(a, b) {
+  const pa = SEMVER_PATTERN.exec(a);
+  const pb = SEMVER_PATTERN.exec(b);
+  if (!pa || !pb) {
+    throw new Error(`无效的版本号: ${!pa ? a : b}`);
+  }
+
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(pa[i]) - Number(pb[i]);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+
+  // 预发布版本低于正式版本
+  const preA = pa[4];
+  const preB = pb[4];
+  if (!preA && !preB) return 0;
+  if (!preA) return 1;
+  if (!preB) return -1;
+
+  const partsA = preA.split('.');
+  const partsB = preB.split('.');
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if (partsA[i] === undefined) return -1;
+    if (partsB[i] === undefined) return 1;
+    const numA = /^\d+$/.test(partsA[i]);
+    const numB = /^\d+$/.test(partsB[i]);
+    if (numA && numB) {
+      const diff = Number(partsA[i]) - Number(partsB[i]);
+      if (diff !== 0) return diff > 0 ? 1 : -1;
+    } else if (numA !== numB) {
+      return numA ? -1 : 1;
+    } else if (partsA[i] !== partsB[i]) {
+      return partsA[i] > partsB[i] ? 1 : -1;
+    }
+  }
+  return 0;
+}
+
+export { isValidSemver, compareSemver };
@@ -0,0 +1,123 @@
+// 输入校验 - 证件号码、统一社会信用代码、联系方式与金额格式
+import { toChecksumAddress } from './hash/secp256k1.js';
+
+// GB 11643-1999 公民身份号码校验位
+const ID_CARD_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+const ID_CARD_CHECK_CODES = '10X98765432';
+
+// GB 32100-2015 统一社会信用代码字符集（不含 I、O、Z、S、V）
+const USCC_CHARSET = '0123456789ABCDEFGHJKLMNPQRTUWXY';
+const USCC_WEIGHTS = [1, 3, 9, 27, 19, 26, 16, 17, 20, 29, 25, 13, 8, 24, 10, 30, 28];
+
+function normalizeCode(value) {
+  return String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+}
+
+/**
+ * 校验 18 位居民身份证号：格式、出生日期与校验位
+ * @param {string} value - 身份证号
+ * @returns {boolean}
+ */
+function isValidIdCard(value) {
+  const id = normalizeCode(value);
+  if (!/^[1-9]\d{16}[\dX]$/.test(id)) return false;
+
+  const year = Number(id.slice(6, 10));
+  const month = Number(id.slice(10, 12));
+  const day = Number(id.slice(12, 14));
+  const birth = new Date(year, month - 1, day);
+  if (
+    birth.getFullYear() !== year ||
+    birth.getMonth() !== month - 1 ||
+    birth.getDate() !== day ||
+    year < 1900 ||
+    birth > new Date()
+  ) {
+    return false;
+  }
+
+  const sum = ID_CARD_WEIGHTS.reduce((acc, weight, i) => acc + Number(id[i]) * weight, 0);
+  return ID_CARD_CHECK_CODES[sum % 11] === id[17];
+}
+
+/**
+ * 校验 18 位统一社会信用代码（含校验位）
+ * @param {string} value - 统一社会信用代码
+ * @returns {boolean}
+ */
+function isValidUSCC(value) {
+  const code = normalizeCode(value);
+  if (code.length !== 18) return false;
+  if (!/^[0-9A-HJ-NPQRTUWXY]{2}\d{6}[0-9A-HJ-NPQRTUWXY]{10}$/.test(code)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    sum += USCC_CHARSET.indexOf(code[i]) * USCC_WEIGHTS[i];
+  }
+  const check = (31 - (sum % 31)) % 31;
+  return USCC_CHARSET[check] === code[17];
+}
+
+/**
+ * 校验联系电话：中国大陆手机号（可带 +86）或带区号的固定电话
+ * @param {string} value - 电话号码
+ * @returns {boolean}
+ */
+function isValidPhone(value) {
+  const phone = String(value === undefined || value === null ? '' : value).replace(/\s/g, '');
+  if (/^(\+?86)?1[3-9]\d{9}$/.test(phone.replace(/-/g, ''))) return true;
+  // 固定电话：区号 3-4 位 + 号码 7-8 位，可带分机号（用 - 或 转 分隔）
+  return /^0\d{2,3}-?\d{7,8}((-|转)\d{1,6})?$/.test(phone);
+}
+
+/**
+ * 校验邮箱地址
+ * @param {string} value - 邮箱
+ * @returns {boolean}
+ */
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value === undefined || value === null ? '' : value).trim());
+}
+
+/**
+ * 校验金额：非负数，最多两位小数，允许千分位逗号
+ * @param {string|number} value - 金额
+ * @returns {boolean}
+ */
+function isValidCurrency(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) return false;
+  const amount = String(value === undefined || value === null ? '' : value).trim();
+  return /^(\d{1,3}(,\d{3})+|\d+)(\.\d{1,2})?$/.test(amount);
+}
+
+/**
+ * 将金额字符串转为数值（去掉千分位逗号）
+ * @param {string|number} value - 金额
+ * @returns {number}
+ */
+function parseCurrency(value) {
+  return typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+}
+
+/**
+ * 校验以太坊地址；大小写混合时同时校验 EIP-55 校验和（全小写或全大写视为未带校验和）
+ * @param {string} value - 地址
+ * @returns {boolean}
+ */
+function isValidEthAddress(value) {
+  const address = String(value === undefined || value === null ? '' : value).trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+  const body = address.slice(2);
+  const mixedCase = body !== body.toLowerCase() && body !== body.toUpperCase();
+  return !mixedCase || toChecksumAddress(address) === address;
+}
+
+export {
+  isValidIdCard,
+  isValidUSCC,
+  isValidPhone,
+  isValidEmail,
+  isValidCurrency,
+  parseCurrency,
+  isValidEthAddress
+};